@@ -1,26 +1,127 @@
 // Background script for DOM Capture Extension
 // Handles cross-page flow management and maintains extension state
 
+import * as storageManager from './src/modules/storage-manager.js';
+import {
+    resetAllData,
+    getAllData,
+    getCaptureMode,
+    setCaptureMode,
+    getSyncSettings,
+    markRecordsSynced,
+    applySyncedRecords,
+    getWorkspaceState,
+    saveWorkspaceState,
+    selectWorkspaceForUrl,
+    getElement,
+    getPage,
+    getUrlPatternRules
+} from './src/modules/storage-manager.js';
+import {
+    syncKey,
+    recordStamp,
+    isNewer,
+    findPendingChanges,
+    getRetryDelay,
+    pushChanges,
+    pullChanges
+} from './src/modules/sync-client.js';
+import { ID_FIELDS } from './src/modules/version-history.js';
+import { STORAGE_METHODS } from './src/modules/storage-client.js';
+import { getChangedStores, getActiveWorkspaceId } from './src/modules/record-store.js';
+import { migrateStorage } from './src/modules/storage-migrations.js';
+import { findPageForUrl } from './src/modules/url-patterns.js';
+
 // State management for navigation tracking
 let temporaryCaptureDisabled = false;
 let shouldResumeCapture = false;
 let lastElementIdBeforeNavigation = null;
 
-// Initialize default state when the extension is installed
-chrome.runtime.onInstalled.addListener(() => {
-    chrome.storage.local.set({
-        captureMode: false,
-        elementData: [],
-        pageData: [],
-        lastElementId: null,
-        pendingNavigation: false
-    });
+// Delay between replay steps, giving the page time to react or start navigating
+const REPLAY_STEP_DELAY = 700;
+
+// Number of times a replay step is re-sent while the content script is not reachable
+const REPLAY_MAX_RETRIES = 5;
+
+// Alarm failing a replay whose tab never finishes navigating, and how long it waits
+// (alarms survive the service worker shutting down; Chrome fires them no sooner than 30 seconds)
+const REPLAY_ALARM = 'replay-navigation';
+const REPLAY_NAVIGATION_TIMEOUT = 30000;
+
+// Whether a replay step is being sent, so a navigation reported twice cannot run it twice
+let replayStepInFlight = false;
+
+// Number of times a locate request is re-sent while the opened page's content script starts
+const LOCATE_MAX_RETRIES = 10;
+
+// Longest wait for a tab opened by "Locate" to finish loading, in milliseconds
+const LOCATE_LOAD_TIMEOUT = 15000;
+
+// Alarms for the periodic sync and for retrying a failed one
+const SYNC_ALARM = 'sync';
+const SYNC_RETRY_ALARM = 'sync-retry';
+
+// Delay before pushing local changes, so a burst of captures goes out in one request
+const SYNC_PUSH_DELAY = 3000;
+
+// Sync run in progress, shared by everything that triggers one
+let syncInProgress = null;
+let syncPushTimer = null;
+
+// Failure reported when the active workspace changes while its sync waits for the server
+const WORKSPACE_SWITCHED = { error: 'The active workspace changed during the sync', retryable: true };
+
+// Bring stored data up to the current schema whenever the service worker starts;
+// anything reading or writing records waits for it
+const storageReady = migrateStorage().then(result => {
+    if (!result.success) {
+        console.error(`Storage migration from schema ${result.fromVersion} failed and was rolled back:`, result.error);
+    } else if (result.applied.length > 0) {
+        console.log(`Migrated storage from schema ${result.fromVersion} to ${result.toVersion}`);
+    }
+    return result;
+});
+
+// Initialize default state when the extension is installed, keeping captured data on updates
+chrome.runtime.onInstalled.addListener(async ({ reason, previousVersion }) => {
+    await storageReady;
+
+    if (reason === 'install') {
+        await resetAllData();
+        console.log('DOM Capture Extension installed successfully');
+    } else if (reason === 'update') {
+        console.log(`DOM Capture Extension updated from ${previousVersion}`);
+    }
+
+    await setCaptureMode(false);
+    await chrome.storage.local.set({ pendingNavigation: false });
+    await scheduleSync();
+});
+
+// Restore the sync alarm when the browser starts
+chrome.runtime.onStartup.addListener(scheduleSync);
 
-    console.log('DOM Capture Extension installed successfully');
+// Switch to the workspace of the tab the user is looking at
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (tab && tab.url) {
+        await storageReady;
+        await selectWorkspaceForUrl(tab.url);
+    }
 });
 
 // Listen for navigation events to track cross-page journeys
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // Follow the active tab into another application or environment
+    if (changeInfo.url && tab.active) {
+        storageReady.then(() => selectWorkspaceForUrl(changeInfo.url));
+    }
+
+    // Continue a replay that was waiting for this tab to finish navigating
+    if (changeInfo.status === 'complete') {
+        continueReplayAfterNavigation(tabId);
+    }
+
     // Only run when the page has completed loading
     if (changeInfo.status === 'complete' && tab.url) {
         // Check if we need to resume capture mode after navigation
@@ -48,7 +149,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
             temporaryCaptureDisabled = false;
         } else {
             // Normal check for active capture mode
-            chrome.storage.local.get(['captureMode'], ({ captureMode }) => {
+            getCaptureMode().then(captureMode => {
                 if (captureMode) {
                     // Notify content script that it should be in capture mode
                     chrome.tabs.sendMessage(tabId, { action: 'enableCapture' }).catch(() => {
@@ -80,13 +181,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
         sendResponse({ success: true });
     } else if (message.action === 'captureModeChanged') {
-        // If user manually toggles capture mode, update our internal state
-        if (!message.isEnabled) {
+        // If user manually toggles capture mode, or the page resumed it after a
+        // client-side route change, update our internal state
+        if (!message.isEnabled || temporaryCaptureDisabled) {
             shouldResumeCapture = false;
             temporaryCaptureDisabled = false;
         }
 
         sendResponse({ success: true });
+    } else if (message.action === 'startReplay') {
+        startReplay(message.tabId, message.plan).then(sendResponse);
+    } else if (message.action === 'stopReplay') {
+        stopReplay().then(sendResponse);
+    } else if (message.action === 'storage') {
+        runStorageCall(message.method, message.args).then(sendResponse);
+    } else if (message.action === 'locateElement') {
+        locateElement(message.elementId).then(sendResponse);
+    } else if (message.action === 'syncNow') {
+        runSync({ force: true }).then(sendResponse);
     } else if (message.action === 'logCapturedElement') {
         console.log('Element captured:', message.data);
         sendResponse({ success: true });
@@ -98,6 +210,462 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Needed for async response
 });
 
+// Run a storage manager call for a content script, which cannot open the extension's IndexedDB
+async function runStorageCall(method, args = []) {
+    if (!STORAGE_METHODS.includes(method)) {
+        return { error: `Unknown storage method: ${method}` };
+    }
+
+    try {
+        await storageReady;
+        return { result: await storageManager[method](...args) };
+    } catch (error) {
+        console.error(`Storage call ${method} failed:`, error);
+        return { error: error.message };
+    }
+}
+
+// Show a stored element on its page, reusing a tab that already shows the page
+async function locateElement(elementId) {
+    try {
+        await storageReady;
+
+        const element = await getElement(elementId);
+        const page = element ? await getPage(element.page_id) : null;
+        if (!page) {
+            return { success: false, error: element ? `Page ${element.page_id} not found` : `Element ${elementId} not found` };
+        }
+
+        let tab = await findTabForPage(page);
+        if (tab) {
+            await chrome.tabs.update(tab.id, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+        } else if (page.url) {
+            tab = await chrome.tabs.create({ url: page.url });
+        } else {
+            return { success: false, error: `No URL is known for page ${page.page_id}; visit it once so it is recorded` };
+        }
+
+        await waitForTabLoad(tab.id);
+        return await sendLocateMessage(tab.id, elementId);
+    } catch (error) {
+        console.error('Error locating element:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Find an open tab whose URL belongs to a page
+async function findTabForPage(page) {
+    const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+
+    for (const tab of tabs) {
+        const rules = await getUrlPatternRules(new URL(tab.url).origin);
+        if (findPageForUrl(tab.url, [page], rules)) {
+            return tab;
+        }
+    }
+    return null;
+}
+
+// Wait until a tab has finished loading, or give up after LOCATE_LOAD_TIMEOUT
+function waitForTabLoad(tabId) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, LOCATE_LOAD_TIMEOUT);
+
+        function done() {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            resolve();
+        }
+
+        function onUpdated(updatedTabId, changeInfo) {
+            if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                done();
+            }
+        }
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.get(tabId).then(tab => {
+            if (tab.status === 'complete') done();
+        }).catch(done);
+    });
+}
+
+// Ask a tab's content script to highlight an element, retrying while the script starts up
+async function sendLocateMessage(tabId, elementId) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await chrome.tabs.sendMessage(tabId, { action: 'locateElement', elementId }, { frameId: 0 });
+        } catch (error) {
+            if (attempt >= LOCATE_MAX_RETRIES) {
+                return { success: false, error: `Content script unavailable: ${error.message}` };
+            }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
+}
+
+// Start replaying a plan of steps in a tab
+async function startReplay(tabId, plan) {
+    const session = {
+        tabId,
+        name: plan.name,
+        steps: plan.steps,
+        index: 0,
+        results: [],
+        status: 'running',
+        awaitingNavigation: false,
+        retries: 0,
+        started_at: new Date().toISOString(),
+        finished_at: null
+    };
+
+    // Capture mode would intercept the replayed clicks
+    await chrome.storage.local.set({ replaySession: session });
+    await setCaptureMode(false);
+
+    runReplayStep();
+    return { success: true };
+}
+
+// Stop the running replay, marking the remaining steps as skipped
+async function stopReplay() {
+    const { replaySession: session } = await chrome.storage.local.get(['replaySession']);
+    if (session && session.status === 'running') {
+        await finishReplay(session, 'stopped');
+    }
+    return { success: true };
+}
+
+// Send the current replay step to the tab and record its result
+async function runReplayStep() {
+    if (replayStepInFlight) return;
+    replayStepInFlight = true;
+
+    try {
+        await sendReplayStep();
+    } finally {
+        replayStepInFlight = false;
+    }
+}
+
+// Helper for runReplayStep, which keeps two of these from running at once
+async function sendReplayStep() {
+    const { replaySession: session } = await chrome.storage.local.get(['replaySession']);
+    if (!session || session.status !== 'running') return;
+
+    if (session.index >= session.steps.length) {
+        await finishReplay(session, 'passed');
+        return;
+    }
+
+    const step = session.steps[session.index];
+    let result;
+
+    try {
+        result = await chrome.tabs.sendMessage(session.tabId, { action: 'replayStep', step }, { frameId: 0 });
+    } catch (error) {
+        // The content script is not reachable yet, usually because the next page is still loading
+        await retryReplayStep(session, error);
+        return;
+    }
+
+    session.results.push(result);
+    session.retries = 0;
+
+    if (result.status !== 'pass') {
+        await finishReplay(session, 'failed');
+        return;
+    }
+
+    session.index++;
+    await chrome.storage.local.set({ replaySession: session });
+
+    // Give the page time to react; if it starts navigating, wait for the load to complete
+    setTimeout(async () => {
+        const tab = await chrome.tabs.get(session.tabId).catch(() => null);
+        if (!tab) {
+            await finishReplay(session, 'failed', 'Tab was closed');
+        } else if (tab.status === 'loading') {
+            await awaitReplayNavigation(session);
+        } else {
+            runReplayStep();
+        }
+    }, REPLAY_STEP_DELAY);
+}
+
+// Retry a replay step that could not be delivered to the tab
+async function retryReplayStep(session, error) {
+    if (session.retries >= REPLAY_MAX_RETRIES) {
+        await finishReplay(session, 'failed', `Content script unavailable: ${error.message}`);
+        return;
+    }
+
+    const tab = await chrome.tabs.get(session.tabId).catch(() => null);
+    if (!tab) {
+        await finishReplay(session, 'failed', 'Tab was closed');
+        return;
+    }
+
+    if (tab.status === 'loading') {
+        await awaitReplayNavigation({ ...session, retries: session.retries + 1 });
+    } else {
+        await chrome.storage.local.set({ replaySession: { ...session, retries: session.retries + 1 } });
+        setTimeout(runReplayStep, 1000);
+    }
+}
+
+// Wait for the replay's tab to finish loading, with an alarm failing the step if it never does
+async function awaitReplayNavigation(session) {
+    await chrome.storage.local.set({ replaySession: { ...session, awaitingNavigation: true } });
+    await chrome.alarms.create(REPLAY_ALARM, { when: Date.now() + REPLAY_NAVIGATION_TIMEOUT });
+
+    // The load may have completed before the flag was stored, when onUpdated had nothing to continue
+    const tab = await chrome.tabs.get(session.tabId).catch(() => null);
+    if (!tab || tab.status === 'complete') {
+        await continueReplayAfterNavigation(session.tabId);
+    }
+}
+
+// Fail a replay still waiting for its tab when the navigation alarm fires
+async function checkReplayNavigation() {
+    const { replaySession: session } = await chrome.storage.local.get(['replaySession']);
+    if (!session || session.status !== 'running' || !session.awaitingNavigation) return;
+
+    const tab = await chrome.tabs.get(session.tabId).catch(() => null);
+    if (!tab) {
+        await finishReplay(session, 'failed', 'Tab was closed');
+    } else if (tab.status === 'complete') {
+        await continueReplayAfterNavigation(session.tabId);
+    } else {
+        await finishReplay(session, 'failed', `Page did not finish loading within ${REPLAY_NAVIGATION_TIMEOUT / 1000}s`);
+    }
+}
+
+// Resume a replay once its tab has finished loading the next page
+async function continueReplayAfterNavigation(tabId) {
+    const { replaySession: session } = await chrome.storage.local.get(['replaySession']);
+    if (!session || session.status !== 'running' || session.tabId !== tabId || !session.awaitingNavigation) {
+        return;
+    }
+
+    await chrome.storage.local.set({ replaySession: { ...session, awaitingNavigation: false } });
+    await chrome.alarms.clear(REPLAY_ALARM);
+
+    // Short delay to let the content script initialize
+    setTimeout(runReplayStep, 500);
+}
+
+// Complete a replay session and store its report
+async function finishReplay(session, status, error = null) {
+    const skipped = session.steps.slice(session.results.length).map((step, index) => ({
+        element_id: step.element_id,
+        page_id: step.page_id,
+        description: step.description,
+        action: step.action,
+        selector: step.dom_selector,
+        status: 'skipped',
+        error: index === 0 ? error : null,
+        wait_ms: 0,
+        duration_ms: 0
+    }));
+
+    await chrome.storage.local.set({
+        replaySession: {
+            ...session,
+            results: [...session.results, ...skipped],
+            status,
+            awaitingNavigation: false,
+            finished_at: new Date().toISOString()
+        }
+    });
+    await chrome.alarms.clear(REPLAY_ALARM);
+}
+
+// Run the periodic sync and retries of failed syncs, and fail replays stuck waiting for a page load
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === SYNC_ALARM || alarm.name === SYNC_RETRY_ALARM) {
+        runSync();
+    } else if (alarm.name === REPLAY_ALARM) {
+        checkReplayNavigation();
+    }
+});
+
+// Push queued changes as soon as the connection comes back
+self.addEventListener('online', () => runSync({ force: true }));
+
+// Queue local page and element changes for sync, and follow sync settings changes
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace !== 'local') return;
+
+    if (changes.syncSettings) {
+        scheduleSync().then(() => runSync({ force: true }));
+    }
+    const changedStores = getChangedStores(changes);
+    if (changedStores.includes('pages') || changedStores.includes('elements')) {
+        queueSyncChanges().then(queued => {
+            if (queued === 0) return;
+            clearTimeout(syncPushTimer);
+            syncPushTimer = setTimeout(runSync, SYNC_PUSH_DELAY);
+        });
+    }
+});
+
+// Create or clear the periodic sync alarm to match the sync settings
+async function scheduleSync() {
+    const settings = await getSyncSettings();
+    if (settings.enabled && settings.endpoint) {
+        await chrome.alarms.create(SYNC_ALARM, { periodInMinutes: settings.intervalMinutes });
+    } else {
+        await chrome.alarms.clear(SYNC_ALARM);
+        await chrome.alarms.clear(SYNC_RETRY_ALARM);
+    }
+}
+
+// Rebuild the active workspace's queue of pages and elements changed since they were last synced
+async function queueSyncChanges() {
+    const { pageData, elementData } = await getAllData();
+    const { syncShadow = {}, syncQueue = [] } = await getWorkspaceState(['syncShadow', 'syncQueue']);
+
+    // Keep the original queue time of records changed again before they were pushed
+    const queuedAt = new Map(syncQueue.map(entry => [syncKey(entry.type, entry.id), entry.queued_at]));
+    const now = new Date().toISOString();
+    const queue = findPendingChanges({ pageData, elementData }, syncShadow).map(({ type, id }) => ({
+        type,
+        id,
+        queued_at: queuedAt.get(syncKey(type, id)) || now
+    }));
+
+    await saveWorkspaceState({ syncQueue: queue });
+    return queue.length;
+}
+
+// Push queued changes and pull teammates' changes, unless a sync is already running
+function runSync({ force = false } = {}) {
+    if (!syncInProgress) {
+        syncInProgress = syncWithServer(force).finally(() => {
+            syncInProgress = null;
+        });
+    }
+    return syncInProgress;
+}
+
+// Run one sync of the active workspace against the configured endpoint
+async function syncWithServer(force) {
+    await storageReady;
+
+    const settings = await getSyncSettings();
+    if (!settings.enabled || !settings.endpoint) {
+        return { success: false, error: 'Sync is not enabled' };
+    }
+
+    const workspaceId = await getActiveWorkspaceId();
+    const { syncState = {} } = await getWorkspaceState(['syncState'], workspaceId);
+    const state = { attempts: 0, cursor: null, ...syncState };
+    state.client_id = state.client_id || crypto.randomUUID();
+
+    // While backing off, or after an error that needs the settings fixed, only a manual sync goes through
+    const backingOff = state.next_attempt_at && Date.now() < Date.parse(state.next_attempt_at) - 1000;
+    if (!force && (backingOff || state.status === 'error')) {
+        return { success: false, error: state.last_error };
+    }
+
+    await saveWorkspaceState({ syncState: { ...state, status: 'syncing' } }, workspaceId);
+
+    // Push local changes; the server returns its own copy for records it has newer
+    const { pageData, elementData } = await getAllData();
+    const { syncShadow = {} } = await getWorkspaceState(['syncShadow'], workspaceId);
+    const pending = findPendingChanges({ pageData, elementData }, syncShadow);
+
+    if (pending.length > 0) {
+        const push = await pushChanges(settings, state.client_id, workspaceId, pending);
+        if (await getActiveWorkspaceId() !== workspaceId) {
+            return failSync(workspaceId, state, WORKSPACE_SWITCHED);
+        }
+
+        const applied = push.results
+            .filter(result => result.status === 'applied')
+            .map(result => pending.find(change => change.type === result.type && change.id === result.id))
+            .filter(Boolean);
+        const conflicts = push.results
+            .filter(result => result.status === 'conflict' && result.record)
+            .map(result => ({ type: result.type, record: result.record }));
+
+        await markRecordsSynced(applied);
+        await applySyncedRecords(conflicts);
+
+        if (!push.success) {
+            return failSync(workspaceId, state, push);
+        }
+        state.last_pushed_at = new Date().toISOString();
+    }
+
+    // Pull teammates' changes
+    const pull = await pullChanges(settings, state.client_id, workspaceId, state.cursor);
+    if (!pull.success) {
+        return failSync(workspaceId, state, pull);
+    }
+    if (await getActiveWorkspaceId() !== workspaceId) {
+        return failSync(workspaceId, state, WORKSPACE_SWITCHED);
+    }
+
+    // Local edits newer than the pulled copy win, and are pushed on the next sync
+    const { pageData: pages, elementData: elements } = await getAllData();
+    const { syncShadow: shadow = {} } = await getWorkspaceState(['syncShadow'], workspaceId);
+    const incoming = pull.changes.filter(({ type, record }) => {
+        const idField = ID_FIELDS[type];
+        const local = (type === 'page' ? pages : elements).find(item => item[idField] === record[idField]);
+        const unsynced = local && shadow[syncKey(type, local[idField])] !== recordStamp(type, local);
+        return !(unsynced && isNewer(type, local, record));
+    });
+
+    const result = await applySyncedRecords(incoming);
+    if (!result.success) {
+        console.error('Skipped invalid synced records:', result.errors);
+    }
+    await queueSyncChanges();
+    await chrome.alarms.clear(SYNC_RETRY_ALARM);
+
+    await saveWorkspaceState({
+        syncState: {
+            ...state,
+            cursor: pull.cursor,
+            status: 'idle',
+            attempts: 0,
+            next_attempt_at: null,
+            last_error: null,
+            last_pulled_at: new Date().toISOString()
+        }
+    }, workspaceId);
+
+    return { success: true, error: null, pulled: result.counts.applied };
+}
+
+// Record a failed sync of a workspace and schedule a retry with backoff if the failure is temporary
+async function failSync(workspaceId, state, result) {
+    const attempts = state.attempts + 1;
+    let nextAttemptAt = null;
+
+    if (result.retryable) {
+        const delay = getRetryDelay(attempts);
+        nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        await chrome.alarms.create(SYNC_RETRY_ALARM, { when: Date.now() + delay });
+    }
+
+    await saveWorkspaceState({
+        syncState: {
+            ...state,
+            status: result.retryable ? (navigator.onLine ? 'retrying' : 'offline') : 'error',
+            attempts,
+            next_attempt_at: nextAttemptAt,
+            last_error: result.error
+        }
+    }, workspaceId);
+
+    console.error('Sync failed:', result.error);
+    return { success: false, error: result.error };
+}
+
 // Storage change listener for debugging
 chrome.storage.onChanged.addListener((changes, namespace) => {
     for (let key in changes) {
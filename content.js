@@ -6,30 +6,147 @@ let lastCapturedElementId = null;
 let highlightedElement = null;
 let capturePopup = null;
 let pendingNavigation = null;
+let modules = null;
+let urlRules = null;
+let idTemplates = null;
+let schemaExtension = null;
+let workspace = null;
+let workspaces = [];
+let currentPageUrl = null;
+let currentPageId = null;
+let routeChangeTimer = null;
+let trackingTimer = null;
+
+// Whether this script runs in the top frame; same-origin child frames defer page tracking to it
+const isTopFrame = window.top === window;
+
+// Messages answered only by the top frame, which sees the whole page including frames
+const TOP_FRAME_ACTIONS = ['verifyPage', 'acceptHealing', 'clearVerification', 'replayStep', 'locateElement'];
+
+// How often the URL is polled for route changes the History API hook cannot see, in milliseconds
+const ROUTE_POLL_INTERVAL = 1000;
+
+// Delay before capturing a new route, giving the app time to render it and update the title
+const ROUTE_SETTLE_DELAY = 300;
 
 // Initialize content script
 init();
 
 // Main initialization function
 async function init() {
+    // Cross-origin frames cannot be addressed from the top document, so they are not captured
+    if (!isTopFrame && !isSameOriginFrame()) return;
+
+    // Load shared extension modules; without them the content script cannot do anything
+    try {
+        modules = await loadModules();
+    } catch (error) {
+        console.error('Error loading extension modules:', error);
+        return;
+    }
+
     // Load state from storage
-    const { captureMode: storedCaptureMode, lastElementId } = await chrome.storage.local.get([
-        'captureMode',
-        'lastElementId'
-    ]);
+    captureMode = await modules.storageClient.getCaptureMode();
+
+    // Load URL pattern rules for this origin
+    const pageOrigin = new URL(getPageUrl()).origin;
+    urlRules = await modules.storageClient.getUrlPatternRules(pageOrigin);
+    idTemplates = await modules.storageClient.getIdTemplates();
+    schemaExtension = await modules.storageClient.getSchemaExtension();
+
+    // Settle on this page's workspace before reading its records
+    await loadWorkspace();
+    lastCapturedElementId = await modules.storageClient.getLastElementId();
+
+    // Initialize page data capture, follow client-side route changes and watch captured elements
+    if (isTopFrame) {
+        capturePage().then(trackCapturedElements);
+        watchRouteChanges();
+    }
 
-    captureMode = storedCaptureMode || false;
-    lastCapturedElementId = lastElementId || null;
+    // Keep journey context in sync with captures made in other frames
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === 'local' && modules.workspaces.hasWorkspaceStateChange(changes, 'lastElementId')) {
+            modules.storageClient.getLastElementId().then(elementId => { lastCapturedElementId = elementId; });
+        }
 
-    // Initialize page data capture
-    capturePage();
+        // Follow the popup switching workspaces or edited origins moving this page, capturing it into its new workspace
+        if (namespace === 'local' && (changes.activeWorkspaceId || changes.workspaces)) {
+            loadWorkspace().then(async changed => {
+                if (!changed) return;
+
+                lastCapturedElementId = await modules.storageClient.getLastElementId();
+                if (isTopFrame) {
+                    currentPageId = null;
+                    capturePage().then(trackCapturedElements);
+                }
+            });
+        }
+
+        if (namespace === 'local' && changes.urlPatternRules) {
+            urlRules = (changes.urlPatternRules.newValue || {})[pageOrigin] || null;
+        }
+
+        if (namespace === 'local' && changes.idTemplates) {
+            modules.storageClient.getIdTemplates().then(templates => { idTemplates = templates; });
+        }
+
+        if (namespace === 'local' && changes.schemaExtension) {
+            schemaExtension = changes.schemaExtension.newValue || null;
+        }
+
+        // Start tracking newly captured or updated elements
+        if (namespace === 'local' && modules.storageClient.getChangedStores(changes).includes('elements') && isTopFrame) {
+            clearTimeout(trackingTimer);
+            trackingTimer = setTimeout(trackCapturedElements, ROUTE_SETTLE_DELAY);
+        }
+    });
 
     // Setup message listener for popup communication
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        // Leave page-level actions to the top frame so only one response is sent
+        if (!isTopFrame && TOP_FRAME_ACTIONS.includes(message.action)) {
+            return false;
+        }
+
+        if (message.action === 'verifyPage') {
+            // Verification is asynchronous, so respond once it completes
+            verifyCurrentPage().then(sendResponse);
+            return true;
+        }
+
+        if (message.action === 'acceptHealing') {
+            acceptHealing(message.elementId).then(sendResponse);
+            return true;
+        }
+
+        if (message.action === 'locateElement') {
+            locateElement(message.elementId).then(sendResponse);
+            return true;
+        }
+
+        if (message.action === 'replayStep') {
+            // Capture mode would intercept the replayed interaction
+            if (captureMode) {
+                disableCaptureMode();
+            }
+            // The step only runs once the tab shows its page; without the stored pages it cannot be checked
+            modules.storageClient.getPages().catch(() => null).then(pageData => {
+                const getPageId = pageData && (() => {
+                    const page = modules.urlPatterns.findPageForUrl(getPageUrl(), pageData, urlRules);
+                    return page ? page.page_id : null;
+                });
+                return modules.replayEngine.runStep(message.step, getPageId);
+            }).then(sendResponse);
+            return true;
+        }
+
         if (message.action === 'enableCapture') {
             enableCaptureMode();
         } else if (message.action === 'disableCapture') {
             disableCaptureMode();
+        } else if (message.action === 'clearVerification') {
+            modules.pageVerifier.clearHighlights();
         } else if (message.action === 'checkPendingNavigation') {
             // This is called by background script after page load to check if we need to re-enable capture
             if (message.resumeCapture) {
@@ -53,11 +170,15 @@ function enableCaptureMode() {
     document.addEventListener('mouseover', handleElementHover, true);
     document.addEventListener('mouseout', handleElementOut, true);
 
-    // Show notification
-    showNotification('DOM Capture Mode Enabled. Click on elements to capture.');
+    // Show notification, warning when captures here would be refused
+    if (isTopFrame && acceptsCurrentPage()) {
+        showNotification('DOM Capture Mode Enabled. Click on elements to capture.');
+    } else if (isTopFrame) {
+        showNotification(`This site is not part of the "${modules.workspaces.formatWorkspaceLabel(workspace)}" workspace; switch workspaces in the popup to capture here.`, 'error');
+    }
 
     // Update storage
-    chrome.storage.local.set({ captureMode: true });
+    modules.storageClient.setCaptureMode(true);
 
     // Notify background script that capture mode is enabled
     chrome.runtime.sendMessage({
@@ -92,7 +213,7 @@ function disableCaptureMode(temporary = false) {
 
     // Only update storage if not temporarily disabled
     if (!temporary) {
-        chrome.storage.local.set({ captureMode: false });
+        modules.storageClient.setCaptureMode(false);
         chrome.runtime.sendMessage({
             action: 'captureModeChanged',
             isEnabled: false
@@ -111,7 +232,8 @@ function handleElementHover(e) {
     if (!captureMode) return;
 
     // Don't highlight popup elements
-    if (isInPopup(e.target)) return;
+    const target = getEventTarget(e);
+    if (isInPopup(target)) return;
 
     // Remove previous highlight
     if (highlightedElement) {
@@ -119,7 +241,7 @@ function handleElementHover(e) {
     }
 
     // Add new highlight
-    highlightedElement = e.target;
+    highlightedElement = target;
     highlightedElement.style.outline = '2px solid #2196F3';
 
     // Prevent default behavior
@@ -130,7 +252,7 @@ function handleElementHover(e) {
 // Handle element hover out
 function handleElementOut(e) {
     if (!captureMode || !highlightedElement) return;
-    if (isInPopup(e.target)) return;
+    if (isInPopup(getEventTarget(e))) return;
 
     highlightedElement.style.outline = '';
     highlightedElement = null;
@@ -141,27 +263,39 @@ function handleElementClick(e) {
     if (!captureMode) return;
 
     // Don't capture clicks on popup elements
-    if (isInPopup(e.target)) return;
+    const target = getEventTarget(e);
+    if (isInPopup(target)) return;
 
     // Prevent default behavior and propagation
     e.stopPropagation();
     e.preventDefault();
 
-    // Create the confirmation popup
-    createCapturePopup(e.target);
+    // Look up an earlier capture of this element, then ask for its details
+    findExistingCapture(target).then(existing => createCapturePopup(target, existing));
 }
 
 // Create popup for element capture confirmation
-function createCapturePopup(element) {
+function createCapturePopup(element, existing = null) {
     // Remove any existing popup
     removePopup();
 
+    // An earlier capture of this element provides the defaults
+    const existingRecord = existing ? existing.element : null;
+
     // Determine if element is likely a navigation element
     const isLikelyNavigation = element.tagName === 'A' ||
         (element.tagName === 'BUTTON' && element.type !== 'button') ||
         element.onclick !== null ||
         element.getAttribute('role') === 'link';
 
+    // Suggest the interaction the user performs on this element
+    const recorder = modules.interactionRecorder;
+    const defaultAction = (existingRecord && existingRecord.interaction && existingRecord.interaction.action) ||
+        recorder.getDefaultAction(element);
+    const actionOptions = Object.entries(recorder.INTERACTION_ACTIONS)
+        .map(([action, label]) => `<option value="${action}" ${action === defaultAction ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
     // Create popup container
     capturePopup = document.createElement('div');
     capturePopup.className = 'dom-capture-popup';
@@ -179,10 +313,18 @@ function createCapturePopup(element) {
     // Create popup content
     capturePopup.innerHTML = `
     <h3 style="margin-top: 0; font-size: 16px;">Capture DOM Element</h3>
+    <p style="font-size: 12px; color: #666;">Workspace: ${escapeHtml(modules.workspaces.formatWorkspaceLabel(workspace))}</p>
     <p style="font-size: 14px;">Would you like to capture this element?</p>
     <p style="font-size: 12px; background: #f0f0f0; padding: 5px; overflow: auto; max-height: 80px;">
       ${escapeHtml(element.outerHTML.substring(0, 150))}${element.outerHTML.length > 150 ? '...' : ''}
     </p>
+    ${existing ? `
+    <div style="margin-bottom: 10px; padding: 8px; background: #fff3e0; border-left: 3px solid #ff9800; font-size: 12px;">
+      Already captured as <strong>${escapeHtml(existingRecord.description)}</strong>
+      (${escapeHtml(existingRecord.element_id)}, version ${escapeHtml(existingRecord.version)},
+      matched by ${existing.method === 'selector' ? 'selector' : `fingerprint ${Math.round(existing.score * 100)}%`}).
+      Update it, keep both records, or cancel.
+    </div>` : ''}
     
     <div style="margin-bottom: 10px;">
       <label style="display: block; margin-bottom: 5px; font-size: 14px;">
@@ -196,26 +338,57 @@ function createCapturePopup(element) {
       <label style="display: block; margin-bottom: 5px; font-size: 14px;">
         KPI (optional):
         <input id="element-kpi" style="width: 100%; padding: 5px; margin-top: 5px;" 
-               placeholder="Enter KPI if applicable">
+               placeholder="Enter KPI if applicable" list="element-kpi-options">
+      </label>
+      <datalist id="element-kpi-options">
+        ${workspace.kpis.map(kpi => `<option value="${escapeHtml(kpi)}">`).join('')}
+      </datalist>
+    </div>
+    
+    <div style="margin-bottom: 10px;">
+      <label style="display: block; margin-bottom: 5px; font-size: 14px;">
+        Action to reach the next step:
+        <select id="interaction-action" style="width: 100%; padding: 5px; margin-top: 5px;">
+          ${actionOptions}
+        </select>
+      </label>
+    </div>
+    
+    <div id="interaction-value-row" style="margin-bottom: 15px;">
+      <label style="display: block; margin-bottom: 5px; font-size: 14px;">
+        Value:
+        <input id="interaction-value" style="width: 100%; padding: 5px; margin-top: 5px;">
+      </label>
+      <label style="display: flex; align-items: center; font-size: 12px; cursor: pointer;">
+        <input type="checkbox" id="interaction-redact" style="margin-right: 8px;" ${recorder.isSensitiveField(element) ? 'checked' : ''}>
+        Redact value (do not store it)
       </label>
     </div>
     
+    <div id="capture-extension-fields"></div>
+    
     <div style="margin-bottom: 15px;">
       <label style="display: flex; align-items: center; font-size: 14px; cursor: pointer;">
         <input type="checkbox" id="navigation-trigger" style="margin-right: 8px;" ${isLikelyNavigation ? 'checked' : ''}>
-        Mark as navigation trigger (will navigate after capture)
+        Mark as navigation trigger (will perform the action after capture)
       </label>
       <p style="font-size: 12px; color: #666; margin: 5px 0 0 24px;">
         Temporarily disables capture mode to allow navigation to next page
       </p>
     </div>
     
-    <div style="display: flex; justify-content: space-between;">
+    <div id="capture-errors" style="display: none; margin-bottom: 10px; padding: 8px; background: #fdecea; border-left: 3px solid #f44336; font-size: 12px;"></div>
+    
+    <div style="display: flex; justify-content: space-between; gap: 8px;">
       <button id="capture-cancel" style="padding: 8px 12px; background: #ccc; border: none; border-radius: 4px; cursor: pointer;">
         Cancel
       </button>
+      ${existing ? `
+      <button id="capture-keep-both" style="padding: 8px 12px; background: #607D8B; color: white; border: none; border-radius: 4px; cursor: pointer;">
+        Keep Both
+      </button>` : ''}
       <button id="capture-confirm" style="padding: 8px 12px; background: #2196F3; color: white; border: none; border-radius: 4px; cursor: pointer;">
-        Capture
+        ${existing ? 'Update Existing' : 'Capture'}
       </button>
     </div>
   `;
@@ -223,18 +396,52 @@ function createCapturePopup(element) {
     // Add to body
     document.body.appendChild(capturePopup);
 
+    // Add inputs for the team's own fields from the schema extension
+    const extensionFields = renderExtensionFields(existingRecord);
+
+    // Prefill the details of the earlier capture
+    if (existingRecord) {
+        document.getElementById('element-description').value = existingRecord.description || '';
+        document.getElementById('element-kpi').value = existingRecord.KPI || '';
+    }
+
     // Focus description field
     document.getElementById('element-description').focus();
 
+    // Show the value field only for actions that carry a value
+    const actionSelect = document.getElementById('interaction-action');
+    const valueInput = document.getElementById('interaction-value');
+    const updateValueField = () => {
+        const action = actionSelect.value;
+        document.getElementById('interaction-value-row').style.display =
+            recorder.VALUE_ACTIONS.includes(action) ? 'block' : 'none';
+        valueInput.value = recorder.readValue(element, action) ?? '';
+    };
+    actionSelect.addEventListener('change', updateValueField);
+    updateValueField();
+
     // Add event listeners
     document.getElementById('capture-cancel').addEventListener('click', removePopup);
     document.getElementById('capture-confirm').addEventListener('click', () => {
+        submitCapture({ update: existingRecord });
+    });
+    if (existing) {
+        document.getElementById('capture-keep-both').addEventListener('click', () => {
+            submitCapture({ keepBoth: true });
+        });
+    }
+
+    // Validate the form and capture the element as a new or updated record
+    function submitCapture(options) {
         const description = document.getElementById('element-description').value.trim();
         const kpi = document.getElementById('element-kpi').value.trim();
         const isNavigationTrigger = document.getElementById('navigation-trigger').checked;
+        const action = actionSelect.value;
+        const value = valueInput.value;
+        const interaction = recorder.createInteraction(action, value, document.getElementById('interaction-redact').checked);
 
         if (!description) {
-            alert('Description is required');
+            showCaptureErrors(['Description is required']);
             return;
         }
 
@@ -242,51 +449,118 @@ function createCapturePopup(element) {
         if (isNavigationTrigger) {
             pendingNavigation = {
                 element: element,
+                // The redacted value is never stored, but is still needed to perform the action
+                interaction: { action, value },
                 isNavigationTrigger: true
             };
         }
 
-        captureElement(element, description, kpi || null)
-            .then(() => {
+        const extraFields = readExtensionFields(extensionFields);
+        captureElement(element, description, kpi || null, interaction, { ...options, extraFields })
+            .then(result => {
+                // Keep the popup open so invalid input can be corrected
+                if (!result.success) {
+                    pendingNavigation = null;
+                    showCaptureErrors(modules.schemaValidator.formatValidationErrors(result.errors));
+                    return;
+                }
+
                 removePopup();
 
                 // If navigation trigger, temporarily disable capture mode and trigger the navigation
                 if (isNavigationTrigger && pendingNavigation) {
-                    processNavigationTrigger(pendingNavigation.element);
+                    processNavigationTrigger(pendingNavigation.element, pendingNavigation.interaction);
                 }
             });
-    });
+    }
+
+    // Show why the capture was rejected
+    function showCaptureErrors(lines) {
+        const errors = document.getElementById('capture-errors');
+        errors.innerHTML = lines.map(line => `<div>${escapeHtml(line)}</div>`).join('');
+        errors.style.display = 'block';
+    }
+}
+
+// Add an input to the capture popup for each element field declared in the schema extension
+function renderExtensionFields(existingRecord) {
+    const container = document.getElementById('capture-extension-fields');
+    const extension = schemaExtension && schemaExtension.element;
+    const fields = [];
+
+    for (const [name, schema] of Object.entries((extension && extension.properties) || {})) {
+        const required = (extension.required || []).includes(name);
+        const current = existingRecord && existingRecord[name] !== undefined ? existingRecord[name] : schema.default;
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+
+        label.style.cssText = 'display: block; margin-bottom: 10px; font-size: 14px;';
+        label.textContent = `${schema.title || name}${required ? ' (required)' : ''}:`;
+
+        if (schema.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = current === true;
+            input.style.marginLeft = '8px';
+        } else {
+            input.style.cssText = 'width: 100%; padding: 5px; margin-top: 5px;';
+            input.value = current === undefined || current === null ? '' : String(current);
+            input.placeholder = schema.description || '';
+        }
+
+        label.appendChild(input);
+        container.appendChild(label);
+        fields.push({ name, schema, input });
+    }
+
+    return fields;
+}
+
+// Read the values of the schema extension inputs; empty inputs are left out
+function readExtensionFields(fields) {
+    const values = {};
+
+    for (const { name, schema, input } of fields) {
+        if (schema.type === 'boolean') {
+            values[name] = input.checked;
+        } else if (input.value.trim() !== '') {
+            const isNumber = schema.type === 'number' || schema.type === 'integer';
+            values[name] = isNumber ? Number(input.value) : input.value.trim();
+        }
+    }
+
+    return values;
+}
+
+// Find the stored record an element was already captured as, if any
+async function findExistingCapture(element) {
+    try {
+        const currentPage = await getCurrentPage();
+        if (!currentPage) return null;
+
+        const { records: pageElements } = await modules.storageClient.queryElements({ pageId: currentPage.page_id });
+
+        // Stored selectors are composed from the top document
+        const root = isTopFrame ? document : window.top.document;
+        return modules.pageVerifier.findRecordForNode(element, pageElements, root);
+    } catch (error) {
+        console.error('Error looking up existing capture:', error);
+        return null;
+    }
 }
 
 // Process navigation trigger after capture
-function processNavigationTrigger(element) {
+function processNavigationTrigger(element, interaction) {
     // Temporarily disable capture mode
     disableCaptureMode(true);
 
     // Allow a small delay to ensure the UI updates before navigation
     setTimeout(() => {
-        // Simulate the natural click
-        if (element.tagName === 'A') {
+        if (interaction.action === 'click' && element.tagName === 'A' && element.href) {
             // For anchor tags, we can navigate directly
-            if (element.href) {
-                window.location.href = element.href;
-            } else {
-                // Try to trigger the default click
-                const clickEvent = new MouseEvent('click', {
-                    bubbles: true,
-                    cancelable: true,
-                    view: window
-                });
-                element.dispatchEvent(clickEvent);
-            }
+            window.location.href = element.href;
         } else {
-            // For other elements, simulate a click
-            const clickEvent = new MouseEvent('click', {
-                bubbles: true,
-                cancelable: true,
-                view: window
-            });
-            element.dispatchEvent(clickEvent);
+            // For other elements, replay the recorded interaction
+            modules.interactionRecorder.performInteraction(element, interaction);
         }
 
         // Clear pending navigation
@@ -302,93 +576,284 @@ function removePopup() {
     }
 }
 
-// Capture element data
-async function captureElement(element, description, kpi) {
+// Capture element data, optionally updating an earlier capture or keeping it alongside a new record;
+// resolves to the save result, whose errors are shown in the capture popup
+async function captureElement(element, description, kpi, interaction, { update = null, keepBoth = false, extraFields = {} } = {}) {
     try {
-        // Generate a unique ID for this element
-        const elementId = generateElementId(element);
+        // Pages from other applications or environments belong in their own workspace
+        if (!acceptsCurrentPage()) {
+            const message = `This site is not part of the "${modules.workspaces.formatWorkspaceLabel(workspace)}" workspace`;
+            return { success: false, errors: [{ path: '', keyword: 'workspace', message }] };
+        }
 
         // Get the current page data
-        const { pageData = [] } = await chrome.storage.local.get(['pageData']);
-        const currentPage = pageData.find(page => page.url_pattern === getUrlPattern(window.location.href));
+        const currentPage = await getCurrentPage();
 
         if (!currentPage) {
             console.error('No page data found for current URL');
-            return;
+            return { success: false, errors: [{ path: '', keyword: 'capture', message: 'No page data found for current URL' }] };
+        }
+
+        // Generate a verified selector with ranked fallbacks
+        const selectors = modules.selectorEngine.generateSelectors(element);
+
+        // Within a recorded journey, only its own previous step leads to this element
+        const activeJourney = await modules.storageClient.getActiveJourney();
+        const previousElementId = activeJourney ?
+            (activeJourney.steps.length > 0 ? activeJourney.steps[activeJourney.steps.length - 1].element_id : null) :
+            lastCapturedElementId;
+
+        // Get the elements already captured on this page and the element IDs in use
+        const { records: pageElements } = await modules.storageClient.queryElements({ pageId: currentPage.page_id });
+        const elementIds = await modules.storageClient.getRecordIds('element');
+
+        // Derive a stable ID; an update keeps the earlier record's ID and "keep both" forces a new one
+        const fingerprint = modules.fingerprint.createFingerprint(element);
+        let elementId = update ? update.element_id : generateElementId(element, fingerprint, currentPage, pageElements, elementIds);
+        if (keepBoth) {
+            elementId = modules.idGenerator.ensureUniqueId(elementId, elementIds);
+        }
+
+        // The previous element's recorded interaction is how the user got here
+        const previousElement = previousElementId ? await modules.storageClient.getElement(previousElementId) : null;
+        const previousInteraction = previousElement ? previousElement.interaction : null;
+
+        // A recaptured element keeps the flows it was already reached from
+        const existingElement = await modules.storageClient.getElement(elementId);
+        const from = existingElement && existingElement.from ? [...existingElement.from] : [];
+        if (previousElementId && previousElementId !== elementId && !from.some(source => source.node === previousElementId)) {
+            from.push(modules.interactionRecorder.createFromEntry(previousElementId, previousInteraction));
         }
 
         // Create element data structure
         const elementData = {
+            ...extraFields,
             element_id: elementId,
             page_id: currentPage.page_id,
             type: getElementType(element),
-            dom_selector: generateSelector(element),
+            dom_selector: selectors.selector,
+            selector_fallbacks: selectors.fallbacks,
+            fingerprint: fingerprint,
             description: description,
-            version: "1.0",
+            version: existingElement ? existingElement.version : "1.0.0",
             KPI: kpi,
             updated_at: new Date().toISOString(),
-            status: "active",
-            from: lastCapturedElementId ? [
-                { node: lastCapturedElementId, action: "click" }
-            ] : null
+            status: existingElement ? existingElement.status : "active",
+            interaction: interaction,
+            from: from.length > 0 ? from : null
         };
 
-        // Get existing element data
-        const { elementData: storedElementData = [] } = await chrome.storage.local.get(['elementData']);
+        // Save through the storage manager, which validates the record, updates the earlier one in place and versions the change
+        const result = await modules.storageClient.saveElement(elementData, { source: 'capture' });
+        if (!result.success) {
+            return result;
+        }
 
-        // Update storage
-        await chrome.storage.local.set({
-            elementData: [...storedElementData, elementData],
-            lastElementId: elementId
-        });
+        // Record the step on the active journey
+        if (activeJourney) {
+            const step = await modules.storageClient.appendJourneyStep(activeJourney.journey_id, {
+                element_id: elementId,
+                page_id: currentPage.page_id,
+                ...interaction
+            });
+            if (!step.success) {
+                console.error('Could not record journey step:', modules.schemaValidator.formatValidationErrors(step.errors));
+            }
+        }
 
         // Update local state
         lastCapturedElementId = elementId;
 
         // Show notification
-        showNotification('Element captured successfully');
+        if (existingElement) {
+            showNotification(`Element updated (version ${result.record.version})`);
+        } else {
+            showNotification('Element captured successfully');
+        }
 
+        return result;
     } catch (error) {
         console.error('Error capturing element:', error);
         showNotification('Error capturing element: ' + error.message, 'error');
+        return { success: false, errors: [{ path: '', keyword: 'capture', message: error.message }] };
+    }
+}
+
+// Verify stored element selectors for the current page
+async function verifyCurrentPage() {
+    try {
+        const currentPage = await getCurrentPage();
+
+        if (!currentPage) {
+            return { success: false, error: 'No page data found for current URL' };
+        }
+
+        // Re-resolve every stored selector for this page
+        const { records: pageElements } = await modules.storageClient.queryElements({ pageId: currentPage.page_id });
+        const results = modules.pageVerifier.verifyElements(pageElements);
+
+        // Highlight found/ambiguous elements on the page
+        modules.pageVerifier.highlightResults(results);
+
+        // Record the outcome on elements whose status changed; deprecated ones keep the status the user gave them
+        for (const result of results) {
+            const element = pageElements.find(item => item.element_id === result.element_id);
+            if (element.status === 'deprecated' || element.status === result.status) continue;
+
+            const saved = await modules.storageClient.saveElement(
+                { ...element, status: result.status },
+                { updateLastElement: false, source: 'verification' }
+            );
+            if (!saved.success) {
+                console.error(`Could not record verification of ${element.element_id}:`,
+                    modules.schemaValidator.formatValidationErrors(saved.errors));
+            }
+        }
+
+        const summary = modules.pageVerifier.summarizeResults(results);
+        showNotification(`Verified ${summary.total} elements: ${summary.found} found, ` +
+            `${summary.ambiguous} ambiguous, ${summary.missing} missing`,
+            summary.found === summary.total ? 'info' : 'error');
+
+        return { success: true, page_id: currentPage.page_id, summary };
+    } catch (error) {
+        console.error('Error verifying page:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Accept the proposed fingerprint match for an element that no longer resolves
+async function acceptHealing(elementId) {
+    try {
+        const element = await modules.storageClient.getElement(elementId);
+
+        if (!element) {
+            return { success: false, error: `Element ${elementId} not found` };
+        }
+
+        // Re-run the match against the current DOM, as nodes cannot be passed between contexts
+        const [result] = modules.pageVerifier.verifyElements([element]);
+        if (!result.proposal) {
+            return { success: false, error: 'No matching element found on this page' };
+        }
+
+        const healed = modules.pageVerifier.healElement(element, result.proposal.node);
+        const saved = await modules.storageClient.saveElement(healed, { updateLastElement: false, source: 'healing' });
+        if (!saved.success) {
+            return { success: false, error: modules.schemaValidator.formatValidationErrors(saved.errors).join('; ') };
+        }
+
+        modules.pageVerifier.highlightResults(modules.pageVerifier.verifyElements([healed]));
+        showNotification(`Element re-identified (version ${saved.record.version})`);
+
+        return { success: true, element_id: elementId, dom_selector: healed.dom_selector, version: saved.record.version };
+    } catch (error) {
+        console.error('Error healing element:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Scroll a stored element into view and outline it, for "Locate" in the library
+async function locateElement(elementId) {
+    try {
+        const element = await modules.storageClient.getElement(elementId);
+
+        if (!element) {
+            return { success: false, error: `Element ${elementId} not found` };
+        }
+
+        // Fall back to the fingerprint match when the selectors no longer resolve
+        const [result] = modules.pageVerifier.verifyElements([element]);
+        const node = result.matches[0] || (result.proposal && result.proposal.node);
+        if (!node) {
+            showNotification(`"${element.description}" was not found on this page`, 'error');
+            return { success: false, error: 'Element not found on this page', state: result.state };
+        }
+
+        node.scrollIntoView({ block: 'center' });
+        modules.pageVerifier.highlightResults([result]);
+        showNotification(result.state === 'found' ?
+            `Located "${element.description}"` :
+            `"${element.description}" is ${result.state}; the outlined match may not be the captured element`,
+            result.state === 'found' ? 'info' : 'error');
+
+        return { success: true, element_id: elementId, state: result.state };
+    } catch (error) {
+        console.error('Error locating element:', error);
+        return { success: false, error: error.message };
     }
 }
 
 // Capture page data
-async function capturePage() {
+async function capturePage(previousPageId = null) {
     try {
+        // Only pages this page's workspace accepts are recorded
+        if (!acceptsCurrentPage()) return;
+
         const currentUrl = window.location.href;
         const urlPattern = getUrlPattern(currentUrl);
+        const pageUrl = modules.urlPatterns.toPageUrl(currentUrl, urlRules);
 
         // Get existing page data
-        const { pageData = [] } = await chrome.storage.local.get(['pageData']);
+        const pageData = await modules.storageClient.getPages();
+
+        // Client-side navigations record the route they came from
+        const transition = previousPageId ? { node: previousPageId, action: 'navigate' } : null;
 
         // Check if this page is already captured
-        if (pageData.some(page => page.url_pattern === urlPattern)) {
-            return; // Already captured this page
+        const existingPage = modules.urlPatterns.findPageForUrl(currentUrl, pageData, urlRules);
+        if (existingPage) {
+            currentPageId = existingPage.page_id;
+
+            // Add the transition if this page has not been reached from that route before
+            const updates = {};
+            const from = existingPage.from || [];
+            if (transition && previousPageId !== existingPage.page_id && !from.some(source => source.node === previousPageId)) {
+                updates.from = [...from, transition];
+            }
+
+            // Pages captured before URLs were recorded get the one they are visited at
+            if (!existingPage.url) {
+                updates.url = pageUrl;
+            }
+
+            if (Object.keys(updates).length > 0) {
+                const result = await modules.storageClient.savePage({ ...existingPage, ...updates }, { source: 'navigation' });
+                if (!result.success) {
+                    console.error('Could not record page transition:', modules.schemaValidator.formatValidationErrors(result.errors));
+                }
+            }
+            return;
         }
 
-        // Generate page ID
-        const pageId = generatePageId(urlPattern);
+        // Generate page ID, disambiguated from pages with other URL patterns
+        const pageId = generatePageId(urlPattern, pageData);
 
         // Detect framework (simple detection)
         const framework = detectFramework();
 
-        // Create page data structure
+        // Create page data structure, starting the team's own fields at their schema defaults
         const pageInfo = {
+            ...getExtensionDefaults('page'),
             page_id: pageId,
             url_pattern: urlPattern,
+            url: pageUrl,
             framework: framework,
-            ui_version: "1.0",
+            ui_version: "1.0.0",
             description: document.title || "Untitled Page",
             KPI: null,
             updated_at: new Date().toISOString(),
+            from: transition ? [transition] : null
         };
 
-        // Update storage
-        await chrome.storage.local.set({
-            pageData: [...pageData, pageInfo]
-        });
+        // Update storage, recording the page's first revision
+        const result = await modules.storageClient.savePage(pageInfo, { source: 'capture' });
+        if (!result.success) {
+            console.error('Page data is invalid:', modules.schemaValidator.formatValidationErrors(result.errors));
+            showNotification('Page could not be captured; see the console for details', 'error');
+            return;
+        }
+        currentPageId = pageId;
 
         console.log('Page data captured:', pageInfo);
 
@@ -397,6 +862,101 @@ async function capturePage() {
     }
 }
 
+// Watch for client-side navigations in single-page apps
+function watchRouteChanges() {
+    currentPageUrl = window.location.href;
+
+    // pushState/replaceState calls are reported by the main-world history hook
+    window.addEventListener('dom-capture:locationchange', handleRouteChange);
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener('hashchange', handleRouteChange);
+
+    // Poll as a fallback for routers that change the URL in other ways
+    setInterval(handleRouteChange, ROUTE_POLL_INTERVAL);
+}
+
+// Capture the new route once the URL has changed since the last check
+function handleRouteChange() {
+    if (window.location.href === currentPageUrl) return;
+    currentPageUrl = window.location.href;
+
+    // Several URL updates in quick succession (e.g. redirects) are captured as one navigation
+    clearTimeout(routeChangeTimer);
+    routeChangeTimer = setTimeout(async () => {
+        // Verification overlays belong to the previous route
+        modules.pageVerifier.clearHighlights();
+
+        await capturePage(currentPageId);
+        await trackCapturedElements();
+
+        // Resume capture mode if it was paused for a navigation trigger
+        const storedCaptureMode = await modules.storageClient.getCaptureMode();
+        if (storedCaptureMode && !captureMode) {
+            enableCaptureMode();
+        }
+    }, ROUTE_SETTLE_DELAY);
+}
+
+// Watch the current page's captured elements and log changes made to them since capture
+async function trackCapturedElements() {
+    try {
+        modules.mutationTracker.stopTracking();
+
+        const currentPage = await getCurrentPage();
+        if (!currentPage) return;
+
+        const { records: pageElements } = await modules.storageClient.queryElements({ pageId: currentPage.page_id });
+        if (pageElements.length === 0) return;
+
+        modules.mutationTracker.startTracking(pageElements, events => {
+            modules.storageClient.appendMutationEvents(events);
+        }, document, urlRules);
+    } catch (error) {
+        console.error('Error tracking captured elements:', error);
+    }
+}
+
+// Helper function to find the stored page record for the current URL
+async function getCurrentPage() {
+    const pageData = await modules.storageClient.getPages();
+    return modules.urlPatterns.findPageForUrl(getPageUrl(), pageData, urlRules);
+}
+
+// Helper function to load this page's workspace and the list of all workspaces; record calls
+// from this tab go to that workspace whichever tab is focused. Resolves to whether it changed.
+async function loadWorkspace() {
+    const previousId = workspace ? workspace.workspace_id : null;
+    workspaces = await modules.storageClient.getWorkspaces();
+    workspace = await modules.storageClient.getWorkspaceForUrl(getPageUrl(), previousId);
+    modules.storageClient.setWorkspaceId(workspace.workspace_id);
+    return workspace.workspace_id !== previousId;
+}
+
+// Helper function to check whether this page's workspace accepts captures from it
+function acceptsCurrentPage() {
+    return modules.workspaces.workspaceAcceptsUrl(workspace, workspaces, getPageUrl());
+}
+
+// Helper function to get the URL of the page the user sees (the top frame's URL)
+function getPageUrl() {
+    return isTopFrame ? window.location.href : window.top.location.href;
+}
+
+// Helper function to check whether every frame up to the top shares this frame's origin
+function isSameOriginFrame() {
+    try {
+        return Boolean(window.top.location.href);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Helper function to get the real event target, looking through shadow DOM retargeting
+function getEventTarget(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    return path.find(node => node.nodeType === Node.ELEMENT_NODE) || e.target;
+}
+
 // Helper function to detect framework
 function detectFramework() {
     if (window.React || document.querySelector('[data-reactroot]')) {
@@ -411,20 +971,30 @@ function detectFramework() {
 }
 
 // Helper function to generate page ID
-function generatePageId(urlPattern) {
-    const urlSegments = urlPattern.split('/').filter(Boolean);
-    const lastSegment = urlSegments[urlSegments.length - 1] || 'home';
-    return `${lastSegment}_page_v1`;
+function generatePageId(urlPattern, pageData) {
+    const pageId = modules.idGenerator.generatePageId(urlPattern, idTemplates.page);
+    return modules.idGenerator.ensureUniqueId(pageId, pageData.map(page => page.page_id));
 }
 
 // Helper function to generate element ID
-function generateElementId(element) {
-    const type = getElementType(element);
-    const id = element.id || '';
-    const className = Array.from(element.classList).join('_') || '';
-    const text = element.textContent?.trim().substring(0, 20).replace(/\s+/g, '_') || '';
+function generateElementId(element, fingerprint, page, pageElements, elementIds) {
+    const elementId = modules.idGenerator.generateElementId({
+        pageId: page.page_id,
+        urlPattern: page.url_pattern,
+        type: getElementType(element),
+        fingerprint
+    }, idTemplates.element);
+
+    // Reuse the ID (or its disambiguated form) for the same element
+    const sameElement = pageElements.find(item =>
+        (item.element_id === elementId || item.element_id.startsWith(`${elementId}_`)) &&
+        modules.idGenerator.isSameElement(item, page.page_id, page.url_pattern, fingerprint));
+    if (sameElement) {
+        return sameElement.element_id;
+    }
 
-    return `${type}_${id || className || text || 'unknown'}_${Date.now().toString(36)}`.toLowerCase();
+    // Disambiguate if a different element already has the ID
+    return modules.idGenerator.ensureUniqueId(elementId, elementIds);
 }
 
 // Helper function to get element type
@@ -444,46 +1014,23 @@ function getElementType(element) {
     }
 }
 
-// Helper function to generate CSS selector
-function generateSelector(element) {
-    if (element.id) {
-        return `#${element.id}`;
-    }
-
-    if (element.className) {
-        const classes = Array.from(element.classList).join('.');
-        return `.${classes}`;
-    }
-
-    // Generate a selector based on tag and position
-    let selector = element.tagName.toLowerCase();
-    let parent = element.parentElement;
-    let nthChild = 1;
+// Helper function to get the defaults the schema extension declares for a record type
+function getExtensionDefaults(type) {
+    const extension = schemaExtension && schemaExtension[type];
+    const defaults = {};
 
-    if (parent) {
-        for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
-            if (sibling.tagName === element.tagName) {
-                nthChild++;
-            }
-        }
-
-        if (nthChild > 1 || element.nextElementSibling && element.nextElementSibling.tagName === element.tagName) {
-            selector += `:nth-child(${nthChild})`;
+    for (const [name, schema] of Object.entries((extension && extension.properties) || {})) {
+        if (schema.default !== undefined) {
+            defaults[name] = schema.default;
         }
     }
 
-    return selector;
+    return defaults;
 }
 
 // Helper function to get URL pattern for matching
 function getUrlPattern(url) {
-    try {
-        const parsedUrl = new URL(url);
-        // Remove query parameters and hashes
-        return parsedUrl.pathname;
-    } catch (e) {
-        return url;
-    }
+    return modules.urlPatterns.normalizeUrl(url, urlRules);
 }
 
 // Helper function to show notification
@@ -525,4 +1072,10 @@ function escapeHtml(html) {
     const div = document.createElement('div');
     div.textContent = html;
     return div.innerHTML;
-} 
\ No newline at end of file
+} 
+
+// Helper function to load the ES modules shared with the rest of the extension
+async function loadModules() {
+    const { initializeModules } = await import(chrome.runtime.getURL('src/utils/module-loader.js'));
+    return initializeModules();
+}
\ No newline at end of file
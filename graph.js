@@ -0,0 +1,291 @@
+// Journey Graph Page for DOM Capture Extension
+import {
+    getAllData,
+    saveElement,
+    savePage,
+    renameElement,
+    renamePage,
+    getRevisions,
+    restoreRevision
+} from './src/modules/storage-manager.js';
+import { buildGraph, toSvg, toDot } from './src/modules/graph-builder.js';
+import { diffRecords } from './src/modules/version-history.js';
+import { formatValidationErrors } from './src/modules/schema-validator.js';
+import { getChangedStores } from './src/modules/record-store.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // Get UI elements
+    const canvas = document.getElementById('graph-canvas');
+    const exportSvgBtn = document.getElementById('export-svg-btn');
+    const exportDotBtn = document.getElementById('export-dot-btn');
+    const orphans = document.getElementById('orphans');
+    const orphansList = document.getElementById('orphans-list');
+    const recordHeading = document.getElementById('record-heading');
+    const recordEmpty = document.getElementById('record-empty');
+    const recordForm = document.getElementById('record-form');
+    const recordId = document.getElementById('record-id');
+    const recordDescription = document.getElementById('record-description');
+    const recordKpi = document.getElementById('record-kpi');
+    const recordStatusField = document.getElementById('record-status-field');
+    const recordStatus = document.getElementById('record-status');
+    const recordCancel = document.getElementById('record-cancel');
+    const recordJson = document.getElementById('record-json');
+    const historyPanel = document.getElementById('history');
+    const historyList = document.getElementById('history-list');
+    const historyDetail = document.getElementById('history-detail');
+    const historyCompare = document.getElementById('history-compare');
+    const historyDiff = document.getElementById('history-diff');
+    const historyRestoreBtn = document.getElementById('history-restore-btn');
+
+    // Graph state
+    let graph = null;
+    let selected = null;
+    let revisions = [];
+    let selectedRevision = null;
+
+    await render();
+
+    // Re-render when captures change in other tabs
+    chrome.storage.onChanged.addListener((changes) => {
+        const changedStores = getChangedStores(changes);
+        if (['pages', 'elements', 'revisions'].some(store => changedStores.includes(store))) {
+            render();
+        }
+    });
+
+    // Select nodes and pages on click
+    canvas.addEventListener('click', (e) => {
+        const node = e.target.closest('[data-node-id]');
+        const cluster = e.target.closest('[data-page-id]');
+
+        if (node) {
+            const graphNode = graph.nodes.find(item => item.id === node.dataset.nodeId);
+            if (graphNode && graphNode.record) {
+                selectRecord('element', graphNode.record);
+            }
+        } else if (cluster && cluster.dataset.pageId) {
+            const graphCluster = graph.clusters.find(item => item.id === cluster.dataset.pageId);
+            if (graphCluster && graphCluster.page) {
+                selectRecord('page', graphCluster.page);
+            }
+        }
+    });
+
+    // Save edits to the selected record
+    recordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!selected) return;
+
+        // Rename first, so every reference to the record follows the new ID
+        const key = selected.type === 'element' ? 'element_id' : 'page_id';
+        const newId = recordId.value.trim();
+        if (newId !== selected.record[key]) {
+            const rename = selected.type === 'element' ? renameElement : renamePage;
+            const result = await rename(selected.record[key], newId);
+
+            if (!result.success) {
+                recordHeading.textContent = result.error;
+                return;
+            }
+            selected.record = { ...selected.record, [key]: newId };
+        }
+
+        const updated = {
+            ...selected.record,
+            description: recordDescription.value.trim(),
+            KPI: recordKpi.value.trim() || null
+        };
+
+        let saved;
+        if (selected.type === 'element') {
+            updated.status = recordStatus.value;
+            saved = await saveElement(updated, { updateLastElement: false, source: 'graph' });
+        } else {
+            saved = await savePage(updated, { source: 'graph' });
+        }
+
+        recordHeading.textContent = saved.success ? 'Saved' :
+            `Save failed: ${formatValidationErrors(saved.errors).join('; ')}`;
+        await render();
+    });
+
+    // Close the record editor
+    recordCancel.addEventListener('click', () => selectRecord(null, null));
+
+    // Switch what the selected revision is compared with
+    historyCompare.addEventListener('change', () => showRevision(selectedRevision));
+
+    // Restore the selected revision as a new revision of the record
+    historyRestoreBtn.addEventListener('click', async () => {
+        if (!selectedRevision) return;
+
+        if (confirm(`Restore version ${selectedRevision.version} of this record?`)) {
+            const restored = await restoreRevision(selectedRevision.revision_id);
+            recordHeading.textContent = restored.success ? 'Restored' :
+                `Restore failed: ${formatValidationErrors(restored.errors).join('; ')}`;
+            await render();
+        }
+    });
+
+    // Export as SVG
+    exportSvgBtn.addEventListener('click', () => {
+        download(toSvg(graph), 'image/svg+xml', 'svg');
+    });
+
+    // Export as Graphviz DOT
+    exportDotBtn.addEventListener('click', () => {
+        download(toDot(graph), 'text/vnd.graphviz', 'dot');
+    });
+
+    // Helper function to rebuild and draw the graph from storage
+    async function render() {
+        const { pageData, elementData } = await getAllData();
+        graph = buildGraph(pageData, elementData);
+
+        if (graph.nodes.length === 0) {
+            canvas.innerHTML = '<p class="empty">No elements captured yet.</p>';
+        } else {
+            canvas.innerHTML = toSvg(graph);
+        }
+
+        renderOrphans();
+
+        // Keep the selection in sync with the stored record
+        if (selected) {
+            const records = selected.type === 'element' ? elementData : pageData;
+            const key = selected.type === 'element' ? 'element_id' : 'page_id';
+            const record = records.find(item => item[key] === selected.record[key]);
+            selectRecord(record ? selected.type : null, record || null);
+        }
+    }
+
+    // Helper function to list references to elements that do not exist
+    function renderOrphans() {
+        orphansList.innerHTML = '';
+
+        for (const orphan of graph.orphans) {
+            const item = document.createElement('li');
+            item.textContent = `${orphan.element_id} ← ${orphan.missing} (${orphan.action})`;
+            orphansList.appendChild(item);
+        }
+
+        orphans.classList.toggle('hidden', graph.orphans.length === 0);
+    }
+
+    // Helper function to show a record in the sidebar
+    function selectRecord(type, record) {
+        selected = type ? { type, record } : null;
+
+        canvas.querySelectorAll('.node.selected').forEach(node => node.classList.remove('selected'));
+        recordForm.classList.toggle('hidden', !selected);
+        recordJson.classList.toggle('hidden', !selected);
+        recordEmpty.classList.toggle('hidden', Boolean(selected));
+
+        if (!selected) {
+            recordHeading.textContent = 'Record';
+            historyPanel.classList.add('hidden');
+            return;
+        }
+
+        if (type === 'element') {
+            const node = canvas.querySelector(`[data-node-id="${CSS.escape(record.element_id)}"]`);
+            if (node) node.classList.add('selected');
+        }
+
+        recordHeading.textContent = type === 'element' ? record.element_id : record.page_id;
+        recordId.value = type === 'element' ? record.element_id : record.page_id;
+        recordDescription.value = record.description || '';
+        recordKpi.value = record.KPI || '';
+        recordStatusField.classList.toggle('hidden', type !== 'element');
+        recordStatus.value = record.status || 'active';
+        recordJson.textContent = JSON.stringify(record, null, 2);
+
+        renderHistory(type, record);
+    }
+
+    // Helper function to list the revisions of the selected record, newest first
+    async function renderHistory(type, record) {
+        revisions = await getRevisions(type, type === 'element' ? record.element_id : record.page_id);
+        selectedRevision = null;
+
+        historyList.innerHTML = '';
+        historyDetail.classList.add('hidden');
+        historyPanel.classList.toggle('hidden', revisions.length === 0);
+
+        for (const revision of [...revisions].reverse()) {
+            const item = document.createElement('li');
+            const title = document.createElement('div');
+            const meta = document.createElement('div');
+
+            title.textContent = `v${revision.version} · ${revision.action} · ${revision.changes.length} field(s)`;
+            meta.className = 'history-meta';
+            meta.textContent = [
+                new Date(revision.changed_at).toLocaleString(),
+                revision.changed_by ? `by ${revision.changed_by}` : null,
+                revision.source ? `via ${revision.source}` : null
+            ].filter(Boolean).join(' · ');
+
+            item.append(title, meta);
+            item.addEventListener('click', () => {
+                historyList.querySelectorAll('li.selected').forEach(li => li.classList.remove('selected'));
+                item.classList.add('selected');
+                showRevision(revision);
+            });
+            historyList.appendChild(item);
+        }
+    }
+
+    // Helper function to show the diff of a revision against the previous revision or the current record
+    function showRevision(revision) {
+        selectedRevision = revision;
+        if (!revision) return;
+
+        const index = revisions.indexOf(revision);
+        const changes = historyCompare.value === 'current' ?
+            diffRecords(revision.snapshot, selected.record) :
+            diffRecords(index > 0 ? revisions[index - 1].snapshot : {}, revision.snapshot);
+
+        historyDiff.innerHTML = '';
+        if (changes.length === 0) {
+            const row = historyDiff.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 3;
+            cell.textContent = 'No differences';
+        }
+
+        for (const change of changes) {
+            const row = historyDiff.insertRow();
+            row.insertCell().textContent = change.field;
+
+            const before = row.insertCell();
+            before.className = 'before';
+            before.textContent = formatValue(change.before);
+
+            const after = row.insertCell();
+            after.className = 'after';
+            after.textContent = formatValue(change.after);
+        }
+
+        historyRestoreBtn.disabled = revision === revisions[revisions.length - 1];
+        historyDetail.classList.remove('hidden');
+    }
+
+    // Helper function to show a field value in a diff cell
+    function formatValue(value) {
+        if (value === null || value === undefined) return '—';
+        return typeof value === 'string' ? value : JSON.stringify(value, null, 1);
+    }
+
+    // Helper function to download generated content
+    function download(content, type, extension) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `dom-capture-graph-${new Date().toISOString().substring(0, 10)}.${extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+});
@@ -0,0 +1,24 @@
+// History Hook for DOM Capture Extension
+// Runs in the page's main world so client-side route changes made through the History API
+// can be observed by the content script, which cannot see the page's own history calls
+
+(function () {
+    // Avoid wrapping the History API twice if the script is injected again
+    if (window.__domCaptureHistoryHook) return;
+    window.__domCaptureHistoryHook = true;
+
+    for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+
+        history[method] = function (...args) {
+            const result = original.apply(this, args);
+
+            // Events on window are shared with the content script's isolated world
+            window.dispatchEvent(new CustomEvent('dom-capture:locationchange', {
+                detail: { method }
+            }));
+
+            return result;
+        };
+    }
+})();
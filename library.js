@@ -0,0 +1,429 @@
+// Capture Library Page for DOM Capture Extension
+import {
+    getAllData,
+    saveElement,
+    savePage,
+    setElementStatuses,
+    deleteRecords,
+    getActiveWorkspace
+} from './src/modules/storage-manager.js';
+import { NO_KPI, getRecordId, getLibraryFacets, filterLibrary, sortLibrary } from './src/modules/library-query.js';
+import { formatValidationErrors } from './src/modules/schema-validator.js';
+import { formatWorkspaceLabel } from './src/modules/workspaces.js';
+import { getChangedStores } from './src/modules/record-store.js';
+
+// Rows added each time "Show More" is pressed
+const ROWS_PER_PAGE = 100;
+
+// Statuses an element can be given
+const ELEMENT_STATUSES = ['active', 'inactive', 'deprecated'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // Get UI elements
+    const workspaceLabel = document.getElementById('workspace-label');
+    const filterKind = document.getElementById('filter-kind');
+    const filterSearch = document.getElementById('filter-search');
+    const filterPage = document.getElementById('filter-page');
+    const filterType = document.getElementById('filter-type');
+    const filterStatus = document.getElementById('filter-status');
+    const filterKpi = document.getElementById('filter-kpi');
+    const filterFrom = document.getElementById('filter-from');
+    const filterTo = document.getElementById('filter-to');
+    const sortSelect = document.getElementById('sort');
+    const clearFiltersBtn = document.getElementById('clear-filters-btn');
+    const selectionCount = document.getElementById('selection-count');
+    const bulkStatus = document.getElementById('bulk-status');
+    const bulkStatusBtn = document.getElementById('bulk-status-btn');
+    const bulkDeleteBtn = document.getElementById('bulk-delete-btn');
+    const statusMessage = document.getElementById('status-message');
+    const recordsHead = document.getElementById('records-head');
+    const recordsBody = document.getElementById('records-body');
+    const recordsEmpty = document.getElementById('records-empty');
+    const more = document.getElementById('more');
+    const moreBtn = document.getElementById('more-btn');
+    const kpiOptions = document.getElementById('kpi-options');
+
+    // Library state
+    let data = { pageData: [], elementData: [], journeys: [] };
+    let matching = [];
+    let rowLimit = ROWS_PER_PAGE;
+    const selected = new Set();
+
+    await load();
+
+    // Reload when records change in other tabs or another workspace is picked
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace !== 'local') return;
+
+        if (changes.activeWorkspaceId) {
+            selected.clear();
+        }
+        const changedStores = getChangedStores(changes);
+        if (changes.activeWorkspaceId || changes.workspaces || ['pages', 'elements'].some(store => changedStores.includes(store))) {
+            load();
+        }
+    });
+
+    // Re-filter as the filters change, starting again from the first rows
+    for (const control of [filterSearch, filterPage, filterType, filterStatus, filterKpi, filterFrom, filterTo, sortSelect]) {
+        control.addEventListener(control === filterSearch ? 'input' : 'change', () => {
+            rowLimit = ROWS_PER_PAGE;
+            render();
+        });
+    }
+
+    // Switch between pages and elements
+    filterKind.addEventListener('change', () => {
+        selected.clear();
+        rowLimit = ROWS_PER_PAGE;
+        render();
+    });
+
+    // Reset every filter
+    clearFiltersBtn.addEventListener('click', () => {
+        for (const control of [filterSearch, filterPage, filterType, filterStatus, filterKpi, filterFrom, filterTo]) {
+            control.value = '';
+        }
+        rowLimit = ROWS_PER_PAGE;
+        render();
+    });
+
+    // Show the next rows
+    moreBtn.addEventListener('click', () => {
+        rowLimit += ROWS_PER_PAGE;
+        render();
+    });
+
+    // Select rows, or every matching row from the header
+    recordsHead.addEventListener('change', (e) => {
+        if (e.target.name !== 'select-all') return;
+
+        for (const record of matching) {
+            if (e.target.checked) {
+                selected.add(getRecordId(record));
+            } else {
+                selected.delete(getRecordId(record));
+            }
+        }
+        render();
+    });
+
+    // Save inline edits as soon as a field is changed
+    recordsBody.addEventListener('change', async (e) => {
+        const row = e.target.closest('tr');
+        if (!row) return;
+
+        if (e.target.name === 'select') {
+            if (e.target.checked) {
+                selected.add(row.dataset.id);
+            } else {
+                selected.delete(row.dataset.id);
+            }
+            renderSelection();
+            return;
+        }
+
+        await saveRow(row);
+    });
+
+    // Open the page an element is on and highlight it, or open a page
+    recordsBody.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const row = button.closest('tr');
+        if (button.dataset.action === 'open') {
+            const page = data.pageData.find(item => item.page_id === row.dataset.id);
+            chrome.tabs.create({ url: page.url });
+            return;
+        }
+
+        showStatus(`Locating ${row.dataset.id}…`);
+        const response = await chrome.runtime.sendMessage({ action: 'locateElement', elementId: row.dataset.id });
+        if (!response || !response.success) {
+            showStatus(`Could not locate ${row.dataset.id}: ${response ? response.error : 'no response'}`, true);
+        } else {
+            showStatus(response.state === 'found' ? `Located ${row.dataset.id}` : `${row.dataset.id} is ${response.state} on the page`, response.state !== 'found');
+        }
+    });
+
+    // Give every selected element the chosen status
+    bulkStatusBtn.addEventListener('click', async () => {
+        const ids = [...selected];
+        const result = await setElementStatuses(ids, bulkStatus.value, { source: 'library' });
+
+        if (!result.success) {
+            showStatus(`Status not changed: ${formatValidationErrors(result.errors).join('; ')}`, true);
+            return;
+        }
+        showStatus(`Set ${ids.length} element(s) to ${bulkStatus.value}`);
+    });
+
+    // Delete the selected records, keeping references to them consistent
+    bulkDeleteBtn.addEventListener('click', async () => {
+        const kind = filterKind.value;
+        const ids = [...selected];
+        const elementCount = kind === 'page' ?
+            data.elementData.filter(element => selected.has(element.page_id)).length :
+            0;
+
+        const question = kind === 'page' ?
+            `Delete ${ids.length} page(s) and the ${elementCount} element(s) captured on them?` :
+            `Delete ${ids.length} element(s)?`;
+        if (!confirm(`${question} Flows through them are reconnected to the records they were reached from. This cannot be undone.`)) {
+            return;
+        }
+
+        const result = await deleteRecords(kind, ids);
+        if (!result.success) {
+            showStatus(`Nothing deleted: ${result.error}`, true);
+            return;
+        }
+
+        selected.clear();
+        showStatus(`Deleted ${result.deleted.pages.length} page(s) and ${result.deleted.elements.length} element(s)`);
+    });
+
+    // Helper function to read the workspace's records and refresh the page
+    async function load() {
+        const workspace = await getActiveWorkspace();
+        data = await getAllData();
+
+        workspaceLabel.textContent = `Workspace: ${formatWorkspaceLabel(workspace)}`;
+        renderFilterOptions(workspace);
+        render();
+    }
+
+    // Helper function to fill the page, type and KPI choices from the stored records
+    function renderFilterOptions(workspace) {
+        const facets = getLibraryFacets(data.pageData, data.elementData);
+        const pages = [...data.pageData].sort((a, b) => a.page_id.localeCompare(b.page_id));
+
+        fillSelect(filterPage, 'All pages', pages.map(page => [page.page_id, `${page.description} (${page.page_id})`]));
+        fillSelect(filterType, 'All types', facets.types.map(type => [type, type]));
+        fillSelect(filterKpi, 'Any KPI', [[NO_KPI, 'No KPI'], ...facets.kpis.map(kpi => [kpi, kpi])]);
+
+        kpiOptions.innerHTML = '';
+        for (const kpi of new Set([...workspace.kpis, ...facets.kpis])) {
+            const option = document.createElement('option');
+            option.value = kpi;
+            kpiOptions.appendChild(option);
+        }
+    }
+
+    // Helper function to replace a select's options, keeping its value if it is still offered
+    function fillSelect(select, emptyLabel, options) {
+        const previous = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(emptyLabel, ''));
+
+        for (const [value, label] of options) {
+            select.appendChild(new Option(label, value));
+        }
+        select.value = options.some(([value]) => value === previous) ? previous : '';
+    }
+
+    // Helper function to draw the records matching the filters
+    function render() {
+        const kind = filterKind.value;
+        const records = kind === 'page' ? data.pageData : data.elementData;
+
+        document.querySelectorAll('.element-only').forEach(control => control.classList.toggle('hidden', kind !== 'element'));
+
+        // Forget selected records that no longer exist
+        const ids = new Set(records.map(getRecordId));
+        [...selected].filter(id => !ids.has(id)).forEach(id => selected.delete(id));
+
+        matching = sortLibrary(filterLibrary(kind, records, {
+            search: filterSearch.value,
+            pageId: filterPage.value || null,
+            type: filterType.value || null,
+            status: filterStatus.value || null,
+            kpi: filterKpi.value || null,
+            from: filterFrom.value || null,
+            to: filterTo.value || null
+        }), sortSelect.value);
+
+        // Keep the field being edited, and what was typed into it, across the redraw
+        const focused = recordsBody.contains(document.activeElement) && document.activeElement.name ?
+            { id: document.activeElement.closest('tr').dataset.id, name: document.activeElement.name, value: document.activeElement.value } :
+            null;
+
+        renderHead(kind);
+        recordsBody.innerHTML = '';
+        for (const record of matching.slice(0, rowLimit)) {
+            recordsBody.appendChild(kind === 'page' ? renderPageRow(record) : renderElementRow(record));
+        }
+
+        if (focused) {
+            const row = recordsBody.querySelector(`tr[data-id="${CSS.escape(focused.id)}"]`);
+            const field = row && row.querySelector(`[name="${focused.name}"]`);
+            if (field) {
+                field.value = focused.value;
+                field.focus();
+            }
+        }
+
+        recordsEmpty.textContent = records.length === 0 ?
+            `No ${kind}s captured in this workspace yet.` :
+            `No ${kind}s match the filters.`;
+        recordsEmpty.classList.toggle('hidden', matching.length > 0);
+        more.classList.toggle('hidden', matching.length <= rowLimit);
+        moreBtn.textContent = `Show More (${matching.length - rowLimit} left)`;
+
+        renderSelection();
+    }
+
+    // Helper function to draw the column headings for pages or elements
+    function renderHead(kind) {
+        const columns = kind === 'page' ?
+            ['ID', 'Description', 'KPI', 'Elements', 'Updated', ''] :
+            ['ID', 'Page', 'Description', 'KPI', 'Status', 'Updated', ''];
+
+        recordsHead.innerHTML = '<th><input type="checkbox" name="select-all" title="Select all matching"></th>';
+        for (const column of columns) {
+            const heading = document.createElement('th');
+            heading.textContent = column;
+            recordsHead.appendChild(heading);
+        }
+    }
+
+    // Helper function to build an editable row for a page
+    function renderPageRow(page) {
+        const row = createRow(page.page_id, `${page.url_pattern} · v${page.ui_version}`);
+        const elementCount = data.elementData.filter(element => element.page_id === page.page_id).length;
+
+        row.appendChild(createInputCell('description', page.description));
+        row.appendChild(createInputCell('KPI', page.KPI || ''));
+        row.insertCell().textContent = elementCount;
+        row.insertCell().textContent = formatDate(page.updated_at);
+
+        const actions = row.insertCell();
+        if (page.url) {
+            actions.appendChild(createButton('open', 'Open', page.url));
+        }
+        return row;
+    }
+
+    // Helper function to build an editable row for an element
+    function renderElementRow(element) {
+        const row = createRow(element.element_id, `${element.type} · v${element.version} · ${element.dom_selector}`);
+        const page = data.pageData.find(item => item.page_id === element.page_id);
+
+        row.insertCell().textContent = page ? page.description : element.page_id;
+        row.appendChild(createInputCell('description', element.description));
+        row.appendChild(createInputCell('KPI', element.KPI || ''));
+
+        const status = document.createElement('select');
+        status.name = 'status';
+        for (const value of ELEMENT_STATUSES) {
+            status.appendChild(new Option(value, value));
+        }
+        status.value = element.status;
+        row.insertCell().appendChild(status);
+
+        row.insertCell().textContent = formatDate(element.updated_at);
+        row.insertCell().appendChild(createButton('locate', 'Locate',
+            page && page.url ? `Open ${page.url} and highlight the element` : 'Highlight the element in an open tab showing its page'));
+        return row;
+    }
+
+    // Helper function to start a row with its checkbox and ID
+    function createRow(id, meta) {
+        const row = document.createElement('tr');
+        row.dataset.id = id;
+
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.name = 'select';
+        select.checked = selected.has(id);
+        row.insertCell().appendChild(select);
+
+        const idCell = row.insertCell();
+        const idText = document.createElement('div');
+        const metaText = document.createElement('div');
+        idText.className = 'id';
+        idText.textContent = id;
+        metaText.className = 'meta';
+        metaText.textContent = meta;
+        idCell.append(idText, metaText);
+
+        return row;
+    }
+
+    // Helper function to build a cell with an inline text field
+    function createInputCell(name, value) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = name;
+        input.value = value;
+        if (name === 'KPI') {
+            input.setAttribute('list', 'kpi-options');
+        }
+        cell.appendChild(input);
+        return cell;
+    }
+
+    // Helper function to build a row action button
+    function createButton(action, label, title) {
+        const button = document.createElement('button');
+        button.className = 'button small';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.title = title;
+        return button;
+    }
+
+    // Helper function to save the inline fields of a row
+    async function saveRow(row) {
+        const kind = filterKind.value;
+        const records = kind === 'page' ? data.pageData : data.elementData;
+        const record = records.find(item => getRecordId(item) === row.dataset.id);
+        if (!record) return;
+
+        const updated = {
+            ...record,
+            description: row.querySelector('[name="description"]').value.trim(),
+            KPI: row.querySelector('[name="KPI"]').value.trim() || null
+        };
+
+        let saved;
+        if (kind === 'element') {
+            updated.status = row.querySelector('[name="status"]').value;
+            saved = await saveElement(updated, { updateLastElement: false, source: 'library' });
+        } else {
+            saved = await savePage(updated, { source: 'library' });
+        }
+
+        row.classList.toggle('invalid', !saved.success);
+        if (!saved.success) {
+            showStatus(`${row.dataset.id} not saved: ${formatValidationErrors(saved.errors).join('; ')}`, true);
+            return;
+        }
+        showStatus(`Saved ${row.dataset.id} (version ${kind === 'element' ? saved.record.version : saved.record.ui_version})`);
+    }
+
+    // Helper function to show how many records are selected and enable the bulk actions
+    function renderSelection() {
+        selectionCount.textContent = `${selected.size} selected of ${matching.length} matching`;
+        bulkStatusBtn.disabled = selected.size === 0;
+        bulkDeleteBtn.disabled = selected.size === 0;
+
+        const selectAll = recordsHead.querySelector('[name="select-all"]');
+        const selectedMatching = matching.filter(record => selected.has(getRecordId(record))).length;
+        selectAll.checked = matching.length > 0 && selectedMatching === matching.length;
+        selectAll.indeterminate = selectedMatching > 0 && selectedMatching < matching.length;
+    }
+
+    // Helper function to format a stored timestamp for the table
+    function formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '—';
+    }
+
+    // Helper function to show the outcome of the last action
+    function showStatus(message, isError = false) {
+        statusMessage.textContent = message;
+        statusMessage.classList.toggle('error', isError);
+    }
+});
@@ -0,0 +1,677 @@
+// Settings Page for DOM Capture Extension
+import {
+    getAllUrlPatternRules,
+    saveUrlPatternRules,
+    getIdTemplates,
+    saveIdTemplates,
+    getAuthorName,
+    saveAuthorName,
+    getSchemaExtension,
+    saveSchemaExtension,
+    getAllData,
+    repairRecord,
+    previewImport,
+    importData,
+    getSyncSettings,
+    saveSyncSettings,
+    getWorkspaceState,
+    getWorkspaces,
+    getActiveWorkspace,
+    saveWorkspace,
+    deleteWorkspace,
+    setActiveWorkspace
+} from './src/modules/storage-manager.js';
+import { DEFAULT_URL_RULES, normalizeUrl } from './src/modules/url-patterns.js';
+import { DEFAULT_ID_TEMPLATES, findUnknownTokens } from './src/modules/id-generator.js';
+import { formatValidationErrors } from './src/modules/schema-validator.js';
+import { findInvalidRecords } from './src/modules/record-repair.js';
+import { MERGE_STRATEGIES, IMPORT_TYPES } from './src/modules/import-merge.js';
+import { diffRecords } from './src/modules/version-history.js';
+import { DEFAULT_WORKSPACE_ID, hasWorkspaceStateChange, formatWorkspaceLabel } from './src/modules/workspaces.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // Get UI elements
+    const workspacesContainer = document.getElementById('workspaces');
+    const newWorkspaceName = document.getElementById('new-workspace-name');
+    const addWorkspaceBtn = document.getElementById('add-workspace-btn');
+    const workspaceErrors = document.getElementById('workspace-errors');
+    const urlRulesContainer = document.getElementById('url-rules');
+    const newOrigin = document.getElementById('new-origin');
+    const addOriginBtn = document.getElementById('add-origin-btn');
+    const testUrl = document.getElementById('test-url');
+    const testUrlBtn = document.getElementById('test-url-btn');
+    const testUrlResult = document.getElementById('test-url-result');
+    const pageIdTemplate = document.getElementById('page-id-template');
+    const elementIdTemplate = document.getElementById('element-id-template');
+    const saveIdTemplatesBtn = document.getElementById('save-id-templates-btn');
+    const resetIdTemplatesBtn = document.getElementById('reset-id-templates-btn');
+    const authorName = document.getElementById('author-name');
+    const saveAuthorBtn = document.getElementById('save-author-btn');
+    const schemaExtension = document.getElementById('schema-extension');
+    const schemaExtensionFile = document.getElementById('schema-extension-file');
+    const schemaExtensionErrors = document.getElementById('schema-extension-errors');
+    const loadSchemaExtensionBtn = document.getElementById('load-schema-extension-btn');
+    const saveSchemaExtensionBtn = document.getElementById('save-schema-extension-btn');
+    const removeSchemaExtensionBtn = document.getElementById('remove-schema-extension-btn');
+    const scanRecordsBtn = document.getElementById('scan-records-btn');
+    const repairAllBtn = document.getElementById('repair-all-btn');
+    const invalidRecordsSummary = document.getElementById('invalid-records-summary');
+    const invalidRecordsContainer = document.getElementById('invalid-records');
+    const loadImportBtn = document.getElementById('load-import-btn');
+    const importFile = document.getElementById('import-file');
+    const importStrategy = document.getElementById('import-strategy');
+    const applyImportBtn = document.getElementById('apply-import-btn');
+    const importErrors = document.getElementById('import-errors');
+    const importSummary = document.getElementById('import-summary');
+    const importPreview = document.getElementById('import-preview');
+    const syncEndpoint = document.getElementById('sync-endpoint');
+    const syncToken = document.getElementById('sync-token');
+    const syncInterval = document.getElementById('sync-interval');
+    const syncEnabled = document.getElementById('sync-enabled');
+    const saveSyncBtn = document.getElementById('save-sync-btn');
+    const syncNowBtn = document.getElementById('sync-now-btn');
+    const syncErrors = document.getElementById('sync-errors');
+    const syncStatus = document.getElementById('sync-status');
+    const status = document.getElementById('status');
+
+    await renderWorkspaces();
+    await renderUrlRules();
+    await renderIdTemplates();
+    authorName.value = await getAuthorName() || '';
+    await renderSchemaExtension();
+    await renderInvalidRecords();
+    await renderSyncSettings();
+    await renderSyncStatus();
+
+    // Export file loaded for import, and the plan previewed for it
+    let importExport = null;
+    let importPlan = null;
+
+    for (const [strategy, label] of Object.entries(MERGE_STRATEGIES)) {
+        const option = document.createElement('option');
+        option.value = strategy;
+        option.textContent = `Conflicts: ${label}`;
+        importStrategy.appendChild(option);
+    }
+    importStrategy.value = 'newest';
+
+    // Add a workspace with just a name; origins, KPIs and the environment are filled in on its card
+    addWorkspaceBtn.addEventListener('click', async () => {
+        const result = await saveWorkspace({ name: newWorkspaceName.value });
+        if (!result.success) {
+            showWorkspaceErrors(formatValidationErrors(result.errors));
+            return;
+        }
+
+        newWorkspaceName.value = '';
+        await renderWorkspaces();
+        showStatus(`Added workspace ${result.workspace.name}`);
+    });
+
+    // Add rules for a new origin
+    addOriginBtn.addEventListener('click', async () => {
+        let origin;
+        try {
+            origin = new URL(newOrigin.value.trim()).origin;
+        } catch (error) {
+            showStatus('Enter a full origin, e.g. https://app.example.com');
+            return;
+        }
+
+        const rules = await getAllUrlPatternRules();
+        if (!rules[origin]) {
+            await saveUrlPatternRules(origin, { ...DEFAULT_URL_RULES });
+        }
+
+        newOrigin.value = '';
+        await renderUrlRules();
+    });
+
+    // Show the pattern a URL maps to with the current rules
+    testUrlBtn.addEventListener('click', async () => {
+        let origin;
+        try {
+            origin = new URL(testUrl.value.trim()).origin;
+        } catch (error) {
+            showStatus('Enter a full URL');
+            return;
+        }
+
+        const rules = await getAllUrlPatternRules();
+        testUrlResult.textContent = normalizeUrl(testUrl.value.trim(), rules[origin]);
+        testUrlResult.hidden = false;
+    });
+
+    // Save the ID naming templates
+    saveIdTemplatesBtn.addEventListener('click', async () => {
+        const templates = {
+            page: pageIdTemplate.value.trim(),
+            element: elementIdTemplate.value.trim()
+        };
+
+        for (const kind of ['page', 'element']) {
+            if (!templates[kind]) {
+                showStatus(`The ${kind} ID template cannot be empty`);
+                return;
+            }
+
+            const unknown = findUnknownTokens(kind, templates[kind]);
+            if (unknown.length > 0) {
+                showStatus(`Unknown ${kind} template token: {${unknown[0]}}`);
+                return;
+            }
+        }
+
+        await saveIdTemplates(templates);
+        showStatus('Saved ID templates');
+    });
+
+    // Restore the default ID naming templates
+    resetIdTemplatesBtn.addEventListener('click', async () => {
+        await saveIdTemplates({ ...DEFAULT_ID_TEMPLATES });
+        await renderIdTemplates();
+        showStatus('Restored default ID templates');
+    });
+
+    // Save the name recorded on revisions
+    saveAuthorBtn.addEventListener('click', async () => {
+        await saveAuthorName(authorName.value.trim());
+        showStatus('Saved name');
+    });
+
+    // Load a schema extension from a JSON file into the editor
+    loadSchemaExtensionBtn.addEventListener('click', () => schemaExtensionFile.click());
+
+    schemaExtensionFile.addEventListener('change', async () => {
+        const file = schemaExtensionFile.files[0];
+        if (!file) return;
+
+        schemaExtension.value = await file.text();
+        schemaExtensionFile.value = '';
+        showStatus(`Loaded ${file.name}; review it and save`);
+    });
+
+    // Check and save the schema extension
+    saveSchemaExtensionBtn.addEventListener('click', async () => {
+        const text = schemaExtension.value.trim();
+        let extension = null;
+
+        if (text) {
+            try {
+                extension = JSON.parse(text);
+            } catch (error) {
+                showSchemaExtensionErrors([`Invalid JSON: ${error.message}`]);
+                return;
+            }
+        }
+
+        const result = await saveSchemaExtension(extension);
+        if (!result.success) {
+            showSchemaExtensionErrors(formatValidationErrors(result.errors));
+            return;
+        }
+
+        await renderSchemaExtension();
+        await renderInvalidRecords();
+        showStatus(extension ? 'Saved schema extension' : 'Removed schema extension');
+    });
+
+    // Remove the schema extension
+    removeSchemaExtensionBtn.addEventListener('click', async () => {
+        await saveSchemaExtension(null);
+        await renderSchemaExtension();
+        await renderInvalidRecords();
+        showStatus('Removed schema extension');
+    });
+
+    // Check stored records against the schema again
+    scanRecordsBtn.addEventListener('click', renderInvalidRecords);
+
+    // Repair every invalid record that can be repaired automatically
+    repairAllBtn.addEventListener('click', async () => {
+        const invalid = findInvalidRecords(await getAllData(), await getSchemaExtension());
+        let repaired = 0;
+
+        for (const { type, id, repairable } of invalid) {
+            if (repairable && (await repairRecord(type, id)).success) {
+                repaired++;
+            }
+        }
+
+        await renderInvalidRecords();
+        showStatus(`Repaired ${repaired} of ${invalid.length} invalid records`);
+    });
+
+    // Load an export file and preview how it merges into stored data
+    loadImportBtn.addEventListener('click', () => importFile.click());
+
+    importFile.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        if (!file) return;
+        importFile.value = '';
+
+        try {
+            importExport = JSON.parse(await file.text());
+        } catch (error) {
+            importExport = null;
+            await renderImportPreview([`Invalid JSON: ${error.message}`]);
+            return;
+        }
+
+        await renderImportPreview();
+        showStatus(`Loaded ${file.name}`);
+    });
+
+    // Merge the loaded export into stored data
+    applyImportBtn.addEventListener('click', async () => {
+        const overrides = {};
+        for (const select of importPreview.querySelectorAll('select[data-key]')) {
+            if (select.value) {
+                overrides[select.dataset.key] = select.value;
+            }
+        }
+
+        const result = await importData(importExport, { strategy: importStrategy.value, overrides });
+        if (!result.success) {
+            await renderImportPreview(formatValidationErrors(result.errors));
+            return;
+        }
+
+        await renderImportPreview();
+        await renderInvalidRecords();
+        showStatus(`Imported ${result.counts.added} new and ${result.counts.updated} updated records`);
+    });
+
+    // Save the sync settings, asking for access to the endpoint's origin first
+    saveSyncBtn.addEventListener('click', async () => {
+        const settings = {
+            enabled: syncEnabled.checked,
+            endpoint: syncEndpoint.value.trim(),
+            token: syncToken.value.trim(),
+            intervalMinutes: Number(syncInterval.value)
+        };
+        syncErrors.hidden = true;
+
+        if (settings.enabled) {
+            let origin;
+            try {
+                origin = new URL(settings.endpoint).origin;
+            } catch (error) {
+                origin = null;
+            }
+
+            if (origin && !(await chrome.permissions.request({ origins: [`${origin}/*`] }))) {
+                showStatus(`Sync needs access to ${origin}`);
+                return;
+            }
+        }
+
+        const result = await saveSyncSettings(settings);
+        if (!result.success) {
+            syncErrors.textContent = formatValidationErrors(result.errors).join('\n');
+            syncErrors.hidden = false;
+            return;
+        }
+
+        showStatus(settings.enabled ? 'Saved sync settings; syncing now' : 'Saved sync settings');
+    });
+
+    // Sync right away, without waiting for a retry
+    syncNowBtn.addEventListener('click', async () => {
+        syncNowBtn.disabled = true;
+        const result = await chrome.runtime.sendMessage({ action: 'syncNow' });
+        syncNowBtn.disabled = false;
+
+        showStatus(result.success ? `Synced; pulled ${result.pulled} records` : `Sync failed: ${result.error}`);
+    });
+
+    // Keep the workspaces and sync status current while the page is open
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace !== 'local') return;
+
+        if (changes.workspaces || changes.activeWorkspaceId) {
+            renderWorkspaces();
+        }
+        if (changes.activeWorkspaceId) {
+            renderInvalidRecords();
+        }
+        if (changes.activeWorkspaceId || hasWorkspaceStateChange(changes, 'syncState') || hasWorkspaceStateChange(changes, 'syncQueue')) {
+            renderSyncStatus();
+        }
+    });
+
+    // Helper function to preview the loaded export, with a resolution choice for each changed record
+    async function renderImportPreview(errors = []) {
+        importPlan = null;
+
+        if (importExport && errors.length === 0) {
+            const preview = await previewImport(importExport);
+            errors = preview.success ? [] : formatValidationErrors(preview.errors);
+            importPlan = preview.plan;
+        }
+
+        importErrors.textContent = errors.join('\n');
+        importErrors.hidden = errors.length === 0;
+        importPreview.hidden = !importPlan;
+        applyImportBtn.disabled = !importPlan || importPlan.entries.every(entry => entry.status === 'unchanged');
+        importSummary.textContent = importPlan ?
+            `${importPlan.counts.add} to add, ${importPlan.counts.update} to update, ` +
+            `${importPlan.counts.conflict} in conflict, ${importPlan.counts.unchanged} unchanged.` :
+            '';
+
+        const tbody = importPreview.querySelector('tbody');
+        tbody.innerHTML = '';
+        if (!importPlan) return;
+
+        for (const entry of importPlan.entries) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><strong></strong><div class="remapped"></div><div class="hint"></div></td>
+                <td><span class="badge"></span></td>
+                <td></td>
+            `;
+
+            row.querySelector('strong').textContent = `${entry.type} ${entry.id}`;
+            if (entry.id !== entry.sourceId) {
+                row.querySelector('.remapped').textContent = `imported as ${entry.sourceId}`;
+            }
+
+            const badge = row.querySelector('.badge');
+            badge.className = `badge ${entry.status}`;
+            badge.textContent = entry.status;
+
+            const resolution = row.querySelector('td:last-child');
+            if (entry.status === 'add') {
+                resolution.textContent = 'Added';
+            } else if (entry.status === 'unchanged') {
+                resolution.textContent = 'Nothing to merge';
+            } else {
+                const versionField = IMPORT_TYPES[entry.type].versionField;
+                const describe = record => `${versionField ? `v${record[versionField]}, ` : ''}${record.updated_at}`;
+                const fields = diffRecords(entry.mine, entry.theirs).map(change => change.field);
+                row.querySelector('.hint').textContent =
+                    `Mine: ${describe(entry.mine)} · Theirs: ${describe(entry.theirs)} · Differs in: ${fields.join(', ')}`;
+
+                const select = document.createElement('select');
+                select.dataset.key = `${entry.type}:${entry.id}`;
+                const choices = [['', entry.status === 'update' ? 'Take theirs (update)' : 'Use conflict strategy'],
+                    ...Object.entries(MERGE_STRATEGIES)];
+                for (const [value, label] of choices) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    select.appendChild(option);
+                }
+                resolution.appendChild(select);
+            }
+
+            tbody.appendChild(row);
+        }
+    }
+
+    // Helper function to show the saved sync settings
+    async function renderSyncSettings() {
+        const settings = await getSyncSettings();
+        syncEndpoint.value = settings.endpoint;
+        syncToken.value = settings.token;
+        syncInterval.value = settings.intervalMinutes;
+        syncEnabled.checked = settings.enabled;
+    }
+
+    // Helper function to describe the active workspace's last sync, queued changes and any pending retry
+    async function renderSyncStatus() {
+        const { syncState = {}, syncQueue = [] } = await getWorkspaceState(['syncState', 'syncQueue']);
+        const workspace = await getActiveWorkspace();
+        const parts = [
+            `${formatWorkspaceLabel(workspace)}: ${syncState.status || 'never synced'}`,
+            `${syncQueue.length} changes queued`
+        ];
+
+        if (syncState.last_pulled_at) {
+            parts.push(`last synced ${new Date(syncState.last_pulled_at).toLocaleString()}`);
+        }
+        if (syncState.last_error) {
+            parts.push(`last error: ${syncState.last_error}`);
+        }
+        if (syncState.next_attempt_at) {
+            parts.push(`retrying at ${new Date(syncState.next_attempt_at).toLocaleTimeString()}`);
+        }
+
+        syncStatus.textContent = parts.join('; ');
+    }
+
+    // Helper function to show the saved schema extension
+    async function renderSchemaExtension() {
+        const extension = await getSchemaExtension();
+        schemaExtension.value = extension ? JSON.stringify(extension, null, 2) : '';
+        showSchemaExtensionErrors([]);
+    }
+
+    // Helper function to list problems found in the schema extension
+    function showSchemaExtensionErrors(lines) {
+        schemaExtensionErrors.textContent = lines.join('\n');
+        schemaExtensionErrors.hidden = lines.length === 0;
+    }
+
+    // Helper function to list stored records that do not match the schema, with their proposed fixes
+    async function renderInvalidRecords() {
+        const invalid = findInvalidRecords(await getAllData(), await getSchemaExtension());
+        invalidRecordsContainer.innerHTML = '';
+        invalidRecordsSummary.textContent = invalid.length === 0 ?
+            'All stored records match the schema.' :
+            `${invalid.length} invalid record(s), ${invalid.filter(item => item.repairable).length} repairable.`;
+        repairAllBtn.disabled = !invalid.some(item => item.repairable);
+
+        for (const record of invalid) {
+            const card = document.createElement('div');
+            card.className = 'card';
+            card.innerHTML = `
+                <h3></h3>
+                <ul class="errors"></ul>
+                <div class="hint">Proposed fixes</div>
+                <ul class="fixes"></ul>
+                <button class="button" data-action="repair">Repair</button>
+            `;
+
+            card.querySelector('h3').textContent = `${record.type} ${record.id ?? '(no ID)'}`;
+            for (const line of formatValidationErrors(record.errors)) {
+                const item = document.createElement('li');
+                item.textContent = line;
+                card.querySelector('.errors').appendChild(item);
+            }
+            for (const fix of record.fixes) {
+                const item = document.createElement('li');
+                item.textContent = fix;
+                card.querySelector('.fixes').appendChild(item);
+            }
+
+            const repairBtn = card.querySelector('[data-action="repair"]');
+            if (!record.repairable) {
+                repairBtn.disabled = true;
+                repairBtn.textContent = 'Needs manual correction';
+            }
+
+            repairBtn.addEventListener('click', async () => {
+                const result = await repairRecord(record.type, record.id);
+                await renderInvalidRecords();
+                showStatus(result.success ?
+                    `Repaired ${record.type} ${record.id}` :
+                    `Could not repair ${record.type} ${record.id}: ${formatValidationErrors(result.errors).join('; ')}`);
+            });
+
+            invalidRecordsContainer.appendChild(card);
+        }
+    }
+
+    // Helper function to render one editable card per workspace
+    async function renderWorkspaces() {
+        const workspaces = await getWorkspaces();
+        const active = await getActiveWorkspace();
+        workspacesContainer.innerHTML = '';
+        showWorkspaceErrors([]);
+
+        for (const workspace of workspaces) {
+            const isActive = workspace.workspace_id === active.workspace_id;
+            const card = document.createElement('div');
+            card.className = 'card';
+            card.innerHTML = `
+                <h3></h3>
+                <label class="field">Name
+                    <input type="text" name="name">
+                </label>
+                <label class="field">Environment
+                    <input type="text" name="environment" placeholder="production, staging, ...">
+                </label>
+                <label class="field">Allowed origins (one per line)
+                    <textarea name="origins" rows="3" placeholder="https://app.example.com"></textarea>
+                </label>
+                <label class="field">KPIs (one per line)
+                    <textarea name="kpis" rows="3" placeholder="checkout_started"></textarea>
+                </label>
+                <div class="row">
+                    <button class="button" data-action="save">Save</button>
+                    <button class="button" data-action="activate">Make Active</button>
+                    <button class="button danger" data-action="delete">Delete</button>
+                </div>
+            `;
+
+            card.querySelector('h3').textContent = `${formatWorkspaceLabel(workspace)}${isActive ? ' (active)' : ''}`;
+            card.querySelector('[name="name"]').value = workspace.name;
+            card.querySelector('[name="environment"]').value = workspace.environment;
+            card.querySelector('[name="origins"]').value = workspace.origins.join('\n');
+            card.querySelector('[name="kpis"]').value = workspace.kpis.join('\n');
+            card.querySelector('[data-action="activate"]').disabled = isActive;
+            card.querySelector('[data-action="delete"]').hidden = workspace.workspace_id === DEFAULT_WORKSPACE_ID;
+
+            card.querySelector('[data-action="save"]').addEventListener('click', async () => {
+                const lines = name => card.querySelector(`[name="${name}"]`).value.split('\n').map(line => line.trim()).filter(Boolean);
+                const result = await saveWorkspace({
+                    ...workspace,
+                    name: card.querySelector('[name="name"]').value,
+                    environment: card.querySelector('[name="environment"]').value,
+                    origins: lines('origins'),
+                    kpis: lines('kpis')
+                });
+
+                if (!result.success) {
+                    showWorkspaceErrors(formatValidationErrors(result.errors));
+                    return;
+                }
+                await renderWorkspaces();
+                showStatus(`Saved workspace ${result.workspace.name}`);
+            });
+
+            card.querySelector('[data-action="activate"]').addEventListener('click', async () => {
+                await setActiveWorkspace(workspace.workspace_id);
+                showStatus(`Capturing into ${formatWorkspaceLabel(workspace)}`);
+            });
+
+            card.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                if (!confirm(`Delete workspace ${workspace.name} and everything captured in it?`)) return;
+
+                const result = await deleteWorkspace(workspace.workspace_id);
+                await renderWorkspaces();
+                showStatus(result.success ? `Deleted workspace ${workspace.name}` : result.error);
+            });
+
+            workspacesContainer.appendChild(card);
+        }
+    }
+
+    // Helper function to list problems found in a workspace
+    function showWorkspaceErrors(lines) {
+        workspaceErrors.textContent = lines.join('\n');
+        workspaceErrors.hidden = lines.length === 0;
+    }
+
+    // Helper function to show the current ID naming templates
+    async function renderIdTemplates() {
+        const templates = await getIdTemplates();
+        pageIdTemplate.value = templates.page;
+        elementIdTemplate.value = templates.element;
+    }
+
+    // Helper function to render one editable card per configured origin
+    async function renderUrlRules() {
+        const allRules = await getAllUrlPatternRules();
+        urlRulesContainer.innerHTML = '';
+
+        for (const [origin, storedRules] of Object.entries(allRules)) {
+            const rules = { ...DEFAULT_URL_RULES, ...storedRules };
+            const card = document.createElement('div');
+            card.className = 'card';
+            card.innerHTML = `
+                <h3></h3>
+                <label class="checkbox"><input type="checkbox" name="autoParams"> Detect numeric/UUID/slug segments as parameters</label>
+                <label class="checkbox"><input type="checkbox" name="includeHash"> Include hash route (e.g. <code>#/users/:id</code>)</label>
+                <label class="field">Query keys to keep (comma separated)
+                    <input type="text" name="queryKeys" placeholder="tab, view">
+                </label>
+                <label class="field">Rewrite rules
+                    <textarea name="rewrites" rows="3" placeholder="^/shop/[^/]+/cart$ => /shop/:store/cart"></textarea>
+                </label>
+                <div class="row">
+                    <button class="button" data-action="save">Save</button>
+                    <button class="button danger" data-action="delete">Delete</button>
+                </div>
+            `;
+
+            card.querySelector('h3').textContent = origin;
+            card.querySelector('[name="autoParams"]').checked = rules.autoParams;
+            card.querySelector('[name="includeHash"]').checked = rules.includeHash;
+            card.querySelector('[name="queryKeys"]').value = rules.queryKeys.join(', ');
+            card.querySelector('[name="rewrites"]').value = rules.rewrites
+                .map(rule => `${rule.pattern} => ${rule.replacement}`)
+                .join('\n');
+
+            card.querySelector('[data-action="save"]').addEventListener('click', async () => {
+                const updated = readRules(card);
+                if (!updated) return;
+
+                await saveUrlPatternRules(origin, updated);
+                showStatus(`Saved rules for ${origin}`);
+            });
+
+            card.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                if (confirm(`Remove URL rules for ${origin}?`)) {
+                    await saveUrlPatternRules(origin, null);
+                    await renderUrlRules();
+                }
+            });
+
+            urlRulesContainer.appendChild(card);
+        }
+    }
+
+    // Helper function to read and validate the rules entered on a card
+    function readRules(card) {
+        const rewrites = [];
+
+        for (const line of card.querySelector('[name="rewrites"]').value.split('\n')) {
+            if (!line.trim()) continue;
+
+            const [pattern, replacement = ''] = line.split('=>').map(part => part.trim());
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                showStatus(`Invalid rewrite pattern: ${pattern}`);
+                return null;
+            }
+            rewrites.push({ pattern, replacement });
+        }
+
+        return {
+            autoParams: card.querySelector('[name="autoParams"]').checked,
+            includeHash: card.querySelector('[name="includeHash"]').checked,
+            queryKeys: card.querySelector('[name="queryKeys"]').value.split(',').map(key => key.trim()).filter(Boolean),
+            rewrites
+        };
+    }
+
+    // Helper function to show a transient status message
+    function showStatus(message) {
+        status.textContent = message;
+        status.classList.add('active');
+        setTimeout(() => status.classList.remove('active'), 3000);
+    }
+});
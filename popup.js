@@ -1,29 +1,99 @@
 // UI Handling Module for DOM Capture Extension
+import {
+    startJourney,
+    stopJourney,
+    resumeJourney,
+    getJourneys,
+    getActiveJourney,
+    getAllData,
+    getMutationEvents,
+    getSchemaExtension,
+    getRecordCounts,
+    getCaptureMode,
+    setCaptureMode,
+    resetAllData,
+    getWorkspaces,
+    getActiveWorkspace,
+    setActiveWorkspace,
+    selectWorkspaceForUrl
+} from './src/modules/storage-manager.js';
+import { getChangedStores } from './src/modules/record-store.js';
+import { hasWorkspaceStateChange, formatWorkspaceLabel } from './src/modules/workspaces.js';
+import {
+    EXPORT_FORMATS,
+    filterExportData,
+    exportToFormat,
+    exportTour,
+    exportTest,
+    downloadExport
+} from './src/modules/export-module.js';
+import { TOUR_LIBRARIES } from './src/modules/tour-generator.js';
+import { TEST_FRAMEWORKS } from './src/modules/test-generator.js';
+import { planFromJourney, planFromChain } from './src/modules/replay-engine.js';
+import { MUTATION_TYPES, summarizeChanges } from './src/modules/mutation-tracker.js';
+
 document.addEventListener('DOMContentLoaded', async () => {
     // Get UI elements
+    const workspaceSelect = document.getElementById('workspace-select');
+    const workspaceEnvironment = document.getElementById('workspace-environment');
     const captureToggle = document.getElementById('capture-toggle');
+    const replayTarget = document.getElementById('replay-target');
+    const replayStartBtn = document.getElementById('replay-start-btn');
+    const replayStopBtn = document.getElementById('replay-stop-btn');
+    const replayReport = document.getElementById('replay-report');
+    const changesPanel = document.getElementById('changes-panel');
+    const changesList = document.getElementById('changes-list');
+    const verifyBtn = document.getElementById('verify-btn');
+    const verifyReport = document.getElementById('verify-report');
+    const libraryBtn = document.getElementById('library-btn');
+    const graphBtn = document.getElementById('graph-btn');
+    const settingsBtn = document.getElementById('settings-btn');
     const exportBtn = document.getElementById('export-btn');
+    const exportFormat = document.getElementById('export-format');
+    const exportPage = document.getElementById('export-page');
+    const exportJourney = document.getElementById('export-journey');
+    const exportStatus = document.getElementById('export-status');
+    const exportFrom = document.getElementById('export-from');
+    const exportTo = document.getElementById('export-to');
+    const generateJourney = document.getElementById('generate-journey');
+    const generateTarget = document.getElementById('generate-target');
+    const generateBtn = document.getElementById('generate-btn');
     const resetBtn = document.getElementById('reset-btn');
     const elementsCount = document.getElementById('elements-count');
     const pagesCount = document.getElementById('pages-count');
+    const journeysCount = document.getElementById('journeys-count');
     const navigationStatus = document.getElementById('navigation-status');
+    const journeyIdle = document.getElementById('journey-idle');
+    const journeyRecording = document.getElementById('journey-recording');
+    const journeyName = document.getElementById('journey-name');
+    const journeyDescription = document.getElementById('journey-description');
+    const journeyStartBtn = document.getElementById('journey-start-btn');
+    const journeyStopBtn = document.getElementById('journey-stop-btn');
+    const journeyResumeRow = document.getElementById('journey-resume-row');
+    const journeySelect = document.getElementById('journey-select');
+    const journeyResumeBtn = document.getElementById('journey-resume-btn');
+    const journeyActiveName = document.getElementById('journey-active-name');
+    const journeyStepCount = document.getElementById('journey-step-count');
 
     // Initialize UI state from storage
-    const {
-        captureMode = false,
-        elementData = [],
-        pageData = [],
-        pendingNavigation = false
-    } = await chrome.storage.local.get([
-        'captureMode',
-        'elementData',
-        'pageData',
-        'pendingNavigation'
-    ]);
-
-    captureToggle.checked = captureMode;
-    updateCounts(elementData, pageData);
-    exportBtn.disabled = elementData.length === 0 && pageData.length === 0;
+    const { pendingNavigation = false } = await chrome.storage.local.get(['pendingNavigation']);
+
+    // Pick the workspace for the current tab's site before showing its data
+    const [currentTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (currentTab && currentTab.url) {
+        await selectWorkspaceForUrl(currentTab.url);
+    }
+    await renderWorkspaces();
+
+    captureToggle.checked = await getCaptureMode();
+    await renderCounts();
+    await renderJourneys();
+    await renderReplayTargets();
+    await renderChanges();
+    await renderExportFilters();
+
+    const { replaySession = null } = await chrome.storage.local.get(['replaySession']);
+    renderReplayReport(replaySession);
 
     // If there's a pending navigation, show the navigation status
     if (pendingNavigation) {
@@ -38,12 +108,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         showNavigationStatus(false);
     }
 
+    // Switch the workspace captures go into
+    workspaceSelect.addEventListener('change', async () => {
+        if (await setActiveWorkspace(workspaceSelect.value)) {
+            showStatus(`Capturing into ${workspaceSelect.selectedOptions[0].textContent}`);
+        }
+    });
+
     // Toggle capture mode
     captureToggle.addEventListener('change', async () => {
         const isActive = captureToggle.checked;
 
         // Update storage
-        await chrome.storage.local.set({ captureMode: isActive });
+        await setCaptureMode(isActive);
 
         // Notify content script about mode change
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -57,65 +134,227 @@ document.addEventListener('DOMContentLoaded', async () => {
         showStatus(`Capture mode ${isActive ? 'enabled' : 'disabled'}`);
     });
 
-    // Export captured data
+    // Start recording a new journey
+    journeyStartBtn.addEventListener('click', async () => {
+        const name = journeyName.value.trim();
+        if (!name) {
+            showStatus('Journey name is required');
+            return;
+        }
+
+        const journey = await startJourney({
+            name,
+            description: journeyDescription.value.trim() || null
+        });
+
+        if (journey) {
+            journeyName.value = '';
+            journeyDescription.value = '';
+            showStatus(`Recording journey "${journey.name}"`);
+        } else {
+            showStatus('Journey could not be started');
+        }
+    });
+
+    // Stop recording the active journey
+    journeyStopBtn.addEventListener('click', async () => {
+        await stopJourney();
+        showStatus('Journey stopped');
+    });
+
+    // Resume a stopped journey
+    journeyResumeBtn.addEventListener('click', async () => {
+        if (!journeySelect.value) return;
+
+        if (await resumeJourney(journeySelect.value)) {
+            showStatus('Journey resumed');
+        }
+    });
+
+    // Replay a journey or the flow leading to an element on the current tab
+    replayStartBtn.addEventListener('click', async () => {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab || !replayTarget.value) return;
+
+        const { elementData, journeys } = await getAllData();
+        const [kind, id] = replayTarget.value.split(':');
+        const journey = journeys.find(item => item.journey_id === id);
+        const plan = kind === 'journey' ? planFromJourney(journey, elementData) : planFromChain(id, elementData);
+
+        if (plan.steps.length === 0) {
+            showStatus('Nothing to replay');
+            return;
+        }
+
+        if (plan.missing.length > 0) {
+            showStatus(`Skipping missing elements: ${plan.missing.join(', ')}`);
+        }
+
+        await chrome.runtime.sendMessage({ action: 'startReplay', tabId: tab.id, plan });
+    });
+
+    // Stop the running replay
+    replayStopBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'stopReplay' });
+    });
+
+    // Verify stored selectors on the current page
+    verifyBtn.addEventListener('click', async () => {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'verifyPage' });
+
+            if (!response || !response.success) {
+                showStatus(response && response.error ? response.error : 'Verification failed');
+                return;
+            }
+
+            renderVerifyReport(response.page_id, response.summary);
+        } catch (error) {
+            showStatus('Capture script is not available on this page');
+        }
+    });
+
+    // Open the capture library in a new tab
+    libraryBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    });
+
+    // Open the journey graph in a new tab
+    graphBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('graph.html') });
+    });
+
+    // Open the settings page
+    settingsBtn.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    // Generate a guided-tour definition or end-to-end test from the selected journey
+    generateBtn.addEventListener('click', async () => {
+        const { pageData, elementData, journeys } = await getAllData();
+        const journey = journeys.find(item => item.journey_id === generateJourney.value);
+        if (!journey) {
+            showStatus('Record a journey first');
+            return;
+        }
+
+        const [kind, target] = generateTarget.value.split(':');
+        const result = kind === 'tour' ?
+            exportTour(target, journey, pageData, elementData) :
+            exportTest(target, journey, pageData, elementData);
+        if (!result.success) {
+            showStatus(`Nothing generated: ${result.errors[0].message}`);
+            return;
+        }
+
+        downloadExport(result);
+        const skipped = kind === 'tour' ? result.skipped.map(item => item.element_id) : result.missing;
+        showStatus(skipped.length > 0 ?
+            `Generated ${result.steps} steps; skipped ${skipped.join(', ')}` :
+            `Generated ${result.steps} steps`);
+    });
+
+    // Export captured data in the selected format, limited to the selected filters
     exportBtn.addEventListener('click', async () => {
-        const { elementData = [], pageData = [] } = await chrome.storage.local.get([
-            'elementData',
-            'pageData'
-        ]);
+        const { elementData, pageData, journeys } = await getAllData();
 
         if (elementData.length === 0 && pageData.length === 0) {
             showStatus('No data to export');
             return;
         }
 
-        // Prepare data for export
-        const exportData = {
-            pages: pageData,
-            elements: elementData,
-            exportedAt: new Date().toISOString()
+        const filters = {
+            pageId: exportPage.value || null,
+            journeyId: exportJourney.value || null,
+            status: exportStatus.value || null,
+            from: exportFrom.value || null,
+            to: exportTo.value || null
         };
 
-        // Create and download a JSON file
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `dom-capture-export-${new Date().toISOString().substring(0, 10)}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-
-        showStatus('Data exported successfully');
+        // Flag exported elements that changed on the page since capture
+        const selected = filterExportData(pageData, elementData, journeys, filters);
+        const changedSinceCapture = summarizeChanges(await getMutationEvents(), selected.elementData);
+
+        const result = exportToFormat(exportFormat.value, pageData, elementData, journeys, {
+            filters,
+            schemaExtension: await getSchemaExtension(),
+            extras: { changed_since_capture: changedSinceCapture },
+            workspace: await getActiveWorkspace()
+        });
+
+        if (!result.success) {
+            const [error] = result.errors;
+            showStatus(error.keyword === 'export' ?
+                `Export failed: ${error.message}` :
+                `Export blocked: ${result.errors.length} validation error(s). Fix them under Settings > Data Repair.`);
+            return;
+        }
+
+        if (result.counts.elements === 0 && result.counts.pages === 0) {
+            URL.revokeObjectURL(result.url);
+            showStatus('Nothing matches the export filters');
+            return;
+        }
+
+        downloadExport(result);
+        showStatus(`Exported ${result.counts.elements} elements from ${result.counts.pages} pages`);
     });
 
-    // Reset all captured data
+    // Reset the data captured in the active workspace
     resetBtn.addEventListener('click', async () => {
-        if (confirm('Are you sure you want to reset all captured data?')) {
-            await chrome.storage.local.set({
-                elementData: [],
-                pageData: [],
-                lastElementId: null,
-                pendingNavigation: false
-            });
+        const label = formatWorkspaceLabel(await getActiveWorkspace());
+        if (confirm(`Are you sure you want to reset all data captured in the "${label}" workspace?`)) {
+            await resetAllData();
+            await chrome.storage.local.set({ pendingNavigation: false });
 
-            updateCounts([], []);
-            exportBtn.disabled = true;
+            await renderCounts();
             showNavigationStatus(false);
-            showStatus('All data has been reset');
+            showStatus(`Data in "${label}" has been reset`);
         }
     });
 
     // Listen for storage changes to update UI
     chrome.storage.onChanged.addListener((changes) => {
+        const changedStores = getChangedStores(changes);
+        const pagesChanged = changedStores.includes('pages');
+        const elementsChanged = changedStores.includes('elements');
+        const journeysChanged = changedStores.includes('journeys');
+
         // Update for element and page data changes
-        if (changes.elementData || changes.pageData) {
-            const elementData = changes.elementData ? changes.elementData.newValue : [];
-            const pageData = changes.pageData ? changes.pageData.newValue : [];
+        if (elementsChanged || pagesChanged) {
+            renderCounts();
+        }
 
-            updateCounts(elementData, pageData);
-            exportBtn.disabled = elementData.length === 0 && pageData.length === 0;
+        // Update the workspace choice
+        if (changes.activeWorkspaceId || changes.workspaces) {
+            renderWorkspaces();
+        }
+
+        // Update for journey changes
+        if (journeysChanged || hasWorkspaceStateChange(changes, 'activeJourneyId')) {
+            renderJourneys();
+        }
+
+        // Update export filter choices
+        if (pagesChanged || journeysChanged) {
+            renderExportFilters();
+        }
+
+        // Update replay choices and progress
+        if (journeysChanged || elementsChanged) {
+            renderReplayTargets();
+        }
+
+        // Update change warnings
+        if (changedStores.includes('mutations') || elementsChanged) {
+            renderChanges();
+        }
+
+        if (changes.replaySession) {
+            renderReplayReport(changes.replaySession.newValue);
         }
 
         // Update for capture mode changes
@@ -129,10 +368,265 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Helper function to list elements that changed on their page since capture
+    async function renderChanges() {
+        const { elementData } = await getAllData();
+        const warnings = summarizeChanges(await getMutationEvents(), elementData);
+
+        changesList.innerHTML = '';
+        for (const warning of warnings) {
+            const item = document.createElement('li');
+            item.textContent = warning.description || warning.element_id;
+            item.title = `${warning.element_id} on ${warning.page_id}, last seen ${new Date(warning.last_observed_at).toLocaleString()}`;
+
+            for (const type of warning.types) {
+                const badge = document.createElement('span');
+                badge.className = 'badge changed';
+                badge.textContent = MUTATION_TYPES[type] || type;
+                item.appendChild(badge);
+            }
+
+            changesList.appendChild(item);
+        }
+
+        changesPanel.classList.toggle('hidden', warnings.length === 0);
+    }
+
+    // Helper function to list the workspaces and show the active one's environment
+    async function renderWorkspaces() {
+        const workspaces = await getWorkspaces();
+        const active = await getActiveWorkspace();
+
+        workspaceSelect.innerHTML = '';
+        for (const workspace of workspaces) {
+            const option = document.createElement('option');
+            option.value = workspace.workspace_id;
+            option.textContent = workspace.name;
+            workspaceSelect.appendChild(option);
+        }
+        workspaceSelect.value = active.workspace_id;
+
+        workspaceEnvironment.textContent = active.environment;
+        workspaceEnvironment.classList.toggle('hidden', !active.environment);
+    }
+
     // Helper function to update counts in UI
-    function updateCounts(elements, pages) {
-        elementsCount.textContent = `Elements captured: ${elements.length}`;
-        pagesCount.textContent = `Pages visited: ${pages.length}`;
+    async function renderCounts() {
+        const counts = await getRecordCounts();
+        elementsCount.textContent = `Elements captured: ${counts.elements}`;
+        pagesCount.textContent = `Pages visited: ${counts.pages}`;
+        exportBtn.disabled = counts.elements === 0 && counts.pages === 0;
+    }
+
+    // Helper function to render the verification summary
+    function renderVerifyReport(pageId, summary) {
+        verifyReport.innerHTML = '';
+
+        const heading = document.createElement('strong');
+        heading.textContent = `${pageId}: ${summary.found}/${summary.total} found, ` +
+            `${summary.ambiguous} ambiguous, ${summary.missing} missing`;
+        verifyReport.appendChild(heading);
+
+        const list = document.createElement('ul');
+        for (const result of summary.results) {
+            const item = document.createElement('li');
+            const badge = document.createElement('span');
+            badge.className = `badge ${result.state}`;
+            badge.textContent = result.state;
+
+            item.textContent = result.description || result.element_id;
+            item.title = result.usedFallback ?
+                `Resolved via fallback: ${result.selector}` :
+                `${result.selector} (${result.matchCount} matches)`;
+            item.appendChild(badge);
+
+            // Offer the fingerprint match for elements whose selector no longer works
+            if (result.state !== 'found' && result.proposalScore !== null) {
+                const acceptBtn = document.createElement('button');
+                acceptBtn.className = 'link-button';
+                acceptBtn.textContent = `Accept match (${result.proposalScore}%)`;
+                acceptBtn.addEventListener('click', () => acceptHealing(result.element_id, item, acceptBtn));
+                item.appendChild(acceptBtn);
+            }
+
+            list.appendChild(item);
+        }
+        verifyReport.appendChild(list);
+
+        verifyReport.classList.add('active');
+    }
+
+    // Helper function to accept a proposed match and regenerate the element's selector
+    async function acceptHealing(elementId, item, acceptBtn) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'acceptHealing', elementId });
+        if (!response || !response.success) {
+            showStatus(response && response.error ? response.error : 'Could not re-identify element');
+            return;
+        }
+
+        acceptBtn.remove();
+        item.querySelector('.badge').className = 'badge found';
+        item.querySelector('.badge').textContent = `healed v${response.version}`;
+        item.title = response.dom_selector;
+    }
+
+    // Helper function to show the journey controls for the current recording state
+    async function renderJourneys() {
+        const journeys = await getJourneys();
+        const activeJourney = await getActiveJourney();
+
+        journeysCount.textContent = `Journeys recorded: ${journeys.length}`;
+
+        journeyIdle.classList.toggle('hidden', Boolean(activeJourney));
+        journeyRecording.classList.toggle('hidden', !activeJourney);
+
+        if (activeJourney) {
+            journeyActiveName.textContent = activeJourney.name;
+            journeyStepCount.textContent = `${activeJourney.steps.length} steps`;
+            return;
+        }
+
+        journeySelect.innerHTML = '';
+        for (const journey of journeys) {
+            const option = document.createElement('option');
+            option.value = journey.journey_id;
+            option.textContent = `${journey.name} (${journey.steps.length} steps)`;
+            journeySelect.appendChild(option);
+        }
+        journeyResumeRow.classList.toggle('hidden', journeys.length === 0);
+    }
+
+    // Helper function to list journeys and elements that can be replayed
+    async function renderReplayTargets() {
+        const { elementData, journeys } = await getAllData();
+        const previous = replayTarget.value;
+
+        replayTarget.innerHTML = '';
+        const groups = [
+            { label: 'Journeys', items: journeys.map(journey => [`journey:${journey.journey_id}`, journey.name]) },
+            {
+                label: 'Flow ending at element',
+                items: elementData.map(element => [`element:${element.element_id}`, element.description || element.element_id])
+            }
+        ];
+
+        for (const group of groups.filter(item => item.items.length > 0)) {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            for (const [value, label] of group.items) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                optgroup.appendChild(option);
+            }
+            replayTarget.appendChild(optgroup);
+        }
+
+        if (previous) {
+            replayTarget.value = previous;
+        }
+        replayStartBtn.disabled = replayTarget.options.length === 0;
+    }
+
+    // Helper function to list the export formats, generator targets and the pages and journeys to pick from
+    async function renderExportFilters() {
+        const { pageData, journeys } = await getAllData();
+
+        if (exportFormat.options.length === 0) {
+            for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+                const option = document.createElement('option');
+                option.value = format;
+                option.textContent = label;
+                exportFormat.appendChild(option);
+            }
+        }
+
+        if (generateTarget.options.length === 0) {
+            const groups = [
+                { label: 'Guided tour', kind: 'tour', targets: TOUR_LIBRARIES },
+                { label: 'End-to-end test', kind: 'test', targets: TEST_FRAMEWORKS }
+            ];
+
+            for (const group of groups) {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = group.label;
+                for (const [target, { label }] of Object.entries(group.targets)) {
+                    const option = document.createElement('option');
+                    option.value = `${group.kind}:${target}`;
+                    option.textContent = label;
+                    optgroup.appendChild(option);
+                }
+                generateTarget.appendChild(optgroup);
+            }
+        }
+
+        const journeyChoices = journeys.map(journey => [journey.journey_id, journey.name]);
+        const choices = [
+            [exportPage, 'All pages', pageData.map(page => [page.page_id, page.description || page.page_id])],
+            [exportJourney, 'All journeys', journeyChoices],
+            [generateJourney, null, journeyChoices]
+        ];
+
+        for (const [select, allLabel, items] of choices) {
+            const previous = select.value;
+            select.innerHTML = '';
+
+            for (const [value, label] of allLabel ? [['', allLabel], ...items] : items) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+
+            if (items.some(([value]) => value === previous)) {
+                select.value = previous;
+            }
+        }
+        generateBtn.disabled = journeys.length === 0;
+    }
+
+    // Helper function to render the replay progress and step-by-step report
+    function renderReplayReport(session) {
+        const running = Boolean(session && session.status === 'running');
+        replayStartBtn.classList.toggle('hidden', running);
+        replayStopBtn.classList.toggle('hidden', !running);
+
+        replayReport.innerHTML = '';
+        replayReport.classList.toggle('hidden', !session);
+        if (!session) return;
+
+        const passed = session.results.filter(result => result.status === 'pass').length;
+        const totalMs = session.results.reduce((sum, result) => sum + result.duration_ms, 0);
+
+        const heading = document.createElement('strong');
+        heading.textContent = running ?
+            `${session.name}: step ${session.index + 1}/${session.steps.length}...` :
+            `${session.name}: ${session.status} (${passed}/${session.steps.length} passed, ${(totalMs / 1000).toFixed(1)}s)`;
+        replayReport.appendChild(heading);
+
+        const list = document.createElement('ol');
+        for (const result of session.results) {
+            const item = document.createElement('li');
+            const badge = document.createElement('span');
+            badge.className = `badge ${result.status}`;
+            badge.textContent = result.status;
+
+            item.textContent = `${result.description || result.element_id} (${result.action}, ${result.duration_ms}ms)`;
+            item.appendChild(badge);
+
+            if (result.error) {
+                const error = document.createElement('div');
+                error.className = 'replay-error';
+                error.textContent = `${result.error} — ${result.selector}`;
+                item.appendChild(error);
+            }
+
+            list.appendChild(item);
+        }
+        replayReport.appendChild(list);
     }
 
     // Helper function to show/hide navigation status
@@ -0,0 +1,360 @@
+// Export Formats Module
+// Renders prepared export data as CSV, YAML, a Markdown catalogue or a self-contained HTML report
+
+import { formatWorkspaceLabel } from './workspaces.js';
+
+// Element columns written to CSV, followed by the columns of the element's page
+const CSV_ELEMENT_COLUMNS = ['element_id', 'description', 'type', 'status', 'version', 'dom_selector', 'KPI', 'updated_at'];
+const CSV_PAGE_COLUMNS = ['page_id', 'url_pattern', 'framework', 'ui_version', 'description'];
+
+// Element fields with nested values that CSV flattens or leaves out
+const CSV_NESTED_FIELDS = ['selector_fallbacks', 'fingerprint', 'interaction', 'from'];
+
+// Plain YAML scalars that would be read back as something other than a string
+const YAML_RESERVED = /^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?|0x[0-9a-f]+|0o[0-7]+|\.inf|\.nan)$/i;
+
+/**
+ * Group elements under the page they belong to, keeping pages in export order
+ *
+ * Elements whose page is not part of the export are grouped under a null page.
+ *
+ * @param {Object} data - Prepared export data
+ * @returns {Array<Object>} - { page, elements } groups
+ */
+function groupByPage(data) {
+    const groups = data.pages.map(page => ({
+        page,
+        elements: data.elements.filter(element => element.page_id === page.page_id)
+    }));
+
+    const pageIds = new Set(data.pages.map(page => page.page_id));
+    const unassigned = data.elements.filter(element => !pageIds.has(element.page_id));
+    if (unassigned.length > 0) {
+        groups.push({ page: null, elements: unassigned });
+    }
+
+    return groups;
+}
+
+/**
+ * Quote a value as a CSV cell
+ *
+ * Cells starting with a formula character are prefixed with a quote so
+ * spreadsheets show them as text instead of evaluating them.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render elements as CSV with one row per element and the columns of its page
+ *
+ * Fields added by a schema extension get their own columns after the built-in ones.
+ *
+ * @param {Object} data - Prepared export data
+ * @returns {string} - CSV text with a header row
+ */
+function toCsv(data) {
+    const pages = new Map(data.pages.map(page => [page.page_id, page]));
+    const extraColumns = [...new Set(data.elements.flatMap(element => Object.keys(element)))]
+        .filter(field => !CSV_ELEMENT_COLUMNS.includes(field) && !CSV_NESTED_FIELDS.includes(field) && field !== 'page_id');
+
+    const header = [
+        ...CSV_ELEMENT_COLUMNS,
+        'interaction',
+        'from',
+        'selector_fallbacks',
+        ...extraColumns,
+        ...CSV_PAGE_COLUMNS.map(column => column === 'page_id' ? column : `page_${column}`)
+    ];
+
+    const rows = data.elements.map(element => {
+        const page = pages.get(element.page_id) || { page_id: element.page_id };
+        return [
+            ...CSV_ELEMENT_COLUMNS.map(column => element[column]),
+            element.interaction ? element.interaction.action : null,
+            (element.from || []).map(source => `${source.node} (${source.action})`).join('; '),
+            (element.selector_fallbacks || []).map(fallback => fallback.selector).join('; '),
+            ...extraColumns.map(column => typeof element[column] === 'object' && element[column] !== null ?
+                JSON.stringify(element[column]) : element[column]),
+            ...CSV_PAGE_COLUMNS.map(column => page[column])
+        ];
+    });
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render a string as a YAML scalar, quoting it only when needed
+ *
+ * @param {string} value - String value
+ * @returns {string} - YAML scalar
+ */
+function yamlString(value) {
+    const plain = /^[\w./(][^:#'"{}[\],&*!|>%@`\r\n]*$/.test(value) && !/\s$/.test(value) && !YAML_RESERVED.test(value);
+    return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Check whether a value is a non-empty array or object, written as an indented block
+ *
+ * @param {*} value - JSON value
+ * @returns {boolean} - Whether the value needs a block of its own
+ */
+function isYamlBlock(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * Render a value that fits on one line
+ *
+ * @param {*} value - Scalar, empty array or empty object
+ * @returns {string} - YAML scalar
+ */
+function yamlScalar(value) {
+    if (Array.isArray(value)) return '[]';
+    if (value !== null && typeof value === 'object') return '{}';
+    if (typeof value === 'string') return yamlString(value);
+    return value === null || value === undefined ? 'null' : String(value);
+}
+
+/**
+ * Render an array or object as YAML lines at the given indentation
+ *
+ * @param {Array|Object} value - Collection to render
+ * @param {number} indent - Number of spaces before each line
+ * @returns {Array<string>} - YAML lines
+ */
+function yamlLines(value, indent) {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(value)) {
+        return value.flatMap(item => {
+            if (!isYamlBlock(item)) return [`${pad}- ${yamlScalar(item)}`];
+
+            // The item's first line follows the dash; the rest align with it
+            const [first, ...rest] = yamlLines(item, indent + 2);
+            return [`${pad}- ${first.trimStart()}`, ...rest];
+        });
+    }
+
+    return Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .flatMap(([key, item]) => isYamlBlock(item) ?
+            [`${pad}${yamlString(key)}:`, ...yamlLines(item, indent + 2)] :
+            [`${pad}${yamlString(key)}: ${yamlScalar(item)}`]);
+}
+
+/**
+ * Render prepared export data as a YAML document
+ *
+ * @param {Object} data - Prepared export data
+ * @returns {string} - YAML text
+ */
+function toYaml(data) {
+    return ['---', ...yamlLines(data, 0)].join('\n') + '\n';
+}
+
+/**
+ * Escape text for a Markdown table cell or heading
+ *
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped text on a single line
+ */
+function markdownText(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Render prepared export data as a Markdown catalogue grouped by page
+ *
+ * @param {Object} data - Prepared export data
+ * @returns {string} - Markdown text
+ */
+function toMarkdown(data) {
+    const lines = [
+        '# DOM Capture Catalogue',
+        '',
+        `Exported ${data.exportedAt}: ${data.pages.length} page(s), ${data.elements.length} element(s), ${data.journeys.length} journey(s).`
+    ];
+
+    if (data.workspace) {
+        lines.push('', `Workspace: ${markdownText(formatWorkspaceLabel(data.workspace))}`);
+    }
+
+    for (const { page, elements } of groupByPage(data)) {
+        lines.push('');
+        if (page) {
+            lines.push(`## ${markdownText(page.description)} (\`${markdownText(page.page_id)}\`)`, '');
+            lines.push(`- URL pattern: \`${markdownText(page.url_pattern)}\``);
+            lines.push(`- Framework: ${markdownText(page.framework)}`);
+            lines.push(`- Version: ${markdownText(page.ui_version)}`);
+            if (page.KPI) {
+                lines.push(`- KPI: ${markdownText(page.KPI)}`);
+            }
+        } else {
+            lines.push('## Elements without a page');
+        }
+
+        lines.push('');
+        if (elements.length === 0) {
+            lines.push('_No elements captured._');
+            continue;
+        }
+
+        lines.push('| Element | Description | Type | Selector | Action | Status | Version | KPI |');
+        lines.push('| --- | --- | --- | --- | --- | --- | --- | --- |');
+        for (const element of elements) {
+            lines.push(`| \`${markdownText(element.element_id)}\` | ${markdownText(element.description)} | ` +
+                `${markdownText(element.type)} | \`${markdownText(element.dom_selector)}\` | ` +
+                `${markdownText(element.interaction ? element.interaction.action : '')} | ${markdownText(element.status)} | ` +
+                `${markdownText(element.version)} | ${markdownText(element.KPI)} |`);
+        }
+    }
+
+    if (data.journeys.length > 0) {
+        lines.push('', '## Journeys');
+        for (const journey of data.journeys) {
+            lines.push('', `### ${markdownText(journey.name)} (\`${markdownText(journey.journey_id)}\`)`, '');
+            if (journey.description) {
+                lines.push(markdownText(journey.description), '');
+            }
+            journey.steps.forEach((step, index) => {
+                const element = data.elements.find(item => item.element_id === step.element_id);
+                const label = element ? element.description : step.element_id;
+                const value = step.redacted ? ' (redacted value)' : step.value ? ` "${markdownText(step.value)}"` : '';
+                lines.push(`${index + 1}. ${markdownText(step.action)} ${markdownText(label)}${value} on \`${markdownText(step.page_id)}\``);
+            });
+            if (journey.steps.length === 0) {
+                lines.push('_No steps recorded._');
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML content and attributes
+ *
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render prepared export data as a self-contained HTML report
+ *
+ * The report has no external resources, so it can be attached or archived as a single file.
+ *
+ * @param {Object} data - Prepared export data
+ * @returns {string} - HTML document
+ */
+function toHtmlReport(data) {
+    const changed = new Map((data.changed_since_capture || []).map(warning => [warning.element_id, warning]));
+    const statusCounts = data.elements.reduce((counts, element) => {
+        counts[element.status] = (counts[element.status] || 0) + 1;
+        return counts;
+    }, {});
+
+    const sections = groupByPage(data).map(({ page, elements }) => {
+        const heading = page ?
+            `<h2>${escapeHtml(page.description)} <code>${escapeHtml(page.page_id)}</code></h2>
+    <p class="meta">URL pattern <code>${escapeHtml(page.url_pattern)}</code> · ${escapeHtml(page.framework)} · version ${escapeHtml(page.ui_version)}${page.KPI ? ` · KPI ${escapeHtml(page.KPI)}` : ''}</p>` :
+            '<h2>Elements without a page</h2>';
+
+        const rows = elements.map(element => {
+            const warning = changed.get(element.element_id);
+            return `<tr>
+        <td><code>${escapeHtml(element.element_id)}</code></td>
+        <td>${escapeHtml(element.description)}${warning ? `<br><span class="badge changed">Changed: ${escapeHtml(warning.types.join(', '))}</span>` : ''}</td>
+        <td>${escapeHtml(element.type)}</td>
+        <td><code>${escapeHtml(element.dom_selector)}</code></td>
+        <td>${escapeHtml(element.interaction ? element.interaction.action : '')}</td>
+        <td><span class="badge ${escapeHtml(element.status)}">${escapeHtml(element.status)}</span></td>
+        <td>${escapeHtml(element.version)}</td>
+        <td>${escapeHtml(element.KPI)}</td>
+        <td>${escapeHtml(element.updated_at.substring(0, 10))}</td>
+      </tr>`;
+        }).join('\n      ');
+
+        return `<section>
+    ${heading}
+    ${elements.length === 0 ? '<p class="meta">No elements captured.</p>' : `<table>
+      <thead><tr><th>Element</th><th>Description</th><th>Type</th><th>Selector</th><th>Action</th><th>Status</th><th>Version</th><th>KPI</th><th>Updated</th></tr></thead>
+      <tbody>
+      ${rows}
+      </tbody>
+    </table>`}
+  </section>`;
+    }).join('\n  ');
+
+    const journeys = data.journeys.map(journey => `<section>
+    <h3>${escapeHtml(journey.name)} <code>${escapeHtml(journey.journey_id)}</code></h3>
+    ${journey.description ? `<p>${escapeHtml(journey.description)}</p>` : ''}
+    <ol>
+      ${journey.steps.map(step => {
+        const element = data.elements.find(item => item.element_id === step.element_id);
+        return `<li>${escapeHtml(step.action)} <strong>${escapeHtml(element ? element.description : step.element_id)}</strong>` +
+            `${step.redacted ? ' (redacted value)' : step.value ? ` “${escapeHtml(step.value)}”` : ''} <span class="meta">on ${escapeHtml(step.page_id)}</span></li>`;
+    }).join('\n      ')}
+    </ol>
+  </section>`).join('\n  ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>DOM Capture Report</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 30px; color: #222; }
+    h1 { margin-bottom: 5px; }
+    h2 { margin-top: 30px; font-size: 18px; border-bottom: 1px solid #ddd; padding-bottom: 5px; }
+    h3 { font-size: 15px; }
+    code { font-size: 12px; background: #f0f0f0; padding: 1px 3px; word-break: break-all; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { padding: 5px; border: 1px solid #ddd; text-align: left; vertical-align: top; }
+    th { background: #f5f9ff; }
+    .meta { color: #666; font-size: 12px; }
+    .summary span { margin-right: 15px; }
+    .badge { display: inline-block; border-radius: 12px; padding: 1px 7px; font-size: 11px; color: white; background: #9e9e9e; }
+    .badge.active { background: #4CAF50; }
+    .badge.inactive { background: #ff9800; }
+    .badge.deprecated { background: #f44336; }
+    .badge.changed { background: #ff9800; }
+  </style>
+</head>
+<body>
+  <h1>DOM Capture Report</h1>
+  <p class="meta">Exported ${escapeHtml(data.exportedAt)}${data.workspace ? ` from workspace ${escapeHtml(formatWorkspaceLabel(data.workspace))}` : ''}</p>
+  <p class="summary">
+    <span>${data.pages.length} page(s)</span>
+    <span>${data.elements.length} element(s)</span>
+    <span>${data.journeys.length} journey(s)</span>
+    ${Object.entries(statusCounts).map(([status, count]) => `<span>${count} ${escapeHtml(status)}</span>`).join('\n    ')}
+    ${changed.size > 0 ? `<span>${changed.size} changed since capture</span>` : ''}
+  </p>
+  ${sections}
+  ${data.journeys.length > 0 ? `<h2>Journeys</h2>
+  ${journeys}` : ''}
+</body>
+</html>
+`;
+}
+
+// Export format functions
+export { toCsv, toYaml, toMarkdown, toHtmlReport };
@@ -1,27 +1,119 @@
 // Export Module
 // Handles compilation and export of captured data
 
-// Import the validator
-import { validateExportData } from './schema-validator.js';
+// Import the validator and format renderers
+import { validateExportData, formatValidationErrors } from './schema-validator.js';
+import { toCsv, toYaml, toMarkdown, toHtmlReport } from './export-formats.js';
+import { generateTour } from './tour-generator.js';
+import { TEST_FRAMEWORKS, generateTest } from './test-generator.js';
+
+// Supported export formats
+const EXPORT_FORMATS = {
+    json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        render: data => JSON.stringify(data, null, 2)
+    },
+    csv: {
+        label: 'CSV (one row per element)',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        render: toCsv
+    },
+    yaml: {
+        label: 'YAML',
+        extension: 'yaml',
+        mimeType: 'application/yaml',
+        render: toYaml
+    },
+    markdown: {
+        label: 'Markdown catalogue',
+        extension: 'md',
+        mimeType: 'text/markdown',
+        render: toMarkdown
+    },
+    html: {
+        label: 'HTML report',
+        extension: 'html',
+        mimeType: 'text/html',
+        render: toHtmlReport
+    }
+};
+
+/**
+ * Narrow captured data down to what matches the export filters
+ *
+ * The filters select elements. Pages are kept if they match the page filter or
+ * were visited by the selected journey and, when the status or date filters are
+ * set, still have a matching element. Journeys are kept if selected, or if they
+ * pass through a matching element.
+ *
+ * @param {Array} pageData - Array of page data objects
+ * @param {Array} elementData - Array of element data objects
+ * @param {Array} journeys - Array of journey objects
+ * @param {Object} filters - Export filters
+ * @param {string} filters.pageId - Only this page and its elements
+ * @param {string} filters.journeyId - Only this journey and the pages and elements it visits
+ * @param {string} filters.status - Only elements with this status
+ * @param {string} filters.from - Only elements updated on or after this date (YYYY-MM-DD)
+ * @param {string} filters.to - Only elements updated on or before this date (YYYY-MM-DD)
+ * @returns {Object} - { pageData, elementData, journeys } after filtering
+ */
+function filterExportData(pageData = [], elementData = [], journeys = [], { pageId = null, journeyId = null, status = null, from = null, to = null } = {}) {
+    const journey = journeyId ? journeys.find(item => item.journey_id === journeyId) : null;
+    const journeySteps = journey ? journey.steps : [];
+
+    const elements = elementData.filter(element => {
+        const date = String(element.updated_at || '').substring(0, 10);
+        return (!pageId || element.page_id === pageId) &&
+            (!journeyId || journeySteps.some(step => step.element_id === element.element_id)) &&
+            (!status || element.status === status) &&
+            (!from || date >= from) &&
+            (!to || date <= to);
+    });
+
+    const elementIds = new Set(elements.map(element => element.element_id));
+    const narrowsElements = Boolean(status || from || to);
+
+    const pages = pageData.filter(page =>
+        (!pageId || page.page_id === pageId) &&
+        (!journeyId || journeySteps.some(step => step.page_id === page.page_id)) &&
+        (!narrowsElements || elements.some(element => element.page_id === page.page_id)));
+
+    const filtered = Boolean(pageId || journeyId || narrowsElements);
+    const keptJourneys = journeys.filter(item => {
+        if (journeyId) return item.journey_id === journeyId;
+        return !filtered || item.steps.some(step => elementIds.has(step.element_id));
+    });
+
+    return { pageData: pages, elementData: elements, journeys: keptJourneys };
+}
 
 /**
  * Prepare data for export by validating and formatting
- * 
+ *
  * @param {Array} pageData - Array of page data objects
  * @param {Array} elementData - Array of element data objects
+ * @param {Array} journeys - Array of journey objects
+ * @param {Object} options - Export options
+ * @param {Object|null} options.schemaExtension - Custom schema extension for team-specific fields
+ * @param {Object} options.extras - Additional top-level sections, such as changed_since_capture
  * @returns {Object} - Prepared export data and validation result
  */
-function prepareExportData(pageData = [], elementData = []) {
+function prepareExportData(pageData = [], elementData = [], journeys = [], { schemaExtension = null, extras = {} } = {}) {
     // Create export data structure
     const exportData = {
         pages: pageData,
         elements: elementData,
+        journeys,
+        ...extras,
         exportedAt: new Date().toISOString(),
         version: '1.0'
     };
 
     // Validate export data structure
-    const validationResult = validateExportData(exportData);
+    const validationResult = validateExportData(exportData, schemaExtension);
 
     return {
         data: exportData,
@@ -31,19 +123,45 @@ function prepareExportData(pageData = [], elementData = []) {
 }
 
 /**
- * Export data to a downloadable JSON file
- * 
+ * Export data to a downloadable file in one of the supported formats
+ *
+ * Data is filtered first; nothing is exported if the result fails validation.
+ *
+ * @param {string} format - Key of EXPORT_FORMATS
  * @param {Array} pageData - Array of page data objects
  * @param {Array} elementData - Array of element data objects
- * @returns {Object} - Export result with success flag, errors, and blob URL
+ * @param {Array} journeys - Array of journey objects
+ * @param {Object} options - Export options
+ * @param {Object} options.filters - Filters applied with filterExportData
+ * @param {Object|null} options.schemaExtension - Custom schema extension for team-specific fields
+ * @param {Object} options.extras - Additional top-level sections, such as changed_since_capture
+ * @param {Object|null} options.workspace - Workspace the data comes from, named in the export and its filename
+ * @returns {Object} - Export result with success flag, errors, blob URL and record counts
  */
-function exportToJson(pageData = [], elementData = []) {
+function exportToFormat(format, pageData = [], elementData = [], journeys = [], { filters = {}, schemaExtension = null, extras = {}, workspace = null } = {}) {
     try {
-        // Prepare and validate data
-        const { data, isValid, validationErrors } = prepareExportData(pageData, elementData);
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        // Filter, prepare and validate data
+        const selected = filterExportData(pageData, elementData, journeys, filters);
+        const { data, isValid, validationErrors } = prepareExportData(
+            selected.pageData,
+            selected.elementData,
+            selected.journeys,
+            {
+                schemaExtension,
+                extras: workspace ? {
+                    workspace: { workspace_id: workspace.workspace_id, name: workspace.name, environment: workspace.environment },
+                    ...extras
+                } : extras
+            }
+        );
 
         if (!isValid) {
-            console.error('Validation errors:', validationErrors);
+            console.error('Validation errors:', formatValidationErrors(validationErrors));
             return {
                 success: false,
                 errors: validationErrors,
@@ -51,33 +169,140 @@ function exportToJson(pageData = [], elementData = []) {
             };
         }
 
-        // Format date for filename
+        // Format date and workspace for filename
         const dateStr = new Date().toISOString().substring(0, 10);
+        const workspaceStr = workspace ? `${workspace.workspace_id}-` : '';
 
         // Create blob and URL
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const blob = new Blob([exportFormat.render(data)], { type: exportFormat.mimeType });
         const url = URL.createObjectURL(blob);
 
         return {
             success: true,
             errors: [],
             url,
-            filename: `dom-capture-export-${dateStr}.json`
+            filename: `dom-capture-export-${workspaceStr}${dateStr}.${exportFormat.extension}`,
+            counts: {
+                pages: data.pages.length,
+                elements: data.elements.length,
+                journeys: data.journeys.length
+            }
         };
     } catch (error) {
         console.error('Export error:', error);
         return {
             success: false,
-            errors: [error.message],
+            errors: [{ path: '', keyword: 'export', message: error.message }],
             url: null
         };
     }
 }
 
+/**
+ * Export a journey as a downloadable guided-tour definition
+ *
+ * @param {string} library - Key of TOUR_LIBRARIES
+ * @param {Object} journey - Journey record
+ * @param {Array} pageData - Array of page data objects
+ * @param {Array} elementData - Array of element data objects
+ * @returns {Object} - Export result with success flag, errors, blob URL, step count and skipped elements
+ */
+function exportTour(library, journey, pageData = [], elementData = []) {
+    try {
+        const { tour, skipped } = generateTour(library, journey, pageData, elementData);
+        if (tour.steps.length === 0) {
+            return {
+                success: false,
+                errors: [{ path: '', keyword: 'export', message: 'The journey has no steps with a plain CSS selector' }],
+                url: null,
+                skipped
+            };
+        }
+
+        // Create blob and URL
+        const blob = new Blob([JSON.stringify(tour, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        return {
+            success: true,
+            errors: [],
+            url,
+            filename: `tour-${journey.journey_id}-${library}.json`,
+            steps: tour.steps.length,
+            skipped
+        };
+    } catch (error) {
+        console.error('Tour export error:', error);
+        return {
+            success: false,
+            errors: [{ path: '', keyword: 'export', message: error.message }],
+            url: null,
+            skipped: []
+        };
+    }
+}
+
+/**
+ * Export a journey as a downloadable end-to-end test file
+ *
+ * @param {string} framework - Key of TEST_FRAMEWORKS
+ * @param {Object} journey - Journey record
+ * @param {Array} pageData - Array of page data objects
+ * @param {Array} elementData - Array of element data objects
+ * @returns {Object} - Export result with success flag, errors, blob URL, step count and missing elements
+ */
+function exportTest(framework, journey, pageData = [], elementData = []) {
+    try {
+        const { code, steps, missing } = generateTest(framework, journey, pageData, elementData);
+        if (steps === 0) {
+            return {
+                success: false,
+                errors: [{ path: '', keyword: 'export', message: 'The journey has no steps on existing elements' }],
+                url: null,
+                missing
+            };
+        }
+
+        // Create blob and URL
+        const blob = new Blob([code], { type: 'text/javascript' });
+        const url = URL.createObjectURL(blob);
+
+        return {
+            success: true,
+            errors: [],
+            url,
+            filename: `${journey.journey_id}.${TEST_FRAMEWORKS[framework].extension}`,
+            steps,
+            missing
+        };
+    } catch (error) {
+        console.error('Test export error:', error);
+        return {
+            success: false,
+            errors: [{ path: '', keyword: 'export', message: error.message }],
+            url: null,
+            missing: []
+        };
+    }
+}
+
+/**
+ * Export data to a downloadable JSON file
+ *
+ * @param {Array} pageData - Array of page data objects
+ * @param {Array} elementData - Array of element data objects
+ * @param {Array} journeys - Array of journey objects
+ * @param {Object} options - Export options, as for exportToFormat
+ * @returns {Object} - Export result with success flag, errors, and blob URL
+ */
+function exportToJson(pageData = [], elementData = [], journeys = [], options = {}) {
+    return exportToFormat('json', pageData, elementData, journeys, options);
+}
+
 /**
  * Download the exported data as a file
- * 
- * @param {Object} exportResult - Result from exportToJson function
+ *
+ * @param {Object} exportResult - Result from exportToFormat or exportToJson
  * @returns {boolean} - Success flag
  */
 function downloadExport(exportResult) {
@@ -105,4 +330,4 @@ function downloadExport(exportResult) {
 }
 
 // Export functions
-export { prepareExportData, exportToJson, downloadExport }; 
\ No newline at end of file
+export { EXPORT_FORMATS, filterExportData, prepareExportData, exportToFormat, exportToJson, exportTour, exportTest, downloadExport };
@@ -0,0 +1,241 @@
+// Fingerprint Module
+// Records identifying traits of captured elements and fuzzy-matches them on changed pages
+
+import { getAccessibleName, getNormalizedText, querySelectorAllDeep } from './selector-engine.js';
+
+// Attributes recorded in a fingerprint when present
+const KEY_ATTRIBUTES = [
+    'id',
+    'name',
+    'type',
+    'role',
+    'href',
+    'placeholder',
+    'title',
+    'alt',
+    'aria-label',
+    'data-testid',
+    'data-test',
+    'data-cy',
+    'data-qa'
+];
+
+// Number of ancestors recorded in a fingerprint
+const ANCESTOR_DEPTH = 5;
+
+// Relative weight of each trait when scoring a candidate
+const WEIGHTS = {
+    accessibleName: 0.25,
+    text: 0.15,
+    attributes: 0.2,
+    classes: 0.1,
+    ancestors: 0.15,
+    siblingIndex: 0.05,
+    position: 0.1
+};
+
+// Minimum score for a candidate to be proposed as a match
+const MATCH_THRESHOLD = 0.6;
+
+// Most candidates scored per lookup; scoring reads layout, so large pages are cut off here
+const MAX_SCORED_CANDIDATES = 200;
+
+/**
+ * Describe an element as "tag#id.class1.class2" for ancestor comparison
+ *
+ * @param {Element} element - The element to describe
+ * @returns {string} - Compact element signature
+ */
+function signature(element) {
+    const tag = element.tagName.toLowerCase();
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).slice(0, 3).map(c => `.${c}`).join('');
+    return `${tag}${id}${classes}`;
+}
+
+/**
+ * Get the index of an element among its element siblings
+ *
+ * @param {Element} element - The element to inspect
+ * @returns {number} - Zero-based sibling index
+ */
+function getSiblingIndex(element) {
+    let index = 0;
+    for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        index++;
+    }
+    return index;
+}
+
+/**
+ * Create a fingerprint of an element's identifying traits
+ *
+ * The fingerprint is plain JSON so it can be stored on the element record.
+ *
+ * @param {Element} element - The captured element
+ * @returns {Object} - Fingerprint object
+ */
+function createFingerprint(element) {
+    const attributes = {};
+    for (const name of KEY_ATTRIBUTES) {
+        const value = element.getAttribute(name);
+        if (value !== null) {
+            attributes[name] = value;
+        }
+    }
+
+    const ancestors = [];
+    for (let parent = element.parentElement; parent && ancestors.length < ANCESTOR_DEPTH; parent = parent.parentElement) {
+        ancestors.push(signature(parent));
+    }
+
+    const rect = element.getBoundingClientRect();
+
+    return {
+        tag: element.tagName.toLowerCase(),
+        text: getNormalizedText(element, 100),
+        accessible_name: getAccessibleName(element),
+        attributes,
+        classes: Array.from(element.classList),
+        ancestors,
+        sibling_index: getSiblingIndex(element),
+        bounding_box: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        }
+    };
+}
+
+/**
+ * Similarity of two strings using the Dice coefficient over character bigrams
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Similarity between 0 and 1
+ */
+function stringSimilarity(a = '', b = '') {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.substring(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Jaccard similarity of two lists treated as sets
+ *
+ * @param {Array} a - First list
+ * @param {Array} b - Second list
+ * @returns {number} - Similarity between 0 and 1
+ */
+function setSimilarity(a = [], b = []) {
+    if (a.length === 0 && b.length === 0) return 1;
+    const setA = new Set(a);
+    const intersection = b.filter(item => setA.has(item)).length;
+    return intersection / new Set([...a, ...b]).size;
+}
+
+/**
+ * Score how closely a live element matches a stored fingerprint
+ *
+ * @param {Object} fingerprint - Stored fingerprint
+ * @param {Element} candidate - Live element to score
+ * @returns {number} - Score between 0 and 1
+ */
+function scoreCandidate(fingerprint, candidate) {
+    const current = createFingerprint(candidate);
+    if (current.tag !== fingerprint.tag) return 0;
+
+    const storedAttributes = Object.keys(fingerprint.attributes || {});
+    const attributeScore = storedAttributes.length === 0 ? 1 :
+        storedAttributes.reduce((sum, name) =>
+            sum + stringSimilarity(fingerprint.attributes[name], current.attributes[name]), 0) / storedAttributes.length;
+
+    const storedAncestors = fingerprint.ancestors || [];
+    const ancestorScore = storedAncestors.length === 0 ? 1 :
+        storedAncestors.reduce((sum, sig, index) =>
+            sum + stringSimilarity(sig, current.ancestors[index]), 0) / storedAncestors.length;
+
+    let positionScore = 0;
+    if (fingerprint.bounding_box) {
+        const a = fingerprint.bounding_box;
+        const b = current.bounding_box;
+        const distance = Math.hypot((a.x + a.width / 2) - (b.x + b.width / 2), (a.y + a.height / 2) - (b.y + b.height / 2));
+        positionScore = Math.max(0, 1 - distance / 500);
+    }
+
+    return WEIGHTS.accessibleName * stringSimilarity(fingerprint.accessible_name, current.accessible_name) +
+        WEIGHTS.text * stringSimilarity(fingerprint.text, current.text) +
+        WEIGHTS.attributes * attributeScore +
+        WEIGHTS.classes * setSimilarity(fingerprint.classes, current.classes) +
+        WEIGHTS.ancestors * ancestorScore +
+        WEIGHTS.siblingIndex * (fingerprint.sibling_index === current.sibling_index ? 1 : 0) +
+        WEIGHTS.position * positionScore;
+}
+
+/**
+ * Check cheaply whether a live element shares a key attribute value or a class with a fingerprint
+ *
+ * @param {Object} fingerprint - Stored fingerprint
+ * @param {Element} candidate - Live element to check
+ * @returns {boolean} - Whether the element shares at least one of those traits
+ */
+function sharesKeyTrait(fingerprint, candidate) {
+    const attributes = fingerprint.attributes || {};
+    return Object.keys(attributes).some(name => candidate.getAttribute(name) === attributes[name]) ||
+        (fingerprint.classes || []).some(className => candidate.classList.contains(className));
+}
+
+/**
+ * Find the live element that best matches a stored fingerprint
+ *
+ * Only elements with the same tag are considered, including those inside
+ * shadow roots and same-origin frames. Elements sharing a key attribute value
+ * or class with the fingerprint are scored first, and at most
+ * MAX_SCORED_CANDIDATES are scored in total.
+ *
+ * @param {Object} fingerprint - Stored fingerprint
+ * @param {Document|Element} root - Node to search within
+ * @returns {Object|null} - { node, score } for the best match above the threshold, or null
+ */
+function findBestMatch(fingerprint, root = document) {
+    if (!fingerprint || !fingerprint.tag) return null;
+
+    // Sort candidates into likely and unlikely ones without computing a fingerprint for each
+    const likely = [];
+    const unlikely = [];
+    for (const candidate of querySelectorAllDeep(fingerprint.tag, root)) {
+        if (candidate.closest('.dom-capture-popup')) continue;
+        (sharesKeyTrait(fingerprint, candidate) ? likely : unlikely).push(candidate);
+    }
+
+    let best = null;
+    for (const candidate of [...likely, ...unlikely].slice(0, MAX_SCORED_CANDIDATES)) {
+        const score = scoreCandidate(fingerprint, candidate);
+        if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+            best = { node: candidate, score };
+        }
+    }
+
+    return best;
+}
+
+// Export fingerprint functions
+export { MATCH_THRESHOLD, createFingerprint, scoreCandidate, findBestMatch };
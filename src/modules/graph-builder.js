@@ -0,0 +1,291 @@
+// Graph Builder Module
+// Builds a directed flow graph from element `from` edges and renders it as SVG or Graphviz DOT
+
+// Layout dimensions in pixels
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 44;
+const ROW_GAP = 24;
+const COLUMN_GAP = 90;
+const CLUSTER_PADDING = 16;
+const CLUSTER_HEADER = 28;
+
+// Cluster id used for references to elements that do not exist
+const MISSING_CLUSTER_ID = '__missing__';
+
+/**
+ * Build a graph of elements grouped by page, with edges from their `from` references
+ *
+ * @param {Array} pages - Page records
+ * @param {Array} elements - Element records
+ * @returns {Object} - { clusters, nodes, edges, orphans }
+ */
+function buildGraph(pages = [], elements = []) {
+    const elementIds = new Set(elements.map(element => element.element_id));
+    const clusters = new Map();
+
+    for (const page of pages) {
+        clusters.set(page.page_id, { id: page.page_id, label: page.description || page.page_id, page, nodeIds: [] });
+    }
+
+    const nodes = elements.map(element => {
+        if (!clusters.has(element.page_id)) {
+            // Elements whose page record is missing still get a cluster of their own
+            clusters.set(element.page_id, { id: element.page_id, label: element.page_id, page: null, nodeIds: [] });
+        }
+        clusters.get(element.page_id).nodeIds.push(element.element_id);
+
+        return {
+            id: element.element_id,
+            label: element.description || element.element_id,
+            cluster: element.page_id,
+            status: element.status,
+            missing: false,
+            record: element
+        };
+    });
+
+    const edges = [];
+    const orphans = [];
+
+    for (const element of elements) {
+        for (const source of element.from || []) {
+            edges.push({ from: source.node, to: element.element_id, label: source.action });
+
+            if (!elementIds.has(source.node)) {
+                orphans.push({ element_id: element.element_id, missing: source.node, action: source.action });
+            }
+        }
+    }
+
+    // Represent each missing reference once, so orphan edges have somewhere to point
+    const missingIds = [...new Set(orphans.map(orphan => orphan.missing))];
+    if (missingIds.length > 0) {
+        clusters.set(MISSING_CLUSTER_ID, { id: MISSING_CLUSTER_ID, label: 'Missing references', page: null, nodeIds: missingIds });
+        for (const id of missingIds) {
+            nodes.push({ id, label: id, cluster: MISSING_CLUSTER_ID, status: null, missing: true, record: null });
+        }
+    }
+
+    return { clusters: [...clusters.values()], nodes, edges, orphans };
+}
+
+/**
+ * Compute each node's rank as the length of the longest chain of edges leading to it
+ *
+ * Cycles are broken by ignoring edges back into nodes still being visited.
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {Map<string, number>} - Rank per node id
+ */
+function computeRanks(graph) {
+    const incoming = new Map(graph.nodes.map(node => [node.id, []]));
+    for (const edge of graph.edges) {
+        if (incoming.has(edge.to)) {
+            incoming.get(edge.to).push(edge.from);
+        }
+    }
+
+    const ranks = new Map();
+    const visiting = new Set();
+
+    const rankOf = id => {
+        if (ranks.has(id)) return ranks.get(id);
+        if (visiting.has(id)) return 0;
+
+        visiting.add(id);
+        const parents = incoming.get(id) || [];
+        const rank = parents.length === 0 ? 0 : Math.max(...parents.map(parent => rankOf(parent) + 1));
+        visiting.delete(id);
+
+        ranks.set(id, rank);
+        return rank;
+    };
+
+    graph.nodes.forEach(node => rankOf(node.id));
+    return ranks;
+}
+
+/**
+ * Lay out the graph with one column per page, ordered by flow
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {Object} - { width, height, positions: Map<id, {x, y}>, clusterBoxes: Map<id, {x, y, width, height}> }
+ */
+function layoutGraph(graph) {
+    const ranks = computeRanks(graph);
+    const minRank = cluster => Math.min(Infinity, ...cluster.nodeIds.map(id => ranks.get(id) ?? 0));
+
+    const columns = [...graph.clusters]
+        .filter(cluster => cluster.nodeIds.length > 0 || cluster.page)
+        .sort((a, b) => {
+            if (a.id === MISSING_CLUSTER_ID) return -1;
+            if (b.id === MISSING_CLUSTER_ID) return 1;
+            return minRank(a) - minRank(b);
+        });
+
+    const positions = new Map();
+    const clusterBoxes = new Map();
+    let x = CLUSTER_PADDING;
+    let height = 0;
+
+    for (const cluster of columns) {
+        const nodeIds = [...cluster.nodeIds].sort((a, b) => (ranks.get(a) ?? 0) - (ranks.get(b) ?? 0));
+        const boxHeight = CLUSTER_HEADER + CLUSTER_PADDING +
+            Math.max(1, nodeIds.length) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP + CLUSTER_PADDING;
+
+        clusterBoxes.set(cluster.id, { x, y: CLUSTER_PADDING, width: NODE_WIDTH + CLUSTER_PADDING * 2, height: boxHeight });
+
+        nodeIds.forEach((id, index) => {
+            positions.set(id, {
+                x: x + CLUSTER_PADDING,
+                y: CLUSTER_PADDING + CLUSTER_HEADER + CLUSTER_PADDING + index * (NODE_HEIGHT + ROW_GAP)
+            });
+        });
+
+        x += NODE_WIDTH + CLUSTER_PADDING * 2 + COLUMN_GAP;
+        height = Math.max(height, boxHeight + CLUSTER_PADDING * 2);
+    }
+
+    return { width: Math.max(x - COLUMN_GAP, NODE_WIDTH), height, positions, clusterBoxes };
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ *
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Truncate a label so it fits inside a node
+ *
+ * @param {string} label - Label text
+ * @param {number} maxLength - Maximum characters
+ * @returns {string} - Possibly truncated label
+ */
+function truncate(label, maxLength = 26) {
+    return label.length > maxLength ? `${label.substring(0, maxLength - 1)}…` : label;
+}
+
+/**
+ * Render the graph as a standalone SVG document
+ *
+ * Nodes carry data-node-id and clusters data-page-id attributes so callers can attach click handlers.
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {string} - SVG markup
+ */
+function toSvg(graph) {
+    const layout = layoutGraph(graph);
+    const parts = [];
+
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width + CLUSTER_PADDING}" height="${layout.height}" ` +
+        `viewBox="0 0 ${layout.width + CLUSTER_PADDING} ${layout.height}" font-family="Arial, sans-serif" font-size="12">`);
+    parts.push('<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">' +
+        '<path d="M 0 0 L 10 5 L 0 10 z" fill="#555"/></marker></defs>');
+
+    for (const cluster of graph.clusters) {
+        const box = layout.clusterBoxes.get(cluster.id);
+        if (!box) continue;
+
+        const missing = cluster.id === MISSING_CLUSTER_ID;
+        parts.push(`<g class="cluster" data-page-id="${escapeXml(missing ? '' : cluster.id)}">` +
+            `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="6" ` +
+            `fill="${missing ? '#fdecea' : '#f5f9ff'}" stroke="${missing ? '#f44336' : '#90caf9'}"${missing ? ' stroke-dasharray="4 3"' : ''}/>` +
+            `<text x="${box.x + CLUSTER_PADDING}" y="${box.y + 20}" font-weight="bold">${escapeXml(truncate(cluster.label, 28))}</text>` +
+            `<title>${escapeXml(cluster.id)}</title></g>`);
+    }
+
+    for (const edge of graph.edges) {
+        const from = layout.positions.get(edge.from);
+        const to = layout.positions.get(edge.to);
+        if (!from || !to) continue;
+
+        const x1 = from.x + NODE_WIDTH;
+        const y1 = from.y + NODE_HEIGHT / 2;
+        const x2 = to.x;
+        const y2 = to.y + NODE_HEIGHT / 2;
+        const sameColumn = from.x === to.x;
+        const path = sameColumn ?
+            `M ${x1} ${y1} C ${x1 + 40} ${y1}, ${x1 + 40} ${y2}, ${x1} ${y2}` :
+            `M ${x1} ${y1} C ${(x1 + x2) / 2} ${y1}, ${(x1 + x2) / 2} ${y2}, ${x2} ${y2}`;
+        const labelX = sameColumn ? x1 + 34 : (x1 + x2) / 2;
+
+        parts.push(`<g class="edge"><path d="${path}" fill="none" stroke="#555" marker-end="url(#arrow)"/>` +
+            `<text x="${labelX}" y="${(y1 + y2) / 2 - 4}" text-anchor="middle" fill="#555">${escapeXml(edge.label)}</text></g>`);
+    }
+
+    for (const node of graph.nodes) {
+        const position = layout.positions.get(node.id);
+        if (!position) continue;
+
+        const fill = node.missing ? '#ffebee' : node.status === 'active' ? '#ffffff' : '#eeeeee';
+        const stroke = node.missing ? '#f44336' : '#2196F3';
+        parts.push(`<g class="node" data-node-id="${escapeXml(node.id)}" style="cursor: pointer">` +
+            `<rect x="${position.x}" y="${position.y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="4" fill="${fill}" stroke="${stroke}"/>` +
+            `<text x="${position.x + 8}" y="${position.y + 18}">${escapeXml(truncate(node.label))}</text>` +
+            `<text x="${position.x + 8}" y="${position.y + 34}" fill="#888" font-size="10">${escapeXml(truncate(node.id, 30))}</text>` +
+            `<title>${escapeXml(node.id)}</title></g>`);
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * Quote a value as a Graphviz DOT string
+ *
+ * @param {string} value - Raw value
+ * @returns {string} - Quoted DOT string
+ */
+function dotString(value) {
+    return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Render the graph in Graphviz DOT format, with one cluster subgraph per page
+ *
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {string} - DOT source
+ */
+function toDot(graph) {
+    const lines = ['digraph journey {', '    rankdir=LR;', '    node [shape=box, style="rounded,filled", fillcolor=white];'];
+
+    graph.clusters.forEach((cluster, index) => {
+        const missing = cluster.id === MISSING_CLUSTER_ID;
+        lines.push(`    subgraph cluster_${index} {`);
+        lines.push(`        label=${dotString(cluster.label)};`);
+        if (missing) {
+            lines.push('        style=dashed; color=red;');
+        }
+
+        for (const id of cluster.nodeIds) {
+            const node = graph.nodes.find(item => item.id === id);
+            const attributes = [`label=${dotString(node.label)}`, `tooltip=${dotString(node.id)}`];
+            if (node.missing) {
+                attributes.push('fillcolor="#ffebee"', 'color=red');
+            }
+            lines.push(`        ${dotString(id)} [${attributes.join(', ')}];`);
+        }
+
+        lines.push('    }');
+    });
+
+    for (const edge of graph.edges) {
+        lines.push(`    ${dotString(edge.from)} -> ${dotString(edge.to)} [label=${dotString(edge.label)}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+}
+
+// Export graph functions
+export { buildGraph, layoutGraph, toSvg, toDot };
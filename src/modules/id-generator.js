@@ -0,0 +1,231 @@
+// ID Generator Module
+// Derives stable page and element identifiers from URL patterns and element fingerprints
+
+import { isStableClass } from './selector-engine.js';
+
+// Naming templates used when none are configured
+const DEFAULT_ID_TEMPLATES = {
+    page: '{path}_page_v1',
+    element: '{type}_{name}_{hash}'
+};
+
+// Tokens available in each template
+const TEMPLATE_TOKENS = {
+    page: ['path', 'last', 'hash'],
+    element: ['page', 'type', 'tag', 'name', 'hash']
+};
+
+// Longest slug taken from a single token value
+const MAX_TOKEN_LENGTH = 40;
+
+// Allowed shape of a page or element identifier
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Hash a string into a short, stable base-36 token (32-bit FNV-1a)
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} - Six-character hash
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(36).padStart(6, '0').slice(-6);
+}
+
+/**
+ * Reduce a value to lowercase letters, digits and single underscores
+ *
+ * @param {string} value - Value to slugify
+ * @param {number} maxLength - Maximum slug length
+ * @returns {string} - Slug, possibly empty
+ */
+function slugify(value, maxLength = MAX_TOKEN_LENGTH) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .substring(0, maxLength)
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Fill a naming template and normalize the result into a valid identifier
+ *
+ * @param {string} template - Template such as "{path}_page_v1"
+ * @param {Object} tokens - Token values by name
+ * @returns {string} - Identifier
+ */
+function renderTemplate(template, tokens) {
+    return template
+        .replace(/\{(\w+)\}/g, (match, token) => tokens[token] ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '_')
+        .replace(/_{2,}/g, '_')
+        .replace(/^[_-]+|[_-]+$/g, '');
+}
+
+/**
+ * Check a template for unknown tokens
+ *
+ * @param {string} kind - 'page' or 'element'
+ * @param {string} template - Template to check
+ * @returns {Array} - Unknown token names
+ */
+function findUnknownTokens(kind, template) {
+    const tokens = Array.from(template.matchAll(/\{(\w+)\}/g), match => match[1]);
+    return tokens.filter(token => !TEMPLATE_TOKENS[kind].includes(token));
+}
+
+/**
+ * Generate a page ID from its normalized URL pattern
+ *
+ * Parameters (":id") and query values do not name the page, so "/admin/settings"
+ * becomes "admin_settings_page_v1" and "/users/:id" becomes "users_page_v1".
+ *
+ * @param {string} urlPattern - Normalized URL pattern
+ * @param {string} template - Page naming template
+ * @returns {string} - Page ID
+ */
+function generatePageId(urlPattern, template = DEFAULT_ID_TEMPLATES.page) {
+    const segments = urlPattern
+        .split(/[/#?&]/)
+        .filter(segment => segment && !segment.startsWith(':') && !segment.includes('='))
+        .map(segment => slugify(segment))
+        .filter(Boolean);
+
+    return renderTemplate(template, {
+        path: segments.join('_') || 'home',
+        last: segments[segments.length - 1] || 'home',
+        hash: hashString(urlPattern)
+    }) || `page_${hashString(urlPattern)}`;
+}
+
+/**
+ * Reduce a "tag#id.class1.class2" ancestor signature to its hand-written classes
+ *
+ * @param {string} signature - Ancestor signature from a fingerprint
+ * @returns {string} - Signature without generated classes
+ */
+function getStableSignature(signature) {
+    const [head, ...classes] = signature.split('.');
+    return [head, ...classes.filter(isStableClass)].join('.');
+}
+
+/**
+ * Build the identity key of an element from the traits that survive re-rendering
+ *
+ * Position and free text are left out so the same control keeps its key when the
+ * layout shifts or its label is reworded. Generated ancestor classes and the query
+ * string of `href` are left out too, as they change between builds and visits.
+ *
+ * @param {string} urlPattern - Normalized URL pattern of the element's page
+ * @param {Object} fingerprint - Element fingerprint
+ * @returns {string} - Identity key
+ */
+function getElementKey(urlPattern, fingerprint) {
+    const attributes = Object.keys(fingerprint.attributes || {})
+        .sort()
+        .map(name => {
+            const value = fingerprint.attributes[name];
+            return `${name}=${name === 'href' ? value.replace(/\?[^#]*/, '') : value}`;
+        });
+
+    return [
+        urlPattern,
+        fingerprint.tag,
+        attributes.join('&'),
+        (fingerprint.ancestors || []).map(getStableSignature).join('<'),
+        fingerprint.sibling_index
+    ].join('|');
+}
+
+/**
+ * Generate an element ID from its page and fingerprint
+ *
+ * @param {Object} details - Element details
+ * @param {string} details.pageId - ID of the element's page
+ * @param {string} details.urlPattern - Normalized URL pattern of the element's page
+ * @param {string} details.type - Element type (button, input, link, ...)
+ * @param {Object} details.fingerprint - Element fingerprint
+ * @param {string} template - Element naming template
+ * @returns {string} - Element ID
+ */
+function generateElementId({ pageId, urlPattern, type, fingerprint }, template = DEFAULT_ID_TEMPLATES.element) {
+    const attributes = fingerprint.attributes || {};
+    const name = [
+        attributes['data-testid'],
+        attributes.id,
+        attributes.name,
+        fingerprint.accessible_name,
+        fingerprint.text
+    ].map(value => slugify(value)).find(Boolean) || fingerprint.tag;
+    const hash = hashString(getElementKey(urlPattern, fingerprint));
+
+    return renderTemplate(template, {
+        page: pageId,
+        type,
+        tag: fingerprint.tag,
+        name,
+        hash
+    }) || `${type}_${hash}`;
+}
+
+/**
+ * Check whether an existing element record describes the same element
+ *
+ * @param {Object} record - Stored element record
+ * @param {string} pageId - Page of the element being captured
+ * @param {string} urlPattern - Normalized URL pattern of that page
+ * @param {Object} fingerprint - Fingerprint of the element being captured
+ * @returns {boolean} - Whether the record and the capture are the same element
+ */
+function isSameElement(record, pageId, urlPattern, fingerprint) {
+    return record.page_id === pageId &&
+        Boolean(record.fingerprint) &&
+        getElementKey(urlPattern, record.fingerprint) === getElementKey(urlPattern, fingerprint);
+}
+
+/**
+ * Disambiguate an ID that is already used by a different record
+ *
+ * @param {string} id - Generated ID
+ * @param {Array} existingIds - IDs already in storage
+ * @returns {string} - The ID itself, or the ID with the first free "_2", "_3", ... suffix
+ */
+function ensureUniqueId(id, existingIds) {
+    const taken = new Set(existingIds);
+    if (!taken.has(id)) return id;
+
+    let suffix = 2;
+    while (taken.has(`${id}_${suffix}`)) {
+        suffix++;
+    }
+    return `${id}_${suffix}`;
+}
+
+/**
+ * Check whether a string is a valid page or element ID
+ *
+ * @param {string} id - Candidate ID
+ * @returns {boolean} - Whether the ID is usable
+ */
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// Export ID generator functions
+export {
+    DEFAULT_ID_TEMPLATES,
+    TEMPLATE_TOKENS,
+    hashString,
+    findUnknownTokens,
+    generatePageId,
+    generateElementId,
+    isSameElement,
+    ensureUniqueId,
+    isValidId
+};
@@ -0,0 +1,227 @@
+// Import Merge Module
+// Plans how a previous export merges into stored data and resolves conflicting records
+
+import { ensureUniqueId } from './id-generator.js';
+import { diffRecords } from './version-history.js';
+import { compareVersions } from '../utils/version.js';
+
+// Ways to resolve a record that differs between storage and the import
+const MERGE_STRATEGIES = {
+    mine: 'Keep mine',
+    theirs: 'Take theirs',
+    newest: 'Newest updated_at wins'
+};
+
+// Export key, ID field and version field of each record type, in merge order
+const IMPORT_TYPES = {
+    page: { exportKey: 'pages', storageKey: 'pageData', idField: 'page_id', versionField: 'ui_version' },
+    element: { exportKey: 'elements', storageKey: 'elementData', idField: 'element_id', versionField: 'version' },
+    journey: { exportKey: 'journeys', storageKey: 'journeys', idField: 'journey_id', versionField: null }
+};
+
+/**
+ * Pick the stored ID an imported record maps to, or a new one if its ID is taken by a different record
+ *
+ * @param {string} id - ID in the import
+ * @param {Object|null} match - Stored record describing the same thing, if any
+ * @param {Object|null} clash - Stored record using the same ID, if any
+ * @param {string} idField - ID field of the record type
+ * @param {Set<string>} taken - IDs already used in storage or assigned to other imported records
+ * @returns {string} - ID the record is merged under
+ */
+function mapId(id, match, clash, idField, taken) {
+    const mapped = match ? match[idField] : clash ? ensureUniqueId(id, taken) : id;
+    taken.add(mapped);
+    return mapped;
+}
+
+/**
+ * Rewrite the page and element references of an imported record with the remapped IDs
+ *
+ * @param {string} type - 'page', 'element' or 'journey'
+ * @param {Object} record - Imported record
+ * @param {Object} idMap - { page, element, journey } maps from imported to merged IDs
+ * @returns {Object} - Record pointing at the merged IDs
+ */
+function remapReferences(type, record, idMap) {
+    const mapPage = id => idMap.page[id] || id;
+    const mapElement = id => idMap.element[id] || id;
+
+    if (type === 'page') {
+        return {
+            ...record,
+            page_id: mapPage(record.page_id),
+            from: record.from && record.from.map(item => ({ ...item, node: mapPage(item.node) }))
+        };
+    }
+
+    if (type === 'element') {
+        return {
+            ...record,
+            element_id: mapElement(record.element_id),
+            page_id: mapPage(record.page_id),
+            from: record.from && record.from.map(item => ({ ...item, node: mapElement(item.node) }))
+        };
+    }
+
+    return {
+        ...record,
+        journey_id: idMap.journey[record.journey_id] || record.journey_id,
+        // An imported journey cannot still be recording in this browser
+        status: 'stopped',
+        start_page: record.start_page && mapPage(record.start_page),
+        end_page: record.end_page && mapPage(record.end_page),
+        steps: record.steps.map(step => ({
+            ...step,
+            element_id: mapElement(step.element_id),
+            page_id: mapPage(step.page_id)
+        }))
+    };
+}
+
+/**
+ * Classify an imported record against the stored record it merges into
+ *
+ * A record is an update when the import is strictly ahead of storage: a higher
+ * version for pages and elements, or the stored steps continued for journeys.
+ * Any other difference is a conflict.
+ *
+ * @param {string} type - 'page', 'element' or 'journey'
+ * @param {Object|null} mine - Stored record
+ * @param {Object} theirs - Imported record with remapped IDs
+ * @returns {string} - 'add', 'unchanged', 'update' or 'conflict'
+ */
+function classifyRecord(type, mine, theirs) {
+    if (!mine) return 'add';
+
+    if (type === 'journey') {
+        if (diffRecords({ ...mine, status: 'stopped' }, theirs).length === 0) return 'unchanged';
+
+        const continues = theirs.steps.length > mine.steps.length &&
+            mine.steps.every((step, index) => JSON.stringify(step) === JSON.stringify(theirs.steps[index]));
+        return continues && theirs.updated_at >= mine.updated_at ? 'update' : 'conflict';
+    }
+
+    if (diffRecords(mine, theirs).length === 0) return 'unchanged';
+
+    const versionField = IMPORT_TYPES[type].versionField;
+    return compareVersions(theirs[versionField], mine[versionField]) > 0 && theirs.updated_at >= mine.updated_at ?
+        'update' :
+        'conflict';
+}
+
+/**
+ * Plan how an export merges into stored data
+ *
+ * Imported pages match stored pages with the same URL pattern, elements match stored
+ * elements on the same page with the same ID or selector, and journeys match stored
+ * journeys created at the same time. An imported record whose ID is
+ * used by a different stored record gets a new ID with a "_2", "_3", ... suffix, and
+ * the `page_id`, `from` and journey step references to it are rewritten.
+ *
+ * @param {Object} stored - { pageData, elementData, journeys } from storage
+ * @param {Object} exportData - Validated export with pages, elements and journeys
+ * @returns {Object} - { entries, idMap, counts } where each entry is
+ *                     { type, id, sourceId, status, mine, theirs }
+ */
+function planImport(stored, exportData) {
+    const idMap = { page: {}, element: {}, journey: {} };
+    const entries = [];
+
+    for (const [type, { exportKey, storageKey, idField }] of Object.entries(IMPORT_TYPES)) {
+        const existing = stored[storageKey] || [];
+        const taken = new Set(existing.map(record => record[idField]));
+        (exportData[exportKey] || []).forEach(record => taken.add(record[idField]));
+
+        for (const record of exportData[exportKey] || []) {
+            const sourceId = record[idField];
+            const clash = existing.find(item => item[idField] === sourceId) || null;
+            let match = null;
+
+            if (type === 'page') {
+                match = existing.find(item => item.url_pattern === record.url_pattern) || null;
+            } else if (type === 'element') {
+                const pageId = idMap.page[record.page_id] || record.page_id;
+                match = clash && clash.page_id === pageId ? clash :
+                    existing.find(item => item.page_id === pageId && item.dom_selector === record.dom_selector) || null;
+            } else {
+                match = clash && clash.created_at === record.created_at ? clash :
+                    existing.find(item => item.name === record.name && item.created_at === record.created_at) || null;
+            }
+
+            const id = mapId(sourceId, match, match ? null : clash, idField, taken);
+            if (id !== sourceId) {
+                idMap[type][sourceId] = id;
+            }
+            entries.push({ type, id, sourceId, record, mine: match });
+        }
+    }
+
+    const planned = entries.map(({ type, id, sourceId, record, mine }) => {
+        const theirs = remapReferences(type, record, idMap);
+        return { type, id, sourceId, status: classifyRecord(type, mine, theirs), mine, theirs };
+    });
+
+    const counts = { add: 0, update: 0, conflict: 0, unchanged: 0 };
+    planned.forEach(entry => counts[entry.status]++);
+
+    return { entries: planned, idMap, counts };
+}
+
+/**
+ * Decide whether the imported version of a planned record is used
+ *
+ * Updates take the import unless overridden; conflicts follow the default strategy
+ * unless overridden.
+ *
+ * @param {Object} entry - Entry from planImport
+ * @param {string} strategy - Default strategy for conflicts (a key of MERGE_STRATEGIES)
+ * @param {Object} overrides - Strategies keyed by "type:id"
+ * @returns {boolean} - Whether the imported record replaces the stored one
+ */
+function takesTheirs(entry, strategy, overrides) {
+    if (entry.status === 'add') return true;
+    if (entry.status === 'unchanged') return false;
+
+    const chosen = overrides[`${entry.type}:${entry.id}`] || (entry.status === 'update' ? 'theirs' : strategy);
+    if (chosen === 'newest') return entry.theirs.updated_at > entry.mine.updated_at;
+    return chosen === 'theirs';
+}
+
+/**
+ * Merge a planned import into stored data
+ *
+ * @param {Object} stored - { pageData, elementData, journeys } from storage
+ * @param {Object} plan - Result of planImport
+ * @param {Object} options - Merge options
+ * @param {string} options.strategy - Default strategy for conflicts (a key of MERGE_STRATEGIES)
+ * @param {Object} options.overrides - Strategies for single records, keyed by "type:id"
+ * @returns {Object} - { pageData, elementData, journeys, applied } where applied lists the
+ *                     { type, mine, theirs } records taken from the import
+ */
+function mergeImport(stored, plan, { strategy = 'newest', overrides = {} } = {}) {
+    const merged = {
+        pageData: [...(stored.pageData || [])],
+        elementData: [...(stored.elementData || [])],
+        journeys: [...(stored.journeys || [])]
+    };
+    const applied = [];
+
+    for (const entry of plan.entries) {
+        if (!takesTheirs(entry, strategy, overrides)) continue;
+
+        const { storageKey } = IMPORT_TYPES[entry.type];
+        const index = entry.mine ? merged[storageKey].indexOf(entry.mine) : -1;
+        if (index >= 0) {
+            merged[storageKey][index] = entry.theirs;
+        } else {
+            merged[storageKey].push(entry.theirs);
+        }
+        applied.push({ type: entry.type, mine: entry.mine, theirs: entry.theirs });
+    }
+
+    return { ...merged, applied };
+}
+
+// Export import merge functions
+export { MERGE_STRATEGIES, IMPORT_TYPES, planImport, mergeImport };
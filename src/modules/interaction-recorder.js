@@ -0,0 +1,226 @@
+// Interaction Recorder Module
+// Detects, describes and performs the user interaction that leads from one captured element to the next
+
+// Supported interaction types and their display labels
+const INTERACTION_ACTIONS = {
+    click: 'Click',
+    input: 'Type text',
+    select: 'Choose option',
+    check: 'Check',
+    uncheck: 'Uncheck',
+    hover: 'Hover (open menu)',
+    submit: 'Submit form',
+    keypress: 'Press key'
+};
+
+// Actions that carry a value (typed text, chosen option or key name)
+const VALUE_ACTIONS = ['input', 'select', 'keypress'];
+
+// Field names and autocomplete tokens whose values are redacted by default
+const SENSITIVE_FIELD = /pass(word)?|secret|token|otp|pin|ssn|social|card|cc-|cvv|cvc|iban|account/i;
+
+/**
+ * Check whether an element is a text-entry control
+ *
+ * @param {Element} element - The element to inspect
+ * @returns {boolean} - Whether the user types into the element
+ */
+function isTextEntry(element) {
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    if (element.tagName !== 'INPUT') return false;
+
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    return !['button', 'submit', 'reset', 'image', 'checkbox', 'radio', 'file', 'hidden', 'range', 'color'].includes(type);
+}
+
+/**
+ * Suggest the interaction a user most likely performs on an element
+ *
+ * @param {Element} element - The captured element
+ * @returns {string} - One of the INTERACTION_ACTIONS keys
+ */
+function getDefaultAction(element) {
+    if (element.tagName === 'SELECT') return 'select';
+    if (isTextEntry(element)) return 'input';
+
+    if (element.tagName === 'INPUT') {
+        const type = (element.getAttribute('type') || '').toLowerCase();
+        if (type === 'checkbox') return element.checked ? 'uncheck' : 'check';
+        if (type === 'radio') return 'check';
+        if (type === 'submit' || type === 'image') return 'submit';
+    }
+
+    if (element.tagName === 'BUTTON' && (element.getAttribute('type') || 'submit') === 'submit' && element.form) {
+        return 'submit';
+    }
+
+    if (element.getAttribute('aria-haspopup') && element.getAttribute('aria-haspopup') !== 'false') {
+        return 'hover';
+    }
+
+    return 'click';
+}
+
+/**
+ * Read the value associated with an interaction from the element's current state
+ *
+ * @param {Element} element - The captured element
+ * @param {string} action - The interaction type
+ * @returns {string|null} - The current value, or null if the action has none
+ */
+function readValue(element, action) {
+    switch (action) {
+        case 'input':
+            return element.isContentEditable ? element.textContent : (element.value ?? '');
+        case 'select':
+            return element.tagName === 'SELECT' ? element.value : null;
+        case 'keypress':
+            return 'Enter';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check whether an element's value should be redacted by default
+ *
+ * @param {Element} element - The captured element
+ * @returns {boolean} - Whether the field looks sensitive
+ */
+function isSensitiveField(element) {
+    if ((element.getAttribute('type') || '').toLowerCase() === 'password') return true;
+
+    return ['name', 'id', 'autocomplete', 'aria-label', 'placeholder']
+        .some(attribute => SENSITIVE_FIELD.test(element.getAttribute(attribute) || ''));
+}
+
+/**
+ * Build the interaction record stored on an element
+ *
+ * @param {string} action - The interaction type
+ * @param {string|null} value - The value entered by the user
+ * @param {boolean} redact - Whether to drop the value from storage
+ * @returns {Object} - { action, value, redacted }
+ */
+function createInteraction(action, value, redact) {
+    if (!VALUE_ACTIONS.includes(action)) {
+        return { action, value: null, redacted: false };
+    }
+
+    return redact ?
+        { action, value: null, redacted: true } :
+        { action, value: value ?? null, redacted: false };
+}
+
+/**
+ * Build a `from` entry pointing at a previous element
+ *
+ * @param {string} elementId - ID of the previous element
+ * @param {Object|null} interaction - Interaction recorded on that element
+ * @returns {Object} - `from` item with node, action and optional value
+ */
+function createFromEntry(elementId, interaction) {
+    const entry = { node: elementId, action: interaction ? interaction.action : 'click' };
+
+    if (interaction && VALUE_ACTIONS.includes(interaction.action)) {
+        entry.value = interaction.value;
+        entry.redacted = interaction.redacted;
+    }
+
+    return entry;
+}
+
+/**
+ * Set a form control's value so framework-controlled inputs (e.g. React) notice the change
+ *
+ * @param {Element} element - Input, textarea or select
+ * @param {string} value - New value
+ */
+function setNativeValue(element, value) {
+    const prototype = Object.getPrototypeOf(element);
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+
+    if (descriptor && descriptor.set) {
+        descriptor.set.call(element, value);
+    } else {
+        element.value = value;
+    }
+}
+
+/**
+ * Perform a recorded interaction on an element
+ *
+ * @param {Element} element - The element to act on
+ * @param {Object} interaction - { action, value }
+ * @returns {boolean} - Whether the action was performed
+ */
+function performInteraction(element, { action, value }) {
+    const view = element.ownerDocument.defaultView;
+    const mouse = type => new view.MouseEvent(type, { bubbles: true, cancelable: true, composed: true, view });
+
+    switch (action) {
+        case 'click':
+            element.dispatchEvent(mouse('mousedown'));
+            element.dispatchEvent(mouse('mouseup'));
+            element.click();
+            return true;
+        case 'input':
+            element.focus();
+            if (element.isContentEditable) {
+                element.textContent = value ?? '';
+            } else {
+                setNativeValue(element, value ?? '');
+            }
+            element.dispatchEvent(new view.Event('input', { bubbles: true, composed: true }));
+            element.dispatchEvent(new view.Event('change', { bubbles: true }));
+            return true;
+        case 'select':
+            setNativeValue(element, value ?? '');
+            element.dispatchEvent(new view.Event('input', { bubbles: true, composed: true }));
+            element.dispatchEvent(new view.Event('change', { bubbles: true }));
+            return true;
+        case 'check':
+        case 'uncheck':
+            if (element.checked !== (action === 'check')) {
+                element.click();
+            }
+            return true;
+        case 'hover':
+            element.dispatchEvent(mouse('mouseover'));
+            element.dispatchEvent(new view.MouseEvent('mouseenter', { bubbles: false, view }));
+            element.dispatchEvent(mouse('mousemove'));
+            return true;
+        case 'submit': {
+            const form = element.tagName === 'FORM' ? element : element.form || element.closest('form');
+            if (form) {
+                form.requestSubmit(element.form === form && element.type === 'submit' ? element : undefined);
+            } else {
+                element.click();
+            }
+            return true;
+        }
+        case 'keypress': {
+            const key = value || 'Enter';
+            const init = { key, code: key === 'Enter' ? 'Enter' : key, bubbles: true, cancelable: true, composed: true };
+            element.focus();
+            element.dispatchEvent(new view.KeyboardEvent('keydown', init));
+            element.dispatchEvent(new view.KeyboardEvent('keypress', init));
+            element.dispatchEvent(new view.KeyboardEvent('keyup', init));
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+// Export interaction functions
+export {
+    INTERACTION_ACTIONS,
+    VALUE_ACTIONS,
+    getDefaultAction,
+    readValue,
+    isSensitiveField,
+    createInteraction,
+    createFromEntry,
+    performInteraction
+};
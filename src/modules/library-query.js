@@ -0,0 +1,110 @@
+// Library Query Module
+// Searches, filters and sorts pages and elements for the capture library page
+
+// KPI filter value selecting records without a KPI
+const NO_KPI = '__none__';
+
+// Ways the library can be sorted; fields missing on a record type sort as empty
+const LIBRARY_SORTS = {
+    updated_desc: { field: 'updated_at', descending: true },
+    updated_asc: { field: 'updated_at', descending: false },
+    id: { field: 'id', descending: false },
+    description: { field: 'description', descending: false },
+    page: { field: 'page_id', descending: false },
+    type: { field: 'type', descending: false },
+    status: { field: 'status', descending: false },
+    kpi: { field: 'KPI', descending: false }
+};
+
+// Fields matched by the search box
+const SEARCH_FIELDS = {
+    page: ['page_id', 'url_pattern', 'url', 'description', 'KPI', 'framework'],
+    element: ['element_id', 'page_id', 'type', 'dom_selector', 'description', 'KPI']
+};
+
+/**
+ * Get the ID of a page or element record
+ *
+ * @param {Object} record - Page or element record
+ * @returns {string} - page_id or element_id
+ */
+function getRecordId(record) {
+    return record.element_id || record.page_id;
+}
+
+/**
+ * List the values the library's filters can take
+ *
+ * @param {Array} pageData - Array of page data objects
+ * @param {Array} elementData - Array of element data objects
+ * @returns {Object} - { types, kpis } with sorted, distinct values
+ */
+function getLibraryFacets(pageData = [], elementData = []) {
+    const distinct = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+    return {
+        types: distinct(elementData.map(element => element.type)),
+        kpis: distinct([...pageData, ...elementData].map(record => record.KPI))
+    };
+}
+
+/**
+ * Narrow pages or elements down to those matching the library's search and filters
+ *
+ * The type and status filters only apply to elements.
+ *
+ * @param {string} kind - 'page' or 'element'
+ * @param {Array} records - Records of that kind
+ * @param {Object} filters - Library filters
+ * @param {string} filters.search - Text every record must contain in one of its SEARCH_FIELDS, ignoring case
+ * @param {string} filters.pageId - Only this page, or the elements on it
+ * @param {string} filters.type - Only elements of this type
+ * @param {string} filters.status - Only elements with this status
+ * @param {string} filters.kpi - Only records with this KPI, or NO_KPI for records without one
+ * @param {string} filters.from - Only records updated on or after this date (YYYY-MM-DD)
+ * @param {string} filters.to - Only records updated on or before this date (YYYY-MM-DD)
+ * @returns {Array} - Matching records in their original order
+ */
+function filterLibrary(kind, records = [], { search = '', pageId = null, type = null, status = null, kpi = null, from = null, to = null } = {}) {
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return records.filter(record => {
+        const date = String(record.updated_at || '').substring(0, 10);
+        const text = SEARCH_FIELDS[kind].map(field => record[field] || '').join('\n').toLowerCase();
+
+        return terms.every(term => text.includes(term)) &&
+            (!pageId || record.page_id === pageId) &&
+            (kind !== 'element' || !type || record.type === type) &&
+            (kind !== 'element' || !status || record.status === status) &&
+            (!kpi || (kpi === NO_KPI ? !record.KPI : record.KPI === kpi)) &&
+            (!from || date >= from) &&
+            (!to || date <= to);
+    });
+}
+
+/**
+ * Sort library records
+ *
+ * @param {Array} records - Page or element records
+ * @param {string} sort - Key of LIBRARY_SORTS
+ * @returns {Array} - A sorted copy; ties are broken by record ID
+ */
+function sortLibrary(records = [], sort = 'updated_desc') {
+    const { field, descending } = LIBRARY_SORTS[sort] || LIBRARY_SORTS.updated_desc;
+    const valueOf = record => String((field === 'id' ? getRecordId(record) : record[field]) || '');
+
+    return [...records].sort((a, b) => {
+        const order = valueOf(a).localeCompare(valueOf(b), undefined, { numeric: true, sensitivity: 'base' });
+        return (descending ? -order : order) || getRecordId(a).localeCompare(getRecordId(b));
+    });
+}
+
+// Export library query functions
+export {
+    NO_KPI,
+    LIBRARY_SORTS,
+    getRecordId,
+    getLibraryFacets,
+    filterLibrary,
+    sortLibrary
+};
@@ -0,0 +1,253 @@
+// Mutation Tracker Module
+// Watches captured elements on the live page and reports when they change after capture
+
+import { getNormalizedText } from './selector-engine.js';
+import { resolveUniqueNode } from './page-verifier.js';
+import { toPageUrl } from './url-patterns.js';
+
+// Delay before re-checking tracked elements after a burst of mutations, in milliseconds
+const CHECK_DELAY = 250;
+
+// Longest a check is put off while mutations keep arriving (clocks, spinners, tickers), in milliseconds
+const MAX_CHECK_DELAY = 1000;
+
+// Kinds of change reported for a tracked element
+const MUTATION_TYPES = {
+    removed: 'Removed from the page',
+    restored: 'Back on the page',
+    rerendered: 'Re-rendered as a new node',
+    text_changed: 'Text changed',
+    attribute_changed: 'Attribute changed',
+    hidden: 'Hidden',
+    shown: 'Visible again'
+};
+
+// Tracker state
+let observer = null;
+let tracked = [];
+let trackedRoot = document;
+let trackedUrlRules = null;
+let checkTimer = null;
+let pendingSince = null;
+let reportEvents = null;
+
+/**
+ * Start watching captured elements for changes
+ *
+ * Each element's text and attributes are compared with its capture-time
+ * fingerprint, so those differences are reported on the first check. Whether it
+ * is on the page and visible is taken from the page as tracking starts, so
+ * conditionally rendered elements such as menus and dialogs are not reported
+ * as removed or hidden on every page load.
+ *
+ * @param {Array} elements - Stored element records for the current page
+ * @param {Function} onEvents - Called with an array of mutation events whenever changes are seen
+ * @param {Document} root - Document the stored selectors are resolved from
+ * @param {Object|null} urlRules - URL rules for the page's origin, deciding which query parameters events keep in their URL
+ */
+function startTracking(elements, onEvents, root = document, urlRules = null) {
+    stopTracking();
+
+    trackedRoot = root;
+    trackedUrlRules = urlRules;
+    reportEvents = onEvents;
+    tracked = elements.map(record => {
+        const node = resolveUniqueNode(record, root);
+        return {
+            record,
+            node,
+            present: Boolean(node),
+            seen: Boolean(node),
+            visible: node ? isVisible(node) : true,
+            text: record.fingerprint ? record.fingerprint.text : null,
+            attributes: record.fingerprint ? { ...record.fingerprint.attributes } : null
+        };
+    });
+
+    observer = new MutationObserver(scheduleCheck);
+    checkElements();
+}
+
+/**
+ * Stop watching captured elements
+ */
+function stopTracking() {
+    if (observer) {
+        observer.disconnect();
+        observer = null;
+    }
+
+    clearTimeout(checkTimer);
+    pendingSince = null;
+    tracked = [];
+    reportEvents = null;
+}
+
+/**
+ * Re-check tracked elements once mutations have settled, or after MAX_CHECK_DELAY
+ * if the page never stops changing
+ */
+function scheduleCheck() {
+    const now = Date.now();
+    if (pendingSince === null) {
+        pendingSince = now;
+    }
+
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(checkElements, Math.max(0, Math.min(CHECK_DELAY, pendingSince + MAX_CHECK_DELAY - now)));
+}
+
+/**
+ * Compare every tracked element with its last known state and report the differences
+ */
+function checkElements() {
+    pendingSince = null;
+    const events = [];
+
+    for (const entry of tracked) {
+        const changes = checkElement(entry);
+        events.push(...changes.map(({ type, detail }) => ({
+            element_id: entry.record.element_id,
+            page_id: entry.record.page_id,
+            type,
+            detail,
+            url: toPageUrl(trackedRoot.location.href, trackedUrlRules),
+            observed_at: new Date().toISOString()
+        })));
+    }
+
+    observeRoots();
+
+    if (events.length > 0 && reportEvents) {
+        reportEvents(events);
+    }
+}
+
+/**
+ * Check one tracked element for changes and update its known state
+ *
+ * @param {Object} entry - Tracked element state
+ * @returns {Array<Object>} - Changes as { type, detail }
+ */
+function checkElement(entry) {
+    const changes = [];
+
+    // A disconnected node may have been re-rendered; look the element up again
+    if (!entry.node || !entry.node.isConnected) {
+        const node = resolveUniqueNode(entry.record, trackedRoot);
+
+        if (!node) {
+            if (entry.present) {
+                changes.push({ type: 'removed', detail: { selector: entry.record.dom_selector } });
+                entry.present = false;
+            }
+            entry.node = null;
+            return changes;
+        }
+
+        // An element rendered for the first time since tracking started is not a change
+        if (!entry.present && entry.seen) {
+            changes.push({ type: 'restored', detail: {} });
+        } else if (entry.node) {
+            changes.push({ type: 'rerendered', detail: {} });
+        }
+
+        entry.node = node;
+        entry.present = true;
+        entry.seen = true;
+    }
+
+    const node = entry.node;
+
+    if (entry.text !== null) {
+        const text = getNormalizedText(node, 100);
+        if (text !== entry.text) {
+            changes.push({ type: 'text_changed', detail: { before: entry.text, after: text } });
+            entry.text = text;
+        }
+    }
+
+    if (entry.attributes !== null) {
+        const names = new Set([...Object.keys(entry.attributes), ...Object.keys(entry.record.fingerprint.attributes)]);
+        for (const name of names) {
+            const value = node.getAttribute(name);
+            if (value !== (entry.attributes[name] ?? null)) {
+                changes.push({
+                    type: 'attribute_changed',
+                    detail: { attribute: name, before: entry.attributes[name] ?? null, after: value }
+                });
+                entry.attributes[name] = value;
+            }
+        }
+    }
+
+    const visible = isVisible(node);
+    if (visible !== entry.visible) {
+        changes.push({ type: visible ? 'shown' : 'hidden', detail: {} });
+        entry.visible = visible;
+    }
+
+    return changes;
+}
+
+/**
+ * Check whether a node is rendered and visible
+ *
+ * @param {Element} node - The node to inspect
+ * @returns {boolean} - Whether the node takes up space and is not visibility:hidden
+ */
+function isVisible(node) {
+    if (node.getClientRects().length === 0) return false;
+
+    const style = node.ownerDocument.defaultView.getComputedStyle(node);
+    return style.visibility !== 'hidden';
+}
+
+/**
+ * Observe the document plus every shadow root and frame document holding a tracked node
+ */
+function observeRoots() {
+    if (!observer) return;
+
+    const roots = new Set([trackedRoot]);
+    for (const entry of tracked) {
+        if (entry.node) {
+            roots.add(entry.node.getRootNode());
+        }
+    }
+
+    for (const root of roots) {
+        observer.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+    }
+}
+
+/**
+ * Summarize the changes seen on each element since it was last captured or updated
+ *
+ * @param {Array} events - Stored mutation events
+ * @param {Array} elements - Stored element records
+ * @returns {Array<Object>} - One warning per changed element, most recent first
+ */
+function summarizeChanges(events, elements) {
+    const warnings = [];
+
+    for (const element of elements) {
+        const recent = events.filter(event =>
+            event.element_id === element.element_id && event.observed_at > element.updated_at);
+        if (recent.length === 0) continue;
+
+        warnings.push({
+            element_id: element.element_id,
+            page_id: element.page_id,
+            description: element.description,
+            types: [...new Set(recent.map(event => event.type))],
+            events: recent.length,
+            last_observed_at: recent[recent.length - 1].observed_at
+        });
+    }
+
+    return warnings.sort((a, b) => b.last_observed_at.localeCompare(a.last_observed_at));
+}
+
+// Export mutation tracking functions
+export { MUTATION_TYPES, startTracking, stopTracking, summarizeChanges };
@@ -0,0 +1,288 @@
+// Page Verifier Module
+// Re-resolves stored element selectors on the live page and reports their health
+
+import { resolveSelector, generateSelectors } from './selector-engine.js';
+import { createFingerprint, scoreCandidate, findBestMatch, MATCH_THRESHOLD } from './fingerprint.js';
+
+// Verification states and the outline colour used to highlight each one
+const VERIFY_STATES = {
+    found: '#4CAF50',
+    ambiguous: '#ff9800',
+    missing: '#f44336'
+};
+
+// Outline colour for proposed fingerprint matches
+const PROPOSAL_COLOR = '#9C27B0';
+
+// Element status recorded for each verification state
+const STATUS_FOR_STATE = {
+    found: 'active',
+    ambiguous: 'inactive',
+    missing: 'inactive'
+};
+
+// Class name shared by all verification overlays
+const OVERLAY_CLASS = 'dom-capture-verify-overlay';
+
+/**
+ * Verify a single stored element against the live page
+ *
+ * The primary dom_selector is tried first; if it does not resolve to exactly one
+ * node, the stored fallbacks are tried in rank order.
+ *
+ * @param {Object} element - Stored element record
+ * @param {Document|Element} root - Node to resolve selectors from
+ * @returns {Object} - Verification result for the element
+ */
+function verifyElement(element, root = document) {
+    const primaryMatches = resolveSelector(element.dom_selector, root);
+
+    if (primaryMatches.length === 1) {
+        return buildResult(element, 'found', element.dom_selector, primaryMatches);
+    }
+
+    for (const fallback of element.selector_fallbacks || []) {
+        const matches = resolveSelector(fallback.selector, root);
+        if (matches.length === 1) {
+            return buildResult(element, 'found', fallback.selector, matches, true);
+        }
+    }
+
+    const result = primaryMatches.length > 1 ?
+        buildResult(element, 'ambiguous', element.dom_selector, primaryMatches) :
+        buildResult(element, 'missing', element.dom_selector, []);
+
+    // Propose a replacement node when the element was fingerprinted at capture time
+    result.proposal = findBestMatch(element.fingerprint, root);
+    return result;
+}
+
+/**
+ * Find the stored element record that already describes a live node
+ *
+ * A record whose selector (or one of its fallbacks) resolves to exactly this node
+ * wins. Otherwise, records whose selectors no longer resolve are matched by
+ * fingerprint, provided this node is their best match on the page.
+ *
+ * @param {Element} node - The live node
+ * @param {Array} elements - Stored element records for the current page
+ * @param {Document|Element} root - Node to resolve selectors from
+ * @returns {Object|null} - { element, method, score } where method is 'selector' or 'fingerprint', or null
+ */
+function findRecordForNode(node, elements, root = document) {
+    let best = null;
+
+    for (const element of elements) {
+        const result = resolveUniqueNode(element, root);
+        if (result && result === node) {
+            return { element, method: 'selector', score: 1 };
+        }
+        if (result || !element.fingerprint) continue;
+
+        const score = scoreCandidate(element.fingerprint, node);
+        if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+            const match = findBestMatch(element.fingerprint, root);
+            if (match && match.node === node) {
+                best = { element, method: 'fingerprint', score };
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Resolve a record's primary selector, then its fallbacks, to a single node
+ *
+ * @param {Object} element - Stored element record
+ * @param {Document|Element} root - Node to resolve selectors from
+ * @returns {Element|null} - The uniquely matched node, or null
+ */
+function resolveUniqueNode(element, root) {
+    const selectors = [element.dom_selector, ...(element.selector_fallbacks || []).map(fallback => fallback.selector)];
+
+    for (const selector of selectors) {
+        const matches = resolveSelector(selector, root);
+        if (matches.length === 1) {
+            return matches[0];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Re-identify an element record against a newly matched node
+ *
+ * Regenerates the selector and fingerprint from the node; saving the record bumps its version.
+ *
+ * @param {Object} element - Stored element record
+ * @param {Element} node - The live node accepted as the element
+ * @returns {Object} - Updated element record, ready to save
+ */
+function healElement(element, node) {
+    const selectors = generateSelectors(node);
+
+    return {
+        ...element,
+        dom_selector: selectors.selector,
+        selector_fallbacks: selectors.fallbacks,
+        fingerprint: createFingerprint(node),
+        status: 'active'
+    };
+}
+
+/**
+ * Build a verification result record
+ *
+ * @param {Object} element - Stored element record
+ * @param {string} state - One of found, ambiguous or missing
+ * @param {string} selector - The selector that produced the result
+ * @param {Array<Element>} matches - Nodes the selector resolved to
+ * @param {boolean} usedFallback - Whether a fallback selector was needed
+ * @returns {Object} - Verification result
+ */
+function buildResult(element, state, selector, matches, usedFallback = false) {
+    return {
+        element_id: element.element_id,
+        description: element.description,
+        state,
+        status: STATUS_FOR_STATE[state],
+        selector,
+        usedFallback,
+        matchCount: matches.length,
+        matches,
+        proposal: null
+    };
+}
+
+/**
+ * Verify a list of stored elements against the live page
+ *
+ * @param {Array} elements - Stored element records for the current page
+ * @param {Document|Element} root - Node to resolve selectors from
+ * @returns {Array<Object>} - Verification results in the same order as the input
+ */
+function verifyElements(elements, root = document) {
+    return elements.map(element => verifyElement(element, root));
+}
+
+/**
+ * Summarize verification results for display
+ *
+ * The returned object is serializable, so it can be sent back to the popup.
+ *
+ * @param {Array<Object>} results - Results from verifyElements
+ * @returns {Object} - Counts per state plus a plain list of results
+ */
+function summarizeResults(results) {
+    const summary = { total: results.length, found: 0, ambiguous: 0, missing: 0, results: [] };
+
+    for (const result of results) {
+        summary[result.state]++;
+        summary.results.push({
+            element_id: result.element_id,
+            description: result.description,
+            state: result.state,
+            selector: result.selector,
+            usedFallback: result.usedFallback,
+            matchCount: result.matchCount,
+            proposalScore: result.proposal ? Math.round(result.proposal.score * 100) : null
+        });
+    }
+
+    return summary;
+}
+
+/**
+ * Highlight verification results on the page with positioned overlays
+ *
+ * @param {Array<Object>} results - Results from verifyElements
+ * @returns {number} - Number of overlays drawn
+ */
+function highlightResults(results) {
+    clearHighlights();
+
+    let drawn = 0;
+    for (const result of results) {
+        for (const match of result.matches) {
+            drawOverlay(match, VERIFY_STATES[result.state], result.description);
+            drawn++;
+        }
+
+        if (result.proposal) {
+            drawOverlay(result.proposal.node, PROPOSAL_COLOR, `Proposed match: ${result.description}`);
+            drawn++;
+        }
+    }
+
+    return drawn;
+}
+
+/**
+ * Draw a single overlay box over an element
+ *
+ * @param {Element} target - The element to outline
+ * @param {string} color - Outline colour
+ * @param {string} label - Tooltip text
+ */
+function drawOverlay(target, color, label) {
+    const rect = getTopLevelRect(target);
+    if (rect.width === 0 && rect.height === 0) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = OVERLAY_CLASS;
+    overlay.title = label || '';
+    overlay.style.position = 'absolute';
+    overlay.style.top = `${rect.top + window.scrollY}px`;
+    overlay.style.left = `${rect.left + window.scrollX}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+    overlay.style.outline = `3px solid ${color}`;
+    overlay.style.backgroundColor = `${color}22`;
+    overlay.style.pointerEvents = 'none';
+    overlay.style.zIndex = '9999';
+
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Get an element's bounding box relative to this window's viewport
+ *
+ * Elements inside same-origin iframes are offset by each enclosing frame's position.
+ *
+ * @param {Element} target - The element to measure
+ * @returns {Object} - { top, left, width, height }
+ */
+function getTopLevelRect(target) {
+    const rect = target.getBoundingClientRect();
+    let top = rect.top;
+    let left = rect.left;
+
+    for (let view = target.ownerDocument.defaultView; view && view !== window && view.frameElement; view = view.parent) {
+        const frameRect = view.frameElement.getBoundingClientRect();
+        top += frameRect.top + view.frameElement.clientTop;
+        left += frameRect.left + view.frameElement.clientLeft;
+    }
+
+    return { top, left, width: rect.width, height: rect.height };
+}
+
+/**
+ * Remove all verification overlays from the page
+ */
+function clearHighlights() {
+    document.querySelectorAll(`.${OVERLAY_CLASS}`).forEach(overlay => overlay.remove());
+}
+
+// Export verifier functions
+export {
+    verifyElement,
+    verifyElements,
+    findRecordForNode,
+    resolveUniqueNode,
+    healElement,
+    summarizeResults,
+    highlightResults,
+    clearHighlights
+};
@@ -0,0 +1,179 @@
+// Record Repair Module
+// Finds stored records that do not match the schema and proposes fixes for them
+
+import { buildSchema, validate } from './schema-validator.js';
+import { normalizeVersion } from '../utils/version.js';
+
+// Storage key and ID field of each record type
+const RECORD_TYPES = {
+    page: { key: 'pageData', idField: 'page_id' },
+    element: { key: 'elementData', idField: 'element_id' },
+    journey: { key: 'journeys', idField: 'journey_id' }
+};
+
+// Fields holding lists whose invalid items can be dropped
+const LIST_FIELDS = {
+    page: { from: null },
+    element: { from: null, selector_fallbacks: null },
+    journey: { steps: [] }
+};
+
+/**
+ * Read a date as an ISO date-time string, falling back to now
+ *
+ * @param {*} value - Stored date value
+ * @returns {string} - ISO date-time
+ */
+function toDateTime(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Read a version as a semantic version, starting over at 1.0.0 if it cannot be parsed
+ *
+ * @param {*} value - Stored version
+ * @returns {string} - Semantic version
+ */
+function toVersion(value) {
+    return /^\d+\.\d+/.test(value) ? normalizeVersion(value) : '1.0.0';
+}
+
+// Replacement values for invalid or missing fields, by record type
+const FIELD_FIXES = {
+    page: {
+        framework: () => 'Unknown',
+        ui_version: toVersion,
+        description: value => typeof value === 'string' ? value : 'Untitled Page',
+        KPI: value => value === undefined || value === null ? null : String(value),
+        updated_at: toDateTime
+    },
+    element: {
+        type: (value, record) => (record.fingerprint && record.fingerprint.tag) || 'element',
+        fingerprint: () => null,
+        description: (value, record) => {
+            const fingerprint = record.fingerprint || {};
+            return (typeof value === 'string' && value.trim()) ||
+                fingerprint.accessible_name || fingerprint.text || record.element_id;
+        },
+        version: toVersion,
+        KPI: value => value === undefined || value === null ? null : String(value),
+        updated_at: toDateTime,
+        status: () => 'active',
+        interaction: () => null
+    },
+    journey: {
+        name: (value, record) => record.journey_id,
+        description: value => typeof value === 'string' ? value : null,
+        start_page: () => null,
+        end_page: () => null,
+        status: () => 'stopped',
+        created_at: toDateTime,
+        updated_at: toDateTime
+    }
+};
+
+/**
+ * Get the top-level field an error points at
+ *
+ * @param {Object} error - Validation error with a JSON-pointer path
+ * @returns {string|null} - Field name, or null for an error on the record itself
+ */
+function getErrorField(error) {
+    const [, field] = error.path.split('/');
+    return field === undefined ? null : field.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Propose a repaired version of an invalid record
+ *
+ * Unknown fields are removed, invalid items are dropped from lists, and other
+ * invalid or missing fields are reset to a sensible value (or the `default`
+ * declared in the schema extension). Missing IDs, selectors and URL patterns
+ * cannot be guessed; their errors remain after the repair.
+ *
+ * @param {string} type - 'page', 'element' or 'journey'
+ * @param {Object} record - Stored record
+ * @param {Object|null} extension - Custom schema extension
+ * @returns {Object} - { record, fixes, errors } with the fixes made and the errors left
+ */
+function proposeRepair(type, record, extension = null) {
+    const schema = buildSchema(extension);
+    const recordSchema = schema.$defs[type];
+    const errors = validate(record, recordSchema, schema).errors;
+    const repaired = { ...record };
+    const fixes = [];
+    const fields = new Set();
+
+    for (const error of errors) {
+        const field = getErrorField(error);
+        if (field !== null) {
+            fields.add(field);
+        } else if (error.keyword === 'required') {
+            fields.add(error.message.match(/"(.*)"/)[1]);
+        }
+    }
+
+    for (const field of fields) {
+        const value = record[field];
+        const property = recordSchema.properties[field];
+
+        if (!property) {
+            delete repaired[field];
+            fixes.push(`Removed unknown field "${field}"`);
+        } else if (field in LIST_FIELDS[type] && Array.isArray(value)) {
+            const valid = value.filter((item, index) =>
+                !errors.some(error => error.path.startsWith(`/${field}/${index}`)));
+            repaired[field] = valid.length > 0 || LIST_FIELDS[type][field] !== null ? valid : null;
+            fixes.push(`Dropped ${value.length - valid.length} invalid item(s) from "${field}"`);
+        } else if (field in LIST_FIELDS[type]) {
+            repaired[field] = LIST_FIELDS[type][field];
+            fixes.push(`Reset "${field}" to ${JSON.stringify(repaired[field])}`);
+        } else if (property.default !== undefined) {
+            repaired[field] = property.default;
+            fixes.push(`Set "${field}" to its default ${JSON.stringify(property.default)}`);
+        } else if (FIELD_FIXES[type][field]) {
+            repaired[field] = FIELD_FIXES[type][field](value, record);
+            fixes.push(`Set "${field}" to ${JSON.stringify(repaired[field])}`);
+        }
+    }
+
+    return {
+        record: repaired,
+        fixes,
+        errors: validate(repaired, recordSchema, schema).errors
+    };
+}
+
+/**
+ * List the stored records that do not match the schema
+ *
+ * @param {Object} data - { pageData, elementData, journeys } as stored
+ * @param {Object|null} extension - Custom schema extension
+ * @returns {Array<Object>} - { type, id, errors, fixes, repairable } for each invalid record
+ */
+function findInvalidRecords(data, extension = null) {
+    const schema = buildSchema(extension);
+    const invalid = [];
+
+    for (const [type, { key, idField }] of Object.entries(RECORD_TYPES)) {
+        for (const record of data[key] || []) {
+            const { errors } = validate(record, schema.$defs[type], schema);
+            if (errors.length === 0) continue;
+
+            const proposal = proposeRepair(type, record, extension);
+            invalid.push({
+                type,
+                id: record ? record[idField] : null,
+                errors,
+                fixes: proposal.fixes,
+                repairable: proposal.errors.length === 0
+            });
+        }
+    }
+
+    return invalid;
+}
+
+// Export record repair functions
+export { RECORD_TYPES, proposeRepair, findInvalidRecords };
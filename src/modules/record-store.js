@@ -0,0 +1,339 @@
+// Record Store Module
+// Keeps pages, elements, journeys, revisions and observed DOM changes in IndexedDB with indexed lookups and atomic transactions
+
+import { DEFAULT_WORKSPACE_ID } from './workspaces.js';
+
+// Database name and schema version; each workspace other than the default has its own database
+const DB_NAME = 'dom-capture';
+const DB_VERSION = 3;
+
+// Object stores with their key paths and indexes
+const STORES = {
+    pages: {
+        keyPath: 'page_id',
+        indexes: { url_pattern: 'url_pattern', updated_at: 'updated_at' }
+    },
+    elements: {
+        keyPath: 'element_id',
+        indexes: { page_id: 'page_id', status: 'status', page_status: ['page_id', 'status'], updated_at: 'updated_at' }
+    },
+    journeys: {
+        keyPath: 'journey_id',
+        indexes: { status: 'status', updated_at: 'updated_at' }
+    },
+    revisions: {
+        keyPath: 'revision_id',
+        indexes: { record: ['record_type', 'record_id'], changed_at: 'changed_at' }
+    },
+    // DOM changes observed on captured elements, keyed in the order they were logged
+    mutations: {
+        keyPath: 'event_id',
+        autoIncrement: true,
+        indexes: { element_id: 'element_id' }
+    },
+    // Snapshots taken before storage migrations
+    backups: {
+        keyPath: 'backup_id',
+        indexes: {}
+    }
+};
+
+// Object store holding each record type
+const RECORD_STORES = {
+    page: 'pages',
+    element: 'elements',
+    journey: 'journeys'
+};
+
+// Storage key written after every change, so other contexts hear about it through chrome.storage.onChanged
+const RECORD_CHANGES_KEY = 'recordChanges';
+
+// Storage key holding the ID of the workspace captures go into
+const ACTIVE_WORKSPACE_KEY = 'activeWorkspaceId';
+
+// Open databases by name, shared by every call in this context
+const databases = new Map();
+
+/**
+ * Wait for an IndexedDB request to finish
+ *
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} - The request's result
+ */
+function toPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get the ID of the workspace captures go into
+ *
+ * @returns {Promise<string>} - Workspace ID
+ */
+async function getActiveWorkspaceId() {
+    const { [ACTIVE_WORKSPACE_KEY]: workspaceId } = await chrome.storage.local.get([ACTIVE_WORKSPACE_KEY]);
+    return workspaceId || DEFAULT_WORKSPACE_ID;
+}
+
+/**
+ * Get the name of a workspace's database
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {string} - Database name
+ */
+function getDatabaseName(workspaceId) {
+    return workspaceId === DEFAULT_WORKSPACE_ID ? DB_NAME : `${DB_NAME}-${workspaceId}`;
+}
+
+/**
+ * Open a workspace's database, creating its object stores and indexes on first use
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openDatabase(workspaceId) {
+    const name = getDatabaseName(workspaceId);
+
+    if (!databases.has(name)) {
+        databases.set(name, new Promise((resolve, reject) => {
+            const open = indexedDB.open(name, DB_VERSION);
+
+            open.onupgradeneeded = () => {
+                const database = open.result;
+                for (const [storeName, { keyPath, autoIncrement = false, indexes }] of Object.entries(STORES)) {
+                    if (database.objectStoreNames.contains(storeName)) continue;
+
+                    const store = database.createObjectStore(storeName, { keyPath, autoIncrement });
+                    for (const [indexName, indexKeyPath] of Object.entries(indexes)) {
+                        store.createIndex(indexName, indexKeyPath);
+                    }
+                }
+            };
+            open.onsuccess = () => {
+                // Let a newer version of the extension upgrade the database, or a deleted workspace remove it
+                const database = open.result;
+                database.onversionchange = () => {
+                    database.close();
+                    databases.delete(name);
+                };
+                resolve(database);
+            };
+            open.onerror = () => {
+                databases.delete(name);
+                reject(open.error);
+            };
+        }));
+    }
+    return databases.get(name);
+}
+
+/**
+ * Delete a workspace's database with all its records
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<void>}
+ */
+async function deleteDatabase(workspaceId) {
+    const name = getDatabaseName(workspaceId);
+    if (databases.has(name)) {
+        const database = await databases.get(name).catch(() => null);
+        if (database) database.close();
+        databases.delete(name);
+    }
+    await toPromise(indexedDB.deleteDatabase(name));
+}
+
+/**
+ * Run work against object stores in a single transaction
+ *
+ * The work receives the stores by name and may only await requests on them;
+ * awaiting anything else lets the transaction commit early. Nothing is written
+ * if the work throws.
+ *
+ * @param {Array<string>} storeNames - Names of the stores the work uses
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - async (stores) => result
+ * @param {string|null} workspaceId - Workspace whose database to use, or null for the active workspace
+ * @returns {Promise<any>} - The work's result, once the transaction has committed
+ */
+async function runTransaction(storeNames, mode, work, workspaceId = null) {
+    const database = await openDatabase(workspaceId || await getActiveWorkspaceId());
+    const transaction = database.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+
+    let result;
+    try {
+        result = await work(stores);
+    } catch (error) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw error;
+    }
+
+    await done;
+    return result;
+}
+
+/**
+ * Get one record by key
+ *
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @param {string|null} workspaceId - Workspace whose database to use, or null for the active workspace
+ * @returns {Promise<Object|null>} - Record or null
+ */
+async function getRecord(storeName, key, workspaceId = null) {
+    return runTransaction([storeName], 'readonly', async stores => await toPromise(stores[storeName].get(key)) || null, workspaceId);
+}
+
+/**
+ * Get all records of a store, or those matching an index value
+ *
+ * @param {string} storeName - Object store name
+ * @param {Object} options - Lookup options
+ * @param {string|null} options.index - Index name
+ * @param {any} options.query - Key or key range to look up in the index
+ * @param {string|null} workspaceId - Workspace whose database to use, or null for the active workspace
+ * @returns {Promise<Array>} - Records in key order
+ */
+async function getAllRecords(storeName, { index = null, query = null } = {}, workspaceId = null) {
+    return runTransaction([storeName], 'readonly', stores => {
+        const source = index ? stores[storeName].index(index) : stores[storeName];
+        return toPromise(source.getAll(query ?? undefined));
+    }, workspaceId);
+}
+
+/**
+ * Get the keys of all records in a store
+ *
+ * @param {string} storeName - Object store name
+ * @param {string|null} workspaceId - Workspace whose database to use, or null for the active workspace
+ * @returns {Promise<Array<string>>} - Keys in order
+ */
+async function getAllKeys(storeName, workspaceId = null) {
+    return runTransaction([storeName], 'readonly', stores => toPromise(stores[storeName].getAllKeys()), workspaceId);
+}
+
+/**
+ * Get one page of records, optionally through an index
+ *
+ * @param {string} storeName - Object store name
+ * @param {Object} options - Query options
+ * @param {string|null} options.index - Index name
+ * @param {any} options.query - Key or key range to look up in the index
+ * @param {string} options.direction - 'next' for ascending or 'prev' for descending order
+ * @param {number} options.offset - Number of matching records to skip
+ * @param {number|null} options.limit - Most records returned, or null for all
+ * @param {string|null} workspaceId - Workspace whose database to use, or null for the active workspace
+ * @returns {Promise<Object>} - { records, total } where total counts every matching record
+ */
+async function queryRecords(storeName, { index = null, query = null, direction = 'next', offset = 0, limit = null } = {}, workspaceId = null) {
+    return runTransaction([storeName], 'readonly', async stores => {
+        const source = index ? stores[storeName].index(index) : stores[storeName];
+        const total = await toPromise(source.count(query ?? undefined));
+        const records = [];
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = source.openCursor(query ?? undefined, direction);
+            let skipped = offset === 0;
+
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || (limit !== null && records.length >= limit)) {
+                    resolve();
+                } else if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                } else {
+                    records.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+        });
+
+        return { records, total };
+    }, workspaceId);
+}
+
+/**
+ * Count the records in each store
+ *
+ * @param {Array<string>} storeNames - Object store names
+ * @returns {Promise<Object>} - Counts keyed by store name
+ */
+async function countRecords(storeNames) {
+    return runTransaction(storeNames, 'readonly', async stores => {
+        const counts = {};
+        for (const name of storeNames) {
+            counts[name] = await toPromise(stores[name].count());
+        }
+        return counts;
+    });
+}
+
+/**
+ * Remove every record from the given stores
+ *
+ * @param {Array<string>} storeNames - Object store names
+ * @returns {Promise<void>}
+ */
+async function clearStores(storeNames) {
+    await runTransaction(storeNames, 'readwrite', async stores => {
+        for (const name of storeNames) {
+            await toPromise(stores[name].clear());
+        }
+    });
+}
+
+/**
+ * Tell other contexts which stores changed
+ *
+ * @param {Array<string>} storeNames - Names of the stores written
+ * @param {Object} updates - Other chrome.storage.local keys to write at the same time
+ * @returns {Promise<void>}
+ */
+async function announceChanges(storeNames, updates = {}) {
+    await chrome.storage.local.set({
+        ...updates,
+        [RECORD_CHANGES_KEY]: { stores: storeNames, changed_at: new Date().toISOString(), nonce: Math.random() }
+    });
+}
+
+/**
+ * Read which stores changed from a chrome.storage.onChanged event
+ *
+ * @param {Object} changes - Changes passed to the onChanged listener
+ * @returns {Array<string>} - Names of the stores written, empty if none
+ */
+function getChangedStores(changes) {
+    const change = changes[RECORD_CHANGES_KEY];
+    return change && change.newValue ? change.newValue.stores : [];
+}
+
+// Export record store functions
+export {
+    STORES,
+    RECORD_STORES,
+    ACTIVE_WORKSPACE_KEY,
+    getActiveWorkspaceId,
+    deleteDatabase,
+    toPromise,
+    runTransaction,
+    getRecord,
+    getAllRecords,
+    getAllKeys,
+    queryRecords,
+    countRecords,
+    clearStores,
+    announceChanges,
+    getChangedStores
+};
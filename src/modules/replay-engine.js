@@ -0,0 +1,191 @@
+// Replay Engine Module
+// Builds replay plans from journeys or `from` chains and executes single steps on the live page
+
+import { resolveSelector } from './selector-engine.js';
+import { performInteraction } from './interaction-recorder.js';
+
+// How long a step waits for its element to appear, in milliseconds
+const STEP_TIMEOUT = 10000;
+
+// Interval between selector lookups while waiting, in milliseconds
+const POLL_INTERVAL = 100;
+
+/**
+ * Convert an element record into a replay step
+ *
+ * @param {Object} element - Element record
+ * @param {Object|null} interaction - Interaction to perform, defaults to the element's own
+ * @returns {Object} - Replay step
+ */
+function toStep(element, interaction = null) {
+    const { action, value = null, redacted = false } = interaction || element.interaction || { action: 'click' };
+
+    return {
+        element_id: element.element_id,
+        page_id: element.page_id,
+        description: element.description,
+        dom_selector: element.dom_selector,
+        selector_fallbacks: element.selector_fallbacks || [],
+        action,
+        value,
+        redacted
+    };
+}
+
+/**
+ * Build a replay plan from a recorded journey
+ *
+ * @param {Object} journey - Journey record with ordered steps
+ * @param {Array} elements - All element records
+ * @returns {Object} - { name, steps, missing } where missing lists unknown element ids
+ */
+function planFromJourney(journey, elements) {
+    const steps = [];
+    const missing = [];
+
+    for (const journeyStep of journey.steps) {
+        const element = elements.find(item => item.element_id === journeyStep.element_id);
+        if (element) {
+            steps.push(toStep(element, journeyStep));
+        } else {
+            missing.push(journeyStep.element_id);
+        }
+    }
+
+    return { name: journey.name, steps, missing };
+}
+
+/**
+ * Build a replay plan by following `from` references back from a target element
+ *
+ * The first `from` entry is followed at each step; cycles end the chain.
+ *
+ * @param {string} elementId - ID of the last element in the flow
+ * @param {Array} elements - All element records
+ * @returns {Object} - { name, steps, missing } where missing lists unknown element ids
+ */
+function planFromChain(elementId, elements) {
+    const steps = [];
+    const missing = [];
+    const visited = new Set();
+
+    let currentId = elementId;
+    let incoming = null;
+
+    while (currentId && !visited.has(currentId)) {
+        visited.add(currentId);
+
+        const element = elements.find(item => item.element_id === currentId);
+        if (!element) {
+            missing.push(currentId);
+            break;
+        }
+
+        // The `from` entry of the following element records the action performed on this one
+        steps.unshift(toStep(element, incoming));
+
+        const [source] = element.from || [];
+        incoming = source || null;
+        currentId = source ? source.node : null;
+    }
+
+    const target = elements.find(item => item.element_id === elementId);
+    return { name: target ? target.description : elementId, steps, missing };
+}
+
+/**
+ * Wait until the tab shows a step's page and its element resolves to exactly one node
+ *
+ * The primary selector is tried first, then the stored fallbacks. Nothing is
+ * resolved while the tab shows another page, so a node on the wrong page that
+ * happens to match the selector is never used.
+ *
+ * @param {Object} step - Replay step
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @param {Function|null} getPageId - () => ID of the page the tab shows, or null if it is not captured
+ * @returns {Promise<Object|null>} - { node, selector }, or null on timeout
+ */
+function waitForElement(step, timeout = STEP_TIMEOUT, getPageId = null) {
+    const selectors = [step.dom_selector, ...step.selector_fallbacks.map(fallback => fallback.selector)];
+    const deadline = Date.now() + timeout;
+
+    return new Promise(resolve => {
+        const poll = () => {
+            const onStepPage = !getPageId || getPageId() === step.page_id;
+            for (const selector of onStepPage ? selectors : []) {
+                const matches = resolveSelector(selector);
+                if (matches.length === 1) {
+                    resolve({ node: matches[0], selector });
+                    return;
+                }
+            }
+
+            if (Date.now() >= deadline) {
+                resolve(null);
+            } else {
+                setTimeout(poll, POLL_INTERVAL);
+            }
+        };
+
+        poll();
+    });
+}
+
+/**
+ * Execute a single replay step on the current page
+ *
+ * The step waits for the tab to reach its page, e.g. after a client-side route
+ * change, and fails if it is still on another one when the wait runs out.
+ *
+ * @param {Object} step - Replay step
+ * @param {Function|null} getPageId - () => ID of the page the tab shows, or null if it is not captured
+ * @returns {Promise<Object>} - Step result with status, selector, error and timing
+ */
+async function runStep(step, getPageId = null) {
+    const startedAt = Date.now();
+    const result = {
+        element_id: step.element_id,
+        page_id: step.page_id,
+        description: step.description,
+        action: step.action,
+        selector: step.dom_selector,
+        status: 'fail',
+        error: null,
+        wait_ms: 0,
+        duration_ms: 0
+    };
+
+    try {
+        if (step.redacted) {
+            throw new Error('Value was redacted at capture time and cannot be replayed');
+        }
+
+        const found = await waitForElement(step, STEP_TIMEOUT, getPageId);
+        result.wait_ms = Date.now() - startedAt;
+
+        const pageId = getPageId ? getPageId() : step.page_id;
+        if (!found && pageId !== step.page_id) {
+            throw new Error(`Expected page ${step.page_id}, on ${pageId || 'a page that was not captured'}`);
+        }
+        if (!found) {
+            throw new Error(`Element not found within ${STEP_TIMEOUT / 1000}s`);
+        }
+
+        result.selector = found.selector;
+        found.node.scrollIntoView({ block: 'center' });
+
+        if (!performInteraction(found.node, step)) {
+            throw new Error(`Unsupported action: ${step.action}`);
+        }
+
+        result.status = 'pass';
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    result.duration_ms = Date.now() - startedAt;
+    return result;
+}
+
+// Export replay functions
+export { planFromJourney, planFromChain, waitForElement, runStep };
@@ -1,144 +1,453 @@
 // Schema Validator Module
-// Ensures captured element and page data conform to required JSON schemas
+// Validates captured element, page and journey data against JSON Schema (draft 2020-12 subset)
 
-// Page-level schema
-const pageSchema = {
-    type: 'object',
-    required: [
-        'page_id',
-        'url_pattern',
-        'framework',
-        'ui_version',
-        'description',
-        'updated_at'
-    ],
-    properties: {
-        page_id: { type: 'string' },
-        url_pattern: { type: 'string' },
-        framework: { type: 'string' },
-        ui_version: { type: 'string' },
-        description: { type: 'string' },
-        KPI: { type: ['string', 'null'] },
-        updated_at: { type: 'string', format: 'date-time' },
-        from: {
-            type: ['array', 'null'],
-            items: {
-                type: 'object',
-                required: ['node', 'action'],
-                properties: {
-                    node: { type: 'string' },
-                    action: { type: 'string' }
-                }
-            }
-        }
-    }
+// Interaction types that can lead from one element to the next
+const INTERACTION_ACTIONS = ['click', 'input', 'select', 'check', 'uncheck', 'hover', 'submit', 'keypress'];
+
+// Record types a schema extension may add fields to
+const EXTENSIBLE_TYPES = ['page', 'element', 'journey'];
+
+// Keywords understood by the validator
+const SUPPORTED_KEYWORDS = [
+    '$schema', '$id', '$ref', '$defs', '$comment', 'title', 'description', 'default', 'examples',
+    'type', 'enum', 'const',
+    'minLength', 'maxLength', 'pattern', 'format',
+    'minimum', 'maximum',
+    'items', 'minItems', 'maxItems', 'uniqueItems',
+    'properties', 'required', 'additionalProperties',
+    'allOf', 'anyOf', 'oneOf', 'not'
+];
+
+// RFC 3339 date-time, e.g. 2024-05-01T12:30:00.000Z or 2024-05-01T12:30:00+02:00
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+// Checks for the `format` values used by the schemas
+const FORMATS = {
+    'date-time': value => DATE_TIME_PATTERN.test(value) && !isNaN(Date.parse(value))
 };
 
-// Element-level schema
-const elementSchema = {
+// Schema for everything the extension stores and exports
+const captureSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://dom-capture.local/schemas/capture.json',
+    title: 'DOM Capture export',
     type: 'object',
-    required: [
-        'element_id',
-        'page_id',
-        'type',
-        'dom_selector',
-        'description',
-        'version',
-        'updated_at',
-        'status'
-    ],
+    required: ['pages', 'elements'],
     properties: {
-        element_id: { type: 'string' },
-        page_id: { type: 'string' },
-        type: { type: 'string' },
-        dom_selector: { type: 'string' },
-        description: { type: 'string' },
-        version: { type: 'string' },
-        KPI: { type: ['string', 'null'] },
-        updated_at: { type: 'string', format: 'date-time' },
-        status: {
-            type: 'string',
-            enum: ['active', 'inactive', 'deprecated']
+        pages: { type: 'array', items: { $ref: '#/$defs/page' } },
+        elements: { type: 'array', items: { $ref: '#/$defs/element' } },
+        journeys: { type: 'array', items: { $ref: '#/$defs/journey' } }
+    },
+    $defs: {
+        id: { type: 'string', minLength: 1 },
+        version: { type: 'string', pattern: '^\\d+\\.\\d+(\\.\\d+)?$' },
+        dateTime: { type: 'string', format: 'date-time' },
+        nullableString: { type: ['string', 'null'] },
+        action: { type: 'string', enum: INTERACTION_ACTIONS },
+
+        // Interaction performed on an element; only value-carrying actions keep a value
+        interaction: {
+            type: 'object',
+            required: ['action'],
+            properties: {
+                action: { $ref: '#/$defs/action' },
+                value: { $ref: '#/$defs/nullableString' },
+                redacted: { type: 'boolean' }
+            },
+            additionalProperties: false
         },
-        from: {
-            type: ['array', 'null'],
-            items: {
-                type: 'object',
-                required: ['node', 'action'],
-                properties: {
-                    node: { type: 'string' },
-                    action: { type: 'string' }
+
+        // Element `from` item: the previous element and the interaction performed on it
+        fromItem: {
+            type: 'object',
+            required: ['node', 'action'],
+            properties: {
+                node: { $ref: '#/$defs/id' },
+                action: { $ref: '#/$defs/action' },
+                value: { $ref: '#/$defs/nullableString' },
+                redacted: { type: 'boolean' }
+            },
+            additionalProperties: false
+        },
+
+        // Page `from` item: the previous page and how it was left
+        pageFromItem: {
+            type: 'object',
+            required: ['node', 'action'],
+            properties: {
+                node: { $ref: '#/$defs/id' },
+                action: { type: 'string', minLength: 1 }
+            },
+            additionalProperties: false
+        },
+
+        selectorFallback: {
+            type: 'object',
+            required: ['strategy', 'selector'],
+            properties: {
+                strategy: { type: 'string', minLength: 1 },
+                selector: { type: 'string', minLength: 1 }
+            },
+            additionalProperties: false
+        },
+
+        fingerprint: {
+            type: 'object',
+            required: ['tag'],
+            properties: {
+                tag: { type: 'string', minLength: 1 },
+                text: { type: 'string' },
+                accessible_name: { type: 'string' },
+                attributes: { type: 'object', additionalProperties: { type: 'string' } },
+                classes: { type: 'array', items: { type: 'string' } },
+                ancestors: { type: 'array', items: { type: 'string' } },
+                sibling_index: { type: 'integer', minimum: 0 },
+                bounding_box: {
+                    type: 'object',
+                    required: ['x', 'y', 'width', 'height'],
+                    properties: {
+                        x: { type: 'number' },
+                        y: { type: 'number' },
+                        width: { type: 'number', minimum: 0 },
+                        height: { type: 'number', minimum: 0 }
+                    }
                 }
             }
+        },
+
+        // Page-level schema
+        page: {
+            type: 'object',
+            required: ['page_id', 'url_pattern', 'framework', 'ui_version', 'description', 'updated_at'],
+            properties: {
+                page_id: { $ref: '#/$defs/id' },
+                url_pattern: { type: 'string', minLength: 1 },
+                url: { $ref: '#/$defs/nullableString' },
+                framework: { type: 'string' },
+                ui_version: { $ref: '#/$defs/version' },
+                description: { type: 'string' },
+                KPI: { $ref: '#/$defs/nullableString' },
+                updated_at: { $ref: '#/$defs/dateTime' },
+                from: {
+                    type: ['array', 'null'],
+                    items: { $ref: '#/$defs/pageFromItem' }
+                }
+            },
+            additionalProperties: false
+        },
+
+        // Element-level schema
+        element: {
+            type: 'object',
+            required: ['element_id', 'page_id', 'type', 'dom_selector', 'description', 'version', 'updated_at', 'status'],
+            properties: {
+                element_id: { $ref: '#/$defs/id' },
+                page_id: { $ref: '#/$defs/id' },
+                type: { type: 'string', minLength: 1 },
+                dom_selector: { type: 'string', minLength: 1 },
+                selector_fallbacks: {
+                    type: ['array', 'null'],
+                    items: { $ref: '#/$defs/selectorFallback' }
+                },
+                fingerprint: {
+                    oneOf: [{ type: 'null' }, { $ref: '#/$defs/fingerprint' }]
+                },
+                description: { type: 'string', minLength: 1 },
+                version: { $ref: '#/$defs/version' },
+                KPI: { $ref: '#/$defs/nullableString' },
+                updated_at: { $ref: '#/$defs/dateTime' },
+                status: { type: 'string', enum: ['active', 'inactive', 'deprecated'] },
+                interaction: {
+                    oneOf: [{ type: 'null' }, { $ref: '#/$defs/interaction' }]
+                },
+                from: {
+                    type: ['array', 'null'],
+                    items: { $ref: '#/$defs/fromItem' }
+                }
+            },
+            additionalProperties: false
+        },
+
+        journeyStep: {
+            type: 'object',
+            required: ['element_id', 'page_id', 'action'],
+            properties: {
+                element_id: { $ref: '#/$defs/id' },
+                page_id: { $ref: '#/$defs/id' },
+                action: { $ref: '#/$defs/action' },
+                value: { $ref: '#/$defs/nullableString' },
+                redacted: { type: 'boolean' },
+                captured_at: { $ref: '#/$defs/dateTime' }
+            },
+            additionalProperties: false
+        },
+
+        // Journey schema
+        journey: {
+            type: 'object',
+            required: ['journey_id', 'name', 'status', 'steps', 'created_at', 'updated_at'],
+            properties: {
+                journey_id: { $ref: '#/$defs/id' },
+                name: { type: 'string', minLength: 1 },
+                description: { $ref: '#/$defs/nullableString' },
+                start_page: { $ref: '#/$defs/nullableString' },
+                end_page: { $ref: '#/$defs/nullableString' },
+                status: { type: 'string', enum: ['recording', 'stopped'] },
+                steps: { type: 'array', items: { $ref: '#/$defs/journeyStep' } },
+                created_at: { $ref: '#/$defs/dateTime' },
+                updated_at: { $ref: '#/$defs/dateTime' }
+            },
+            additionalProperties: false
         }
     }
 };
 
 /**
- * Simple validation function to check if an object adheres to a schema
- * 
- * Note: This is a lightweight approach. In a production environment, 
- * you would typically use a full schema validation library like AJV.
- * 
- * @param {Object} data - The data object to validate
- * @param {Object} schema - The schema to validate against
- * @returns {Object} - Validation result with success flag and errors array
+ * Escape one segment of a JSON pointer
+ *
+ * @param {string|number} segment - Property name or array index
+ * @returns {string} - Escaped segment ("~" becomes "~0", "/" becomes "~1")
  */
-function validateObject(data, schema) {
-    const errors = [];
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
 
-    // Check required fields
-    if (schema.required) {
-        for (const field of schema.required) {
-            if (data[field] === undefined) {
-                errors.push(`Missing required field: ${field}`);
-            }
+/**
+ * Resolve a local `$ref` such as "#/$defs/page" against the root schema
+ *
+ * @param {string} ref - Reference to resolve
+ * @param {Object} root - Root schema holding the referenced definition
+ * @returns {Object} - The referenced schema
+ */
+function resolveRef(ref, root) {
+    if (ref === '#') return root;
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref: ${ref}`);
+    }
+
+    let target = root;
+    for (const segment of ref.substring(2).split('/')) {
+        const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+        target = target !== null && typeof target === 'object' ? target[key] : undefined;
+        if (target === undefined) {
+            throw new Error(`Unresolvable $ref: ${ref}`);
         }
     }
+    return target;
+}
 
-    // Check properties
-    if (schema.properties) {
-        for (const [key, propSchema] of Object.entries(schema.properties)) {
-            if (data[key] !== undefined) {
-                // Type checking
-                if (Array.isArray(propSchema.type)) {
-                    const validType = propSchema.type.some(type => {
-                        if (type === 'null' && data[key] === null) return true;
-                        return type === typeof data[key];
-                    });
+/**
+ * Check a value against a JSON Schema type name
+ *
+ * @param {*} value - The value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} - Whether the value has that type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && isFinite(value);
+        default: return typeof value === type;
+    }
+}
 
-                    if (!validType) {
-                        errors.push(`Field ${key} has invalid type. Expected one of ${propSchema.type.join(', ')}`);
-                    }
-                } else if (propSchema.type === 'array' && !Array.isArray(data[key])) {
-                    errors.push(`Field ${key} must be an array`);
-                } else if (propSchema.type !== 'array' && propSchema.type !== typeof data[key] && !(propSchema.type === 'null' && data[key] === null)) {
-                    errors.push(`Field ${key} has invalid type. Expected ${propSchema.type}`);
-                }
+/**
+ * Describe the JSON Schema type of a value for error messages
+ *
+ * @param {*} value - The value to describe
+ * @returns {string} - JSON Schema type name
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
 
-                // Format checking for date-time
-                if (propSchema.format === 'date-time' && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(data[key])) {
-                    errors.push(`Field ${key} must be a valid ISO date-time string`);
-                }
+/**
+ * Compare two JSON values structurally
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether they are equal
+ */
+function jsonEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
 
-                // Enum checking
-                if (propSchema.enum && !propSchema.enum.includes(data[key])) {
-                    errors.push(`Field ${key} must be one of: ${propSchema.enum.join(', ')}`);
-                }
+/**
+ * Validate a value against one schema, collecting errors
+ *
+ * @param {*} value - The value to validate
+ * @param {Object|boolean} schema - Schema (or boolean schema) to apply
+ * @param {string} path - JSON pointer to the value
+ * @param {Object} root - Root schema used to resolve `$ref`
+ * @param {Array<Object>} errors - Errors found so far; new errors are appended
+ */
+function validateValue(value, schema, path, root, errors) {
+    if (schema === true) return;
+    if (schema === false) {
+        errors.push({ path, keyword: 'false', message: 'is not allowed' });
+        return;
+    }
 
-                // Array item validation
-                if (propSchema.type === 'array' && Array.isArray(data[key]) && propSchema.items) {
-                    for (let i = 0; i < data[key].length; i++) {
-                        const itemValidation = validateObject(data[key][i], propSchema.items);
-                        if (!itemValidation.success) {
-                            errors.push(`Invalid item at index ${i} in ${key}: ${itemValidation.errors.join(', ')}`);
-                        }
-                    }
-                }
+    const addError = (keyword, message, at = path) => errors.push({ path: at, keyword, message });
+
+    // In 2020-12 a $ref applies alongside its sibling keywords
+    if (schema.$ref) {
+        validateValue(value, resolveRef(schema.$ref, root), path, root, errors);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            addError('type', `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => jsonEqual(option, value))) {
+        addError('enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (schema.const !== undefined && !jsonEqual(schema.const, value)) {
+        addError('const', `must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            addError('minLength', `must be at least ${schema.minLength} character(s) long`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            addError('maxLength', `must be at most ${schema.maxLength} character(s) long`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            addError('pattern', `must match pattern ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            addError('format', `must be a valid ${schema.format} string`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addError('minimum', `must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            addError('maximum', `must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addError('minItems', `must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError('maxItems', `must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            addError('uniqueItems', 'must not contain duplicate items');
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => {
+                validateValue(item, schema.items, `${path}/${index}`, root, errors);
+            });
+        }
+    }
+
+    if (matchesType(value, 'object')) {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) {
+                addError('required', `is missing required property "${field}"`);
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (propertyValue === undefined) continue;
+
+            const propertyPath = `${path}/${escapePointer(key)}`;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                validateValue(propertyValue, properties[key], propertyPath, root, errors);
+            } else if (schema.additionalProperties === false) {
+                addError('additionalProperties', `has unknown property "${key}"`, propertyPath);
+            } else if (schema.additionalProperties !== undefined) {
+                validateValue(propertyValue, schema.additionalProperties, propertyPath, root, errors);
             }
         }
     }
 
+    for (const subschema of schema.allOf || []) {
+        validateValue(value, subschema, path, root, errors);
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(subschema => collectErrors(value, subschema, path, root));
+        if (!results.some(result => result.length === 0)) {
+            errors.push(...closestBranch(results, path));
+        }
+    }
+
+    if (schema.oneOf) {
+        const results = schema.oneOf.map(subschema => collectErrors(value, subschema, path, root));
+        const matches = results.filter(result => result.length === 0).length;
+        if (matches === 0) {
+            errors.push(...closestBranch(results, path));
+        } else if (matches > 1) {
+            addError('oneOf', `must match exactly one schema in oneOf, but matched ${matches}`);
+        }
+    }
+
+    if (schema.not !== undefined && collectErrors(value, schema.not, path, root).length === 0) {
+        addError('not', 'must not match the schema in not');
+    }
+}
+
+/**
+ * Validate a value against a subschema in isolation
+ *
+ * @param {*} value - The value to validate
+ * @param {Object|boolean} schema - Subschema to apply
+ * @param {string} path - JSON pointer to the value
+ * @param {Object} root - Root schema used to resolve `$ref`
+ * @returns {Array<Object>} - Errors found
+ */
+function collectErrors(value, schema, path, root) {
+    const errors = [];
+    validateValue(value, schema, path, root, errors);
+    return errors;
+}
+
+/**
+ * Pick the errors of the anyOf/oneOf branch that came closest to matching
+ *
+ * A branch rejected by its type check at the value itself (e.g. the `null`
+ * branch of a nullable object) is the least helpful to report.
+ *
+ * @param {Array<Array<Object>>} results - Errors of each branch
+ * @param {string} path - JSON pointer to the value
+ * @returns {Array<Object>} - Errors of the closest branch
+ */
+function closestBranch(results, path) {
+    const score = result => result.length +
+        (result.some(error => error.path === path && error.keyword === 'type') ? 1000 : 0);
+    return results.reduce((best, result) => score(result) < score(best) ? result : best);
+}
+
+/**
+ * Validate data against a JSON Schema
+ *
+ * @param {*} data - The data to validate
+ * @param {Object} schema - The schema to validate against
+ * @param {Object} root - Root schema used to resolve `$ref` (defaults to the schema itself)
+ * @returns {Object} - { success, errors } where each error is { path, keyword, message }
+ *                     and path is a JSON pointer to the offending value
+ */
+function validate(data, schema, root = schema) {
+    const errors = collectErrors(data, schema, '', root);
     return {
         success: errors.length === 0,
         errors
@@ -146,49 +455,116 @@ function validateObject(data, schema) {
 }
 
 /**
- * Validate a page data object against the page schema
- * @param {Object} pageData - The page data to validate
- * @returns {Object} - Validation result
+ * Format validation errors as readable lines
+ *
+ * @param {Array<Object>} errors - Errors from validate
+ * @returns {Array<string>} - Lines such as "/elements/2/status: must be one of: ..."
  */
-function validatePageData(pageData) {
-    return validateObject(pageData, pageSchema);
+function formatValidationErrors(errors) {
+    return errors.map(error => `${error.path || '/'}: ${error.message}`);
 }
 
 /**
- * Validate an element data object against the element schema
- * @param {Object} elementData - The element data to validate
- * @returns {Object} - Validation result
+ * Find keywords a schema uses that the validator would silently ignore
+ *
+ * @param {Object} schema - Schema to inspect
+ * @param {string} path - JSON pointer to the schema
+ * @returns {Array<Object>} - Errors for each unsupported keyword
  */
-function validateElementData(elementData) {
-    return validateObject(elementData, elementSchema);
+function findUnsupportedKeywords(schema, path) {
+    if (typeof schema === 'boolean') return [];
+    if (!matchesType(schema, 'object')) {
+        return [{ path, keyword: 'schema', message: 'must be a schema object or boolean' }];
+    }
+
+    const errors = [];
+    for (const [keyword, value] of Object.entries(schema)) {
+        const at = `${path}/${escapePointer(keyword)}`;
+        if (!SUPPORTED_KEYWORDS.includes(keyword)) {
+            errors.push({ path: at, keyword, message: `uses unsupported keyword "${keyword}"` });
+        } else if (keyword === 'properties' || keyword === '$defs') {
+            for (const [name, subschema] of Object.entries(value || {})) {
+                errors.push(...findUnsupportedKeywords(subschema, `${at}/${escapePointer(name)}`));
+            }
+        } else if (['items', 'additionalProperties', 'not'].includes(keyword)) {
+            errors.push(...findUnsupportedKeywords(value, at));
+        } else if (['allOf', 'anyOf', 'oneOf'].includes(keyword)) {
+            (value || []).forEach((subschema, index) => {
+                errors.push(...findUnsupportedKeywords(subschema, `${at}/${index}`));
+            });
+        }
+    }
+    return errors;
 }
 
 /**
- * Validate an entire export dataset containing pages and elements
- * @param {Object} exportData - The export data with pages and elements arrays
- * @returns {Object} - Validation result
+ * Check a custom schema extension before it is saved
+ *
+ * An extension adds team-specific fields to records, keyed by record type:
+ * { "element": { "properties": { "team": { "type": "string" } }, "required": ["team"] } }.
+ * Each entry may only declare `properties`, `required` and `$defs`, and cannot
+ * redefine the built-in fields or `$defs`.
+ *
+ * @param {Object} extension - Parsed extension
+ * @returns {Object} - { success, errors } with JSON-pointer paths into the extension
  */
-function validateExportData(exportData) {
+function validateSchemaExtension(extension) {
     const errors = [];
 
-    if (!exportData.pages || !Array.isArray(exportData.pages)) {
-        errors.push('Export data must contain a pages array');
-    } else {
-        for (let i = 0; i < exportData.pages.length; i++) {
-            const pageValidation = validatePageData(exportData.pages[i]);
-            if (!pageValidation.success) {
-                errors.push(`Invalid page at index ${i}: ${pageValidation.errors.join(', ')}`);
+    if (!matchesType(extension, 'object')) {
+        return { success: false, errors: [{ path: '', keyword: 'type', message: 'must be an object' }] };
+    }
+
+    for (const [type, entry] of Object.entries(extension)) {
+        const path = `/${escapePointer(type)}`;
+
+        if (!EXTENSIBLE_TYPES.includes(type)) {
+            errors.push({ path, keyword: 'extension', message: `must be one of: ${EXTENSIBLE_TYPES.join(', ')}` });
+            continue;
+        }
+        if (!matchesType(entry, 'object')) {
+            errors.push({ path, keyword: 'type', message: 'must be an object' });
+            continue;
+        }
+
+        for (const key of Object.keys(entry)) {
+            if (!['properties', 'required', '$defs'].includes(key)) {
+                errors.push({ path: `${path}/${escapePointer(key)}`, keyword: 'extension', message: `cannot set "${key}"` });
             }
         }
-    }
 
-    if (!exportData.elements || !Array.isArray(exportData.elements)) {
-        errors.push('Export data must contain an elements array');
-    } else {
-        for (let i = 0; i < exportData.elements.length; i++) {
-            const elementValidation = validateElementData(exportData.elements[i]);
-            if (!elementValidation.success) {
-                errors.push(`Invalid element at index ${i}: ${elementValidation.errors.join(', ')}`);
+        const properties = entry.properties || {};
+        if (!matchesType(properties, 'object')) {
+            errors.push({ path: `${path}/properties`, keyword: 'type', message: 'must be an object' });
+        } else {
+            const builtIn = captureSchema.$defs[type].properties;
+            for (const [name, subschema] of Object.entries(properties)) {
+                const propertyPath = `${path}/properties/${escapePointer(name)}`;
+                if (Object.prototype.hasOwnProperty.call(builtIn, name)) {
+                    errors.push({ path: propertyPath, keyword: 'extension', message: `cannot redefine built-in field "${name}"` });
+                } else {
+                    errors.push(...findUnsupportedKeywords(subschema, propertyPath));
+                }
+            }
+        }
+
+        const required = entry.required || [];
+        if (!Array.isArray(required) || required.some(name => typeof name !== 'string')) {
+            errors.push({ path: `${path}/required`, keyword: 'type', message: 'must be an array of field names' });
+        } else {
+            required.forEach((name, index) => {
+                if (!Object.prototype.hasOwnProperty.call(properties, name)) {
+                    errors.push({ path: `${path}/required/${index}`, keyword: 'extension', message: `"${name}" is not declared in properties` });
+                }
+            });
+        }
+
+        for (const [name, subschema] of Object.entries(entry.$defs || {})) {
+            const defPath = `${path}/$defs/${escapePointer(name)}`;
+            if (Object.prototype.hasOwnProperty.call(captureSchema.$defs, name)) {
+                errors.push({ path: defPath, keyword: 'extension', message: `cannot redefine built-in definition "${name}"` });
+            } else {
+                errors.push(...findUnsupportedKeywords(subschema, defPath));
             }
         }
     }
@@ -199,5 +575,90 @@ function validateExportData(exportData) {
     };
 }
 
+/**
+ * Build the capture schema with a custom extension merged in
+ *
+ * Extension `$defs` are merged into the root so extra fields can `$ref` them
+ * as "#/$defs/<name>"; they never replace a built-in definition.
+ *
+ * @param {Object|null} extension - Extension from validateSchemaExtension, or null
+ * @returns {Object} - Root schema to validate against
+ */
+function buildSchema(extension = null) {
+    if (!extension) return captureSchema;
+
+    const schema = { ...captureSchema, $defs: { ...captureSchema.$defs } };
+    for (const type of EXTENSIBLE_TYPES) {
+        const entry = extension[type];
+        if (!entry) continue;
+
+        // Built-in definitions win over any an extension saved before they were rejected
+        for (const [name, subschema] of Object.entries(entry.$defs || {})) {
+            if (!Object.prototype.hasOwnProperty.call(captureSchema.$defs, name)) {
+                schema.$defs[name] = subschema;
+            }
+        }
+        schema.$defs[type] = {
+            ...captureSchema.$defs[type],
+            required: [...captureSchema.$defs[type].required, ...(entry.required || [])],
+            properties: { ...captureSchema.$defs[type].properties, ...(entry.properties || {}) }
+        };
+    }
+    return schema;
+}
+
+/**
+ * Validate a page data object against the page schema
+ * @param {Object} pageData - The page data to validate
+ * @param {Object|null} extension - Optional custom schema extension
+ * @returns {Object} - Validation result
+ */
+function validatePageData(pageData, extension = null) {
+    const schema = buildSchema(extension);
+    return validate(pageData, schema.$defs.page, schema);
+}
+
+/**
+ * Validate an element data object against the element schema
+ * @param {Object} elementData - The element data to validate
+ * @param {Object|null} extension - Optional custom schema extension
+ * @returns {Object} - Validation result
+ */
+function validateElementData(elementData, extension = null) {
+    const schema = buildSchema(extension);
+    return validate(elementData, schema.$defs.element, schema);
+}
+
+/**
+ * Validate a journey object against the journey schema
+ * @param {Object} journey - The journey to validate
+ * @param {Object|null} extension - Optional custom schema extension
+ * @returns {Object} - Validation result
+ */
+function validateJourneyData(journey, extension = null) {
+    const schema = buildSchema(extension);
+    return validate(journey, schema.$defs.journey, schema);
+}
+
+/**
+ * Validate an entire export dataset containing pages, elements and optional journeys
+ * @param {Object} exportData - The export data with pages and elements arrays
+ * @param {Object|null} extension - Optional custom schema extension
+ * @returns {Object} - Validation result with errors such as { path: '/elements/3/status', ... }
+ */
+function validateExportData(exportData, extension = null) {
+    return validate(exportData, buildSchema(extension));
+}
+
 // Export validation functions
-export { validatePageData, validateElementData, validateExportData }; 
\ No newline at end of file
+export {
+    captureSchema,
+    validate,
+    formatValidationErrors,
+    validateSchemaExtension,
+    buildSchema,
+    validatePageData,
+    validateElementData,
+    validateJourneyData,
+    validateExportData
+};
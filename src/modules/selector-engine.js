@@ -0,0 +1,671 @@
+// Selector Engine Module
+// Generates ranked, uniqueness-verified selectors for captured DOM elements
+
+// Attributes conventionally reserved for test automation, in order of preference
+const TEST_ID_ATTRIBUTES = [
+    'data-testid',
+    'data-test-id',
+    'data-test',
+    'data-cy',
+    'data-qa',
+    'data-automation-id'
+];
+
+// Data attributes added by frameworks that change between builds or renders
+const IGNORED_DATA_ATTRIBUTES = /^data-(reactid|reactroot|v-|ng-|emotion|styled|radix|headlessui|state|active|selected|focus|hover|index|key)/;
+
+// Class names describing transient UI state rather than identity
+const STATE_CLASSES = /^(active|selected|focus(ed)?|hover(ed)?|open(ed)?|closed|disabled|visible|hidden|show(n)?|collapsed|expanded|checked|current|is-.+|has-.+)$/i;
+
+// Maximum number of fallback selectors kept on an element record
+const MAX_FALLBACKS = 5;
+
+// Maximum number of ancestors used when scoping a selector
+const MAX_SCOPE_DEPTH = 5;
+
+// Separator between a shadow host's selector and a selector inside its shadow root
+const SHADOW_SEPARATOR = ' >>> ';
+
+// Separator between an iframe's selector and a selector inside its document
+const FRAME_SEPARATOR = ' |> ';
+
+/**
+ * Check whether an attribute or id value looks stable across builds
+ *
+ * Generated values (framework ids, hashes, UUIDs, long digit runs) are rejected.
+ *
+ * @param {string} value - The attribute value to check
+ * @returns {boolean} - Whether the value is suitable for a selector
+ */
+function isStableToken(value) {
+    if (!value || value.length > 64) return false;
+    if (/^(ember|react|:r|mui-|rc-|radix-|headlessui-|ng-|cdk-|mat-)/i.test(value)) return false;
+    if (/[0-9a-f]{8}-[0-9a-f]{4}-/i.test(value)) return false;
+    if (/\d{4,}/.test(value)) return false;
+    if (/^[a-z]{1,3}-?[0-9a-z]{5,}$/i.test(value) && /\d/.test(value)) return false;
+    return true;
+}
+
+/**
+ * Check whether a class name is likely hand-written rather than generated
+ *
+ * @param {string} className - The class name to check
+ * @returns {boolean} - Whether the class is suitable for a selector
+ */
+function isStableClass(className) {
+    if (STATE_CLASSES.test(className)) return false;
+    if (/^(css|sc|jsx|emotion|styled|svelte)-/i.test(className)) return false;
+    if (/__[a-z0-9]{5,}$/i.test(className) || /_[a-z0-9]{5}$/.test(className) && /\d/.test(className)) return false;
+    return isStableToken(className);
+}
+
+/**
+ * Quote a value for use inside a CSS attribute selector
+ *
+ * @param {string} value - The raw attribute value
+ * @returns {string} - The double-quoted, escaped value
+ */
+function cssString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\a ')}"`;
+}
+
+/**
+ * Quote a value for use as an XPath string literal
+ *
+ * @param {string} value - The raw value
+ * @returns {string} - An XPath literal (using concat() when both quote types appear)
+ */
+function xpathString(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+    return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+}
+
+/**
+ * Collapse whitespace in an element's visible text
+ *
+ * @param {Element} element - The element to read
+ * @param {number} maxLength - Maximum length of the returned text
+ * @returns {string} - Normalized text content
+ */
+function getNormalizedText(element, maxLength = 80) {
+    const text = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+    return text.substring(0, maxLength);
+}
+
+/**
+ * Compute a simplified accessible name for an element
+ *
+ * Follows the main steps of the accessible name computation: aria-labelledby,
+ * aria-label, associated labels, alt/title/placeholder, then text content.
+ *
+ * @param {Element} element - The element to name
+ * @returns {string} - The accessible name, or an empty string
+ */
+function getAccessibleName(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const root = element.getRootNode();
+        const name = labelledBy.split(/\s+/)
+            .map(id => root.getElementById ? root.getElementById(id) : null)
+            .filter(Boolean)
+            .map(label => getNormalizedText(label))
+            .join(' ')
+            .trim();
+        if (name) return name;
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return ariaLabel.trim();
+
+    if (element.labels && element.labels.length > 0) {
+        const name = getNormalizedText(element.labels[0]);
+        if (name) return name;
+    }
+
+    for (const attribute of ['alt', 'title', 'placeholder']) {
+        const value = element.getAttribute(attribute);
+        if (value && value.trim()) return value.trim();
+    }
+
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+        return '';
+    }
+
+    return getNormalizedText(element);
+}
+
+/**
+ * Get the implicit or explicit ARIA role of an element
+ *
+ * @param {Element} element - The element to inspect
+ * @returns {string|null} - The role name, or null if none applies
+ */
+function getRole(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) return explicit.split(/\s+/)[0];
+
+    switch (element.tagName) {
+        case 'BUTTON':
+            return 'button';
+        case 'A':
+            return element.hasAttribute('href') ? 'link' : null;
+        case 'SELECT':
+            return 'combobox';
+        case 'TEXTAREA':
+            return 'textbox';
+        case 'INPUT': {
+            const type = (element.getAttribute('type') || 'text').toLowerCase();
+            if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+            if (type === 'checkbox' || type === 'radio') return type;
+            return 'textbox';
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the shadow root of a host element, including closed roots where the API allows
+ *
+ * @param {Element} host - The potential shadow host
+ * @returns {ShadowRoot|null} - The shadow root, or null
+ */
+function getShadowRoot(host) {
+    if (host.shadowRoot) return host.shadowRoot;
+
+    // Content scripts can also reach closed shadow roots
+    if (typeof chrome !== 'undefined' && chrome.dom && chrome.dom.openOrClosedShadowRoot) {
+        return chrome.dom.openOrClosedShadowRoot(host) || null;
+    }
+
+    return null;
+}
+
+/**
+ * Get the document of a same-origin frame
+ *
+ * @param {Element} frame - An iframe or frame element
+ * @returns {Document|null} - The frame's document, or null if cross-origin or not loaded
+ */
+function getFrameDocument(frame) {
+    try {
+        return frame.contentDocument || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the frame element hosting a document, if it is reachable
+ *
+ * @param {Document} doc - The document to inspect
+ * @returns {Element|null} - The iframe element in the parent document, or null
+ */
+function getFrameElement(doc) {
+    try {
+        return doc.defaultView ? doc.defaultView.frameElement : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolve a selector to the list of matching elements
+ *
+ * Composed selectors are followed across boundaries: " |> " descends into a
+ * same-origin iframe's document and " >>> " into a shadow root. Within each
+ * segment, selectors starting with "/" or "(" are evaluated as XPath and
+ * everything else as CSS. Invalid selectors resolve to an empty list.
+ *
+ * @param {string} selector - CSS selector, XPath expression or composed selector
+ * @param {Document|Element|ShadowRoot} root - Node to resolve from
+ * @returns {Array<Element>} - Matching elements in document order
+ */
+function resolveSelector(selector, root = document) {
+    if (!selector) return [];
+
+    const [outer, ...innerFrames] = selector.split(FRAME_SEPARATOR);
+    const matches = resolveShadowChain(outer, root);
+    if (innerFrames.length === 0) return matches;
+
+    return matches.flatMap(frame => {
+        const frameDocument = getFrameDocument(frame);
+        return frameDocument ? resolveSelector(innerFrames.join(FRAME_SEPARATOR), frameDocument) : [];
+    });
+}
+
+/**
+ * Resolve a selector that may contain shadow root boundaries
+ *
+ * @param {string} selector - Selector segments joined by " >>> "
+ * @param {Document|Element|ShadowRoot} root - Node to resolve from
+ * @returns {Array<Element>} - Matching elements
+ */
+function resolveShadowChain(selector, root) {
+    const [hostSelector, ...inner] = selector.split(SHADOW_SEPARATOR);
+    const matches = resolveSimpleSelector(hostSelector, root);
+    if (inner.length === 0) return matches;
+
+    return matches.flatMap(host => {
+        const shadowRoot = getShadowRoot(host);
+        return shadowRoot ? resolveShadowChain(inner.join(SHADOW_SEPARATOR), shadowRoot) : [];
+    });
+}
+
+/**
+ * Resolve a single CSS or XPath selector within one document or shadow root
+ *
+ * @param {string} selector - CSS selector or XPath expression
+ * @param {Document|Element|ShadowRoot} root - Node to resolve from
+ * @returns {Array<Element>} - Matching elements in document order
+ */
+function resolveSimpleSelector(selector, root) {
+    try {
+        if (isXPath(selector)) {
+            const doc = root.ownerDocument || root;
+            const snapshot = doc.evaluate(selector, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            const matches = [];
+            for (let i = 0; i < snapshot.snapshotLength; i++) {
+                matches.push(snapshot.snapshotItem(i));
+            }
+            return matches;
+        }
+
+        return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Find all elements matching a CSS selector, including inside shadow roots and same-origin frames
+ *
+ * @param {string} selector - CSS selector
+ * @param {Document|Element|ShadowRoot} root - Node to search within
+ * @returns {Array<Element>} - Matching elements
+ */
+function querySelectorAllDeep(selector, root = document) {
+    const results = Array.from(root.querySelectorAll(selector));
+
+    for (const node of root.querySelectorAll('*')) {
+        const shadowRoot = getShadowRoot(node);
+        if (shadowRoot) {
+            results.push(...querySelectorAllDeep(selector, shadowRoot));
+        }
+
+        if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+            const frameDocument = getFrameDocument(node);
+            if (frameDocument) {
+                results.push(...querySelectorAllDeep(selector, frameDocument));
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Check whether a selector is an XPath expression
+ *
+ * @param {string} selector - The selector to check
+ * @returns {boolean} - Whether the selector is XPath
+ */
+function isXPath(selector) {
+    return selector.startsWith('/') || selector.startsWith('(');
+}
+
+/**
+ * Check whether a selector is plain CSS for the top-level document
+ *
+ * XPath expressions and selectors into shadow roots or frames need resolveSelector;
+ * tools such as tour libraries only understand plain CSS.
+ *
+ * @param {string} selector - The selector to check
+ * @returns {boolean} - Whether document.querySelector can resolve the selector
+ */
+function isDocumentSelector(selector) {
+    return !isXPath(selector) && !selector.includes(SHADOW_SEPARATOR) && !selector.includes(FRAME_SEPARATOR);
+}
+
+/**
+ * Check whether a selector resolves to exactly the given element
+ *
+ * @param {string} selector - The selector to verify
+ * @param {Element} element - The expected element
+ * @param {Document|Element} root - Node to resolve from
+ * @returns {boolean} - Whether the selector is unique to the element
+ */
+function isUniqueSelector(selector, element, root = document) {
+    const matches = resolveSelector(selector, root);
+    return matches.length === 1 && matches[0] === element;
+}
+
+/**
+ * Build a tag + stable class selector for a single element
+ *
+ * @param {Element} element - The element to describe
+ * @returns {string} - Selector fragment such as "button.primary"
+ */
+function tagWithClasses(element) {
+    const tag = element.tagName.toLowerCase();
+    const classes = Array.from(element.classList).filter(isStableClass).slice(0, 3);
+    return classes.length > 0 ? `${tag}.${classes.map(c => CSS.escape(c)).join('.')}` : tag;
+}
+
+/**
+ * Build a tag:nth-of-type() selector fragment for a single element
+ *
+ * @param {Element} element - The element to describe
+ * @returns {string} - Selector fragment such as "li:nth-of-type(3)"
+ */
+function tagWithPosition(element) {
+    const tag = element.tagName.toLowerCase();
+    let index = 1;
+    let hasSameTypeSiblings = false;
+
+    for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.tagName === element.tagName) {
+            index++;
+            hasSameTypeSiblings = true;
+        }
+    }
+
+    for (let sibling = element.nextElementSibling; sibling && !hasSameTypeSiblings; sibling = sibling.nextElementSibling) {
+        if (sibling.tagName === element.tagName) {
+            hasSameTypeSiblings = true;
+        }
+    }
+
+    return hasSameTypeSiblings ? `${tag}:nth-of-type(${index})` : tag;
+}
+
+/**
+ * Build a selector that identifies an ancestor on its own (id or test id)
+ *
+ * @param {Element} element - The ancestor to anchor on
+ * @returns {string|null} - Anchor selector, or null if the element has no stable identity
+ */
+function anchorSelector(element) {
+    for (const attribute of TEST_ID_ATTRIBUTES) {
+        const value = element.getAttribute(attribute);
+        if (value && isStableToken(value)) {
+            return `[${attribute}=${cssString(value)}]`;
+        }
+    }
+
+    if (element.id && isStableToken(element.id)) {
+        return `#${CSS.escape(element.id)}`;
+    }
+
+    return null;
+}
+
+/**
+ * Try to make a non-unique selector unique by prefixing it with anchored ancestors
+ *
+ * @param {Element} element - The target element
+ * @param {string} selector - The candidate selector for the element
+ * @returns {string|null} - A scoped selector that is unique, or null
+ */
+function scopeToAncestor(element, selector) {
+    const root = element.getRootNode();
+    let depth = 0;
+
+    for (let ancestor = element.parentElement; ancestor && depth < MAX_SCOPE_DEPTH; ancestor = ancestor.parentElement) {
+        depth++;
+
+        const anchor = anchorSelector(ancestor) ||
+            (Array.from(ancestor.classList).some(isStableClass) ? tagWithClasses(ancestor) : null);
+        if (!anchor) continue;
+
+        const scoped = `${anchor} ${selector}`;
+        if (isUniqueSelector(scoped, element, root)) {
+            return scoped;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Candidate builder for test automation attributes (data-testid and friends)
+ *
+ * @param {Element} element - The target element
+ * @returns {Array<string>} - Candidate selectors
+ */
+function buildTestIdCandidates(element) {
+    return TEST_ID_ATTRIBUTES
+        .filter(attribute => element.hasAttribute(attribute) && isStableToken(element.getAttribute(attribute)))
+        .map(attribute => `[${attribute}=${cssString(element.getAttribute(attribute))}]`);
+}
+
+/**
+ * Candidate builder for other data-* attributes and form control names
+ *
+ * @param {Element} element - The target element
+ * @returns {Array<string>} - Candidate selectors
+ */
+function buildDataAttributeCandidates(element) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = Array.from(element.attributes)
+        .filter(attr => attr.name.startsWith('data-') &&
+            !TEST_ID_ATTRIBUTES.includes(attr.name) &&
+            !IGNORED_DATA_ATTRIBUTES.test(attr.name) &&
+            isStableToken(attr.value))
+        .map(attr => `${tag}[${attr.name}=${cssString(attr.value)}]`);
+
+    const name = element.getAttribute('name');
+    if (name && isStableToken(name)) {
+        candidates.push(`${tag}[name=${cssString(name)}]`);
+    }
+
+    return candidates;
+}
+
+/**
+ * Candidate builder for stable element ids
+ *
+ * @param {Element} element - The target element
+ * @returns {Array<string>} - Candidate selectors
+ */
+function buildIdCandidates(element) {
+    return element.id && isStableToken(element.id) ? [`#${CSS.escape(element.id)}`] : [];
+}
+
+/**
+ * Candidate builder for ARIA role and accessible name
+ *
+ * Uses CSS when the name comes from aria-label, and XPath text matching otherwise.
+ *
+ * @param {Element} element - The target element
+ * @returns {Array<string>} - Candidate selectors
+ */
+function buildAriaCandidates(element) {
+    const candidates = [];
+    const tag = element.tagName.toLowerCase();
+    const role = element.getAttribute('role');
+    const ariaLabel = element.getAttribute('aria-label');
+
+    if (ariaLabel && ariaLabel.trim()) {
+        const roleSelector = role ? `[role=${cssString(role)}]` : '';
+        candidates.push(`${tag}${roleSelector}[aria-label=${cssString(ariaLabel)}]`);
+    }
+
+    const name = getAccessibleName(element);
+    if (name && name.length <= 50 && getRole(element)) {
+        const predicate = `normalize-space(.)=${xpathString(name)}`;
+        candidates.push(role ?
+            `//*[@role=${xpathString(role)}][${predicate}]` :
+            `//${tag}[${predicate}]`);
+    }
+
+    return candidates;
+}
+
+/**
+ * Candidate builder for class-based selectors scoped by nearby ancestors
+ *
+ * @param {Element} element - The target element
+ * @returns {Array<string>} - Candidate selectors
+ */
+function buildClassPathCandidates(element) {
+    if (!Array.from(element.classList).some(isStableClass)) return [];
+
+    const base = tagWithClasses(element);
+    const candidates = [base];
+    const positioned = element.parentElement ?
+        `${tagWithClasses(element.parentElement)} > ${base}${tagWithPosition(element).replace(/^[a-z0-9-]+/, '')}` :
+        null;
+
+    if (positioned) candidates.push(positioned);
+    return candidates;
+}
+
+/**
+ * Candidate builder for a structural path from the nearest anchored ancestor
+ *
+ * @param {Element} element - The target element
+ * @returns {Array<string>} - Candidate selectors
+ */
+function buildAncestorPathCandidates(element) {
+    const segments = [];
+
+    for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+        const anchor = current !== element ? anchorSelector(current) : null;
+        if (anchor) {
+            segments.unshift(anchor);
+            break;
+        }
+
+        segments.unshift(tagWithPosition(current));
+        if (current.tagName === 'HTML') break;
+    }
+
+    return [segments.join(' > ')];
+}
+
+/**
+ * Candidate builder for an absolute XPath
+ *
+ * @param {Element} element - The target element
+ * @returns {Array<string>} - Candidate selectors
+ */
+function buildXPathCandidates(element) {
+    const segments = [];
+
+    for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+        const tag = current.tagName.toLowerCase();
+        let index = 1;
+        for (let sibling = current.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+            if (sibling.tagName === current.tagName) index++;
+        }
+        segments.unshift(`${tag}[${index}]`);
+    }
+
+    return segments.length > 0 && element.getRootNode() === element.ownerDocument ?
+        [`/${segments.join('/')}`] :
+        [];
+}
+
+// Ranked selector strategies, most stable first
+const STRATEGIES = [
+    { name: 'test-id', build: buildTestIdCandidates, scopable: true },
+    { name: 'data-attribute', build: buildDataAttributeCandidates, scopable: true },
+    { name: 'id', build: buildIdCandidates, scopable: false },
+    { name: 'aria', build: buildAriaCandidates, scopable: true },
+    { name: 'class-path', build: buildClassPathCandidates, scopable: true },
+    { name: 'ancestor-path', build: buildAncestorPathCandidates, scopable: false },
+    { name: 'xpath', build: buildXPathCandidates, scopable: false }
+];
+
+/**
+ * Build the selector prefix that leads from the top document to an element's root
+ *
+ * Elements inside a shadow root are prefixed with their host's selector and
+ * " >>> "; elements inside a same-origin frame with the frame's selector and " |> ".
+ *
+ * @param {Element} element - The target element
+ * @returns {string} - Prefix to prepend to selectors local to the element's root
+ */
+function getContextPrefix(element) {
+    const root = element.getRootNode();
+
+    if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+        return `${generateSelectors(root.host).selector}${SHADOW_SEPARATOR}`;
+    }
+
+    const frame = getFrameElement(element.ownerDocument);
+    if (frame) {
+        return `${generateSelectors(frame).selector}${FRAME_SEPARATOR}`;
+    }
+
+    return '';
+}
+
+/**
+ * Generate a verified selector and ranked fallbacks for an element
+ *
+ * Each strategy's candidates are checked with querySelectorAll (or XPath
+ * evaluation) within the element's own document or shadow root, and only
+ * those resolving to exactly this element are kept. The results are then
+ * prefixed with the host/frame chain leading to that root.
+ *
+ * @param {Element} element - The element to generate selectors for
+ * @returns {Object} - { selector, strategy, fallbacks: [{ strategy, selector }] }
+ */
+function generateSelectors(element) {
+    const root = element.getRootNode();
+    const verified = [];
+
+    for (const strategy of STRATEGIES) {
+        for (const candidate of strategy.build(element)) {
+            if (isXPath(candidate) && root !== element.ownerDocument) continue;
+
+            let selector = null;
+            if (isUniqueSelector(candidate, element, root)) {
+                selector = candidate;
+            } else if (strategy.scopable && !isXPath(candidate)) {
+                selector = scopeToAncestor(element, candidate);
+            }
+
+            if (selector && !verified.some(entry => entry.selector === selector)) {
+                verified.push({ strategy: strategy.name, selector });
+            }
+        }
+    }
+
+    const prefix = getContextPrefix(element);
+
+    if (verified.length === 0) {
+        // Structural paths are unique by construction; this only happens for detached nodes
+        const [path] = buildAncestorPathCandidates(element);
+        return { selector: `${prefix}${path}`, strategy: 'ancestor-path', fallbacks: [] };
+    }
+
+    const [best, ...fallbacks] = verified;
+    return {
+        selector: `${prefix}${best.selector}`,
+        strategy: best.strategy,
+        fallbacks: fallbacks.slice(0, MAX_FALLBACKS).map(entry => ({
+            strategy: entry.strategy,
+            selector: `${prefix}${entry.selector}`
+        }))
+    };
+}
+
+// Export selector functions
+export {
+    SHADOW_SEPARATOR,
+    FRAME_SEPARATOR,
+    generateSelectors,
+    resolveSelector,
+    isStableClass,
+    querySelectorAllDeep,
+    isUniqueSelector,
+    isXPath,
+    isDocumentSelector,
+    getAccessibleName,
+    getRole,
+    getNormalizedText
+};
@@ -0,0 +1,101 @@
+// Storage Client Module
+// Gives content scripts the storage manager's API; the background script runs each call
+// in the extension's origin, where the IndexedDB record store lives
+// Record calls go to the workspace of the content script's page, not whichever tab is focused
+
+import { getChangedStores } from './record-store.js';
+
+// Storage manager functions content scripts may call
+const STORAGE_METHODS = [
+    'savePage',
+    'saveElement',
+    'getElement',
+    'getPages',
+    'queryElements',
+    'getRecordIds',
+    'getActiveJourney',
+    'appendJourneyStep',
+    'appendMutationEvents',
+    'getLastElementId',
+    'getUrlPatternRules',
+    'getIdTemplates',
+    'getSchemaExtension',
+    'getCaptureMode',
+    'setCaptureMode',
+    'getWorkspaces',
+    'getActiveWorkspace',
+    'getWorkspaceForUrl'
+];
+
+// Workspace the content script's records are read from and written to, or null for the active workspace
+let workspaceId = null;
+
+/**
+ * Set the workspace record calls from this content script go to
+ *
+ * @param {string|null} id - Workspace ID, or null for the active workspace
+ */
+function setWorkspaceId(id) {
+    workspaceId = id;
+}
+
+/**
+ * Run a storage manager function in the background script
+ *
+ * @param {string} method - Name of a function in STORAGE_METHODS
+ * @param {Array} args - Arguments, which must survive structured cloning
+ * @returns {Promise<any>} - The function's result
+ */
+async function callStorage(method, args) {
+    const response = await chrome.runtime.sendMessage({ action: 'storage', method, args });
+    if (!response || response.error) {
+        throw new Error(`Storage call ${method} failed: ${response ? response.error : 'no response'}`);
+    }
+    return response.result;
+}
+
+// Client functions with the same names and arguments as the storage manager's;
+// those reading or writing records pass the content script's workspace along
+const savePage = (pageData, options = {}) => callStorage('savePage', [pageData, { ...options, workspaceId }]);
+const saveElement = (elementData, options = {}) => callStorage('saveElement', [elementData, { ...options, workspaceId }]);
+const getElement = elementId => callStorage('getElement', [elementId, workspaceId]);
+const getPages = () => callStorage('getPages', [workspaceId]);
+const queryElements = (filters = {}, paging = {}) => callStorage('queryElements', [filters, paging, workspaceId]);
+const getRecordIds = type => callStorage('getRecordIds', [type, workspaceId]);
+const getActiveJourney = () => callStorage('getActiveJourney', [workspaceId]);
+const appendJourneyStep = (journeyId, step) => callStorage('appendJourneyStep', [journeyId, step, workspaceId]);
+const appendMutationEvents = events => callStorage('appendMutationEvents', [events, workspaceId]);
+const getLastElementId = () => callStorage('getLastElementId', [workspaceId]);
+const getUrlPatternRules = (...args) => callStorage('getUrlPatternRules', args);
+const getIdTemplates = (...args) => callStorage('getIdTemplates', args);
+const getSchemaExtension = (...args) => callStorage('getSchemaExtension', args);
+const getCaptureMode = (...args) => callStorage('getCaptureMode', args);
+const setCaptureMode = (...args) => callStorage('setCaptureMode', args);
+const getWorkspaces = (...args) => callStorage('getWorkspaces', args);
+const getActiveWorkspace = (...args) => callStorage('getActiveWorkspace', args);
+const getWorkspaceForUrl = (...args) => callStorage('getWorkspaceForUrl', args);
+
+// Export storage client functions
+export {
+    STORAGE_METHODS,
+    setWorkspaceId,
+    savePage,
+    saveElement,
+    getElement,
+    getPages,
+    queryElements,
+    getRecordIds,
+    getActiveJourney,
+    appendJourneyStep,
+    appendMutationEvents,
+    getLastElementId,
+    getUrlPatternRules,
+    getIdTemplates,
+    getSchemaExtension,
+    getCaptureMode,
+    setCaptureMode,
+    getWorkspaces,
+    getActiveWorkspace,
+    getWorkspaceForUrl,
+    getChangedStores
+};
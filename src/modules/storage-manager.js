@@ -1,109 +1,675 @@
 // Storage Management Module
 // Handles data persistence, retrieval, and updates
+// Pages, elements, journeys and revisions live in IndexedDB; settings and capture state stay in chrome.storage.local
+// Records and the state that refers to them belong to the active workspace
+
+import { patternsMatch } from './url-patterns.js';
+import { DEFAULT_ID_TEMPLATES, isValidId } from './id-generator.js';
+import { VERSION_FIELDS, ID_FIELDS, trackChanges, getRecordRevisions } from './version-history.js';
+import {
+    validateSchemaExtension,
+    validatePageData,
+    validateElementData,
+    validateJourneyData,
+    validateExportData,
+    formatValidationErrors
+} from './schema-validator.js';
+import { proposeRepair } from './record-repair.js';
+import { planImport, mergeImport } from './import-merge.js';
+import { DEFAULT_SYNC_SETTINGS, syncKey, recordStamp } from './sync-client.js';
+import {
+    DEFAULT_WORKSPACE_ID,
+    DEFAULT_WORKSPACE,
+    WORKSPACE_STATE_KEYS,
+    workspaceStateKey,
+    findWorkspaceForUrl,
+    workspaceAcceptsUrl,
+    createWorkspaceId,
+    validateWorkspace
+} from './workspaces.js';
+import {
+    RECORD_STORES,
+    ACTIVE_WORKSPACE_KEY,
+    getActiveWorkspaceId,
+    deleteDatabase,
+    toPromise,
+    runTransaction,
+    getRecord,
+    getAllRecords,
+    getAllKeys,
+    queryRecords,
+    countRecords,
+    clearStores,
+    announceChanges
+} from './record-store.js';
+import { compareVersions } from '../utils/version.js';
+
+// Most mutation events kept per element
+const MAX_MUTATION_EVENTS = 50;
+
+// Schema validator for each record type
+const VALIDATORS = {
+    page: validatePageData,
+    element: validateElementData,
+    journey: validateJourneyData
+};
+
+/**
+ * Describe a storage failure in the same shape as a validation error
+ * 
+ * @param {Error} error - The error thrown while reading or writing storage
+ * @returns {Object} - Error as { path, keyword, message }
+ */
+function toWriteError(error) {
+    return { path: '', keyword: 'storage', message: error.message };
+}
+
+/**
+ * Turn workspace state values into chrome.storage.local items
+ * 
+ * @param {Object} values - Values keyed by WORKSPACE_STATE_KEYS
+ * @param {string} workspaceId - Workspace the values belong to
+ * @returns {Object} - Items keyed by the workspace's storage keys
+ */
+function toWorkspaceItems(values, workspaceId) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [workspaceStateKey(key, workspaceId), value]));
+}
+
+/**
+ * Announce changed stores along with new state values for a workspace
+ * 
+ * @param {Array<string>} storeNames - Names of the stores written
+ * @param {Object} values - Values keyed by WORKSPACE_STATE_KEYS
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<void>}
+ */
+async function announceWorkspaceChanges(storeNames, values = {}, workspaceId = null) {
+    await announceChanges(storeNames, toWorkspaceItems(values, workspaceId || await getActiveWorkspaceId()));
+}
+
+/**
+ * Order journeys by when they were started
+ * 
+ * @param {Array} journeys - Journey records in key order
+ * @returns {Array} - The same journeys, oldest first
+ */
+function sortJourneys(journeys) {
+    return journeys.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+/**
+ * Write the records of a store that differ from what was read
+ * 
+ * @param {IDBObjectStore} store - Object store being written
+ * @param {Array<Object>} before - Records as read
+ * @param {Array<Object>} after - Records after the change, in the same order
+ */
+function putChangedRecords(store, before, after) {
+    after.forEach((record, index) => {
+        if (JSON.stringify(record) !== JSON.stringify(before[index])) {
+            store.put(record);
+        }
+    });
+}
+
+/**
+ * Replace `from` items pointing at deleted records with the items those records were reached from
+ * 
+ * A flow A → B → C becomes A → C when B is deleted. Items that would point back
+ * at the record itself or repeat another item are dropped.
+ * 
+ * @param {Array<Object>|null} from - `from` items of a record that is kept
+ * @param {Map<string, Array<Object>>} deletedSources - `from` items of each deleted record, by ID
+ * @param {string} recordId - ID of the record the items belong to
+ * @returns {Array<Object>|null} - Items, or null if none are left
+ */
+function bridgeFrom(from, deletedSources, recordId) {
+    if (!from) return from;
+
+    const items = [];
+    const seen = new Set();
+    const visit = (item, visited) => {
+        if (deletedSources.has(item.node)) {
+            if (visited.has(item.node)) return;
+            for (const source of deletedSources.get(item.node)) {
+                visit(source, new Set([...visited, item.node]));
+            }
+            return;
+        }
+
+        const key = `${item.node}\u0000${item.action}`;
+        if (item.node !== recordId && !seen.has(key)) {
+            seen.add(key);
+            items.push(item);
+        }
+    };
+
+    from.forEach(item => visit(item, new Set()));
+    return items.length > 0 ? items : null;
+}
+
+/**
+ * Check a record against its schema, including the team's schema extension
+ * 
+ * Every page, element and journey write goes through this check, so invalid
+ * records are rejected when they are captured or edited rather than at export.
+ * 
+ * @param {string} type - 'page', 'element' or 'journey'
+ * @param {Object} record - The complete record about to be written
+ * @returns {Promise<Object>} - { success, errors } with JSON-pointer paths into the record
+ */
+async function validateRecord(type, record) {
+    try {
+        const { schemaExtension = null } = await chrome.storage.local.get(['schemaExtension']);
+        return VALIDATORS[type](record, schemaExtension);
+    } catch (error) {
+        console.error('Error validating record:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
 
 /**
- * Save page data to local storage
+ * Save page data
+ * 
+ * Changes are versioned: `ui_version` is bumped according to what changed and a
+ * revision is appended to the page's history. The resulting record is validated
+ * and nothing is written if it does not match the page schema. The page and its
+ * revision are written in one transaction.
  * 
  * @param {Object} pageData - Page data object to save
- * @returns {Promise<boolean>} - Success flag
+ * @param {Object} options - Save options
+ * @param {string} options.source - Where the change was made, recorded on the revision
+ * @param {string} options.action - Revision action, e.g. 'restore' (derived when omitted)
+ * @param {boolean} options.replace - Replace the stored page instead of merging into it; always recorded as a revision
+ * @param {string|null} options.workspaceId - Workspace to save into, or null for the active workspace
+ * @returns {Promise<Object>} - { success, errors, record } where errors have JSON-pointer paths
  */
-async function savePage(pageData) {
+async function savePage(pageData, { source = null, action = null, replace = false, workspaceId = null } = {}) {
     try {
-        // Get current page data
-        const { pageData: existingPages = [] } = await chrome.storage.local.get(['pageData']);
+        const { authorName = null, schemaExtension = null } = await chrome.storage.local.get(['authorName', 'schemaExtension']);
 
-        // Check if page with same URL pattern already exists
-        const pageIndex = existingPages.findIndex(page => page.url_pattern === pageData.url_pattern);
+        const result = await runTransaction(['pages', 'revisions'], 'readwrite', async ({ pages, revisions }) => {
+            // Find the page by ID, then by the same URL pattern or one covering it
+            let previous = pageData.page_id ? await toPromise(pages.get(pageData.page_id)) : null;
+            if (!previous && pageData.url_pattern) {
+                previous = await toPromise(pages.index('url_pattern').get(pageData.url_pattern));
+            }
+            if (!previous && pageData.url_pattern) {
+                const existingPages = await toPromise(pages.getAll());
+                previous = existingPages.find(page => patternsMatch(page.url_pattern, pageData.url_pattern));
+            }
+            previous = previous || null;
 
-        if (pageIndex >= 0) {
-            // Update existing page
-            existingPages[pageIndex] = {
-                ...existingPages[pageIndex],
-                ...pageData,
-                updated_at: new Date().toISOString()
-            };
-        } else {
-            // Add new page
-            existingPages.push({
-                ...pageData,
-                updated_at: new Date().toISOString()
+            // Version the change against the stored page
+            const { record, revision } = trackChanges('page', previous, replace ? pageData : { ...previous, ...pageData }, {
+                source,
+                action,
+                author: authorName,
+                force: replace
             });
-        }
+            const page = { ...record, updated_at: revision ? new Date().toISOString() : previous.updated_at };
 
-        // Save to storage
-        await chrome.storage.local.set({ pageData: existingPages });
-        return true;
+            // Reject pages that do not match the schema
+            const validation = validatePageData(page, schemaExtension);
+            if (!validation.success) {
+                return validation;
+            }
+
+            // A page found by its URL pattern takes the ID it is saved with
+            if (previous && previous.page_id !== page.page_id) {
+                pages.delete(previous.page_id);
+            }
+            pages.put(page);
+            if (revision) {
+                revisions.put(revision);
+            }
+            return { success: true, errors: [], record: page };
+        }, workspaceId);
+
+        if (result.success) {
+            await announceChanges(['pages', 'revisions']);
+        }
+        return result;
     } catch (error) {
         console.error('Error saving page data:', error);
-        return false;
+        return { success: false, errors: [toWriteError(error)] };
     }
 }
 
 /**
- * Save element data to local storage
+ * Save element data
+ * 
+ * Changes are versioned: `version` is bumped according to what changed and a
+ * revision is appended to the element's history. The resulting record is validated
+ * and nothing is written if it does not match the element schema. The element and
+ * its revision are written in one transaction, so captures in several tabs at once
+ * cannot overwrite each other. Saving an unchanged element writes nothing and
+ * announces no change.
  * 
  * @param {Object} elementData - Element data object to save
- * @returns {Promise<boolean>} - Success flag
+ * @param {Object} options - Save options
+ * @param {boolean} options.updateLastElement - Whether to record the element as the last captured one
+ * @param {string} options.source - Where the change was made, recorded on the revision
+ * @param {string} options.action - Revision action, e.g. 'restore' (derived when omitted)
+ * @param {boolean} options.replace - Replace the stored element instead of merging into it; always recorded as a revision
+ * @param {string|null} options.workspaceId - Workspace to save into, or null for the active workspace
+ * @returns {Promise<Object>} - { success, errors, record, changed } where errors have JSON-pointer paths
  */
-async function saveElement(elementData) {
+async function saveElement(elementData, { updateLastElement = true, source = null, action = null, replace = false, workspaceId = null } = {}) {
     try {
-        // Get current element data
-        const { elementData: existingElements = [] } = await chrome.storage.local.get(['elementData']);
-
-        // Check if element with same ID already exists
-        const elementIndex = existingElements.findIndex(element => element.element_id === elementData.element_id);
+        const { authorName = null, schemaExtension = null } = await chrome.storage.local.get(['authorName', 'schemaExtension']);
 
-        if (elementIndex >= 0) {
-            // Update existing element
-            existingElements[elementIndex] = {
-                ...existingElements[elementIndex],
-                ...elementData,
-                updated_at: new Date().toISOString()
-            };
-        } else {
-            // Add new element
-            existingElements.push({
-                ...elementData,
-                updated_at: new Date().toISOString()
+        const result = await runTransaction(['elements', 'revisions'], 'readwrite', async ({ elements, revisions }) => {
+            // Version the change against the stored element
+            const previous = elementData.element_id ? await toPromise(elements.get(elementData.element_id)) || null : null;
+            const { record, revision } = trackChanges('element', previous, replace ? elementData : { ...previous, ...elementData }, {
+                source,
+                action,
+                author: authorName,
+                force: replace
             });
+            const element = { ...record, updated_at: revision ? new Date().toISOString() : previous.updated_at };
+
+            // Reject elements that do not match the schema
+            const validation = validateElementData(element, schemaExtension);
+            if (!validation.success) {
+                return validation;
+            }
+
+            // An unchanged element is left as stored
+            if (revision) {
+                elements.put(element);
+                revisions.put(revision);
+            }
+            return { success: true, errors: [], record: element, changed: Boolean(revision) };
+        }, workspaceId);
+
+        const lastElement = updateLastElement ? { lastElementId: elementData.element_id } : {};
+        if (result.success && result.changed) {
+            await announceWorkspaceChanges(['elements', 'revisions'], lastElement, workspaceId);
+        } else if (result.success && updateLastElement) {
+            await saveWorkspaceState(lastElement, workspaceId);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error saving element data:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
+
+/**
+ * Get a stored element by ID
+ * 
+ * @param {string} elementId - Element ID
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<Object|null>} - Element record or null
+ */
+async function getElement(elementId, workspaceId = null) {
+    try {
+        return await getRecord('elements', elementId, workspaceId);
+    } catch (error) {
+        console.error('Error retrieving element:', error);
+        return null;
+    }
+}
+
+/**
+ * Get a stored page by ID
+ * 
+ * @param {string} pageId - Page ID
+ * @returns {Promise<Object|null>} - Page record or null
+ */
+async function getPage(pageId) {
+    try {
+        return await getRecord('pages', pageId);
+    } catch (error) {
+        console.error('Error retrieving page:', error);
+        return null;
+    }
+}
+
+/**
+ * Get all stored pages
+ * 
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<Array>} - Array of page records
+ */
+async function getPages(workspaceId = null) {
+    try {
+        return await getAllRecords('pages', {}, workspaceId);
+    } catch (error) {
+        console.error('Error retrieving pages:', error);
+        return [];
+    }
+}
+
+/**
+ * Get one page of stored pages, optionally only those with a URL pattern
+ * 
+ * @param {Object} filters - Query filters
+ * @param {string|null} filters.urlPattern - Only pages with exactly this URL pattern
+ * @param {Object} paging - Paging options
+ * @param {number} paging.offset - Number of matching pages to skip
+ * @param {number|null} paging.limit - Most pages returned, or null for all
+ * @returns {Promise<Object>} - { records, total } where total counts every matching page
+ */
+async function queryPages({ urlPattern = null } = {}, { offset = 0, limit = null } = {}) {
+    try {
+        return await queryRecords('pages', {
+            index: urlPattern ? 'url_pattern' : null,
+            query: urlPattern,
+            offset,
+            limit
+        });
+    } catch (error) {
+        console.error('Error querying pages:', error);
+        return { records: [], total: 0 };
+    }
+}
+
+/**
+ * Get one page of stored elements, optionally only those on a page or with a status
+ * 
+ * @param {Object} filters - Query filters
+ * @param {string|null} filters.pageId - Only elements on this page
+ * @param {string|null} filters.status - Only elements with this status
+ * @param {Object} paging - Paging options
+ * @param {number} paging.offset - Number of matching elements to skip
+ * @param {number|null} paging.limit - Most elements returned, or null for all
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<Object>} - { records, total } where total counts every matching element
+ */
+async function queryElements({ pageId = null, status = null } = {}, { offset = 0, limit = null } = {}, workspaceId = null) {
+    try {
+        let index = null;
+        let query = null;
+        if (pageId && status) {
+            index = 'page_status';
+            query = [pageId, status];
+        } else if (pageId || status) {
+            index = pageId ? 'page_id' : 'status';
+            query = pageId || status;
+        }
+
+        return await queryRecords('elements', { index, query, offset, limit }, workspaceId);
+    } catch (error) {
+        console.error('Error querying elements:', error);
+        return { records: [], total: 0 };
+    }
+}
+
+/**
+ * Get the IDs of all stored records of a type
+ * 
+ * @param {string} type - 'page', 'element' or 'journey'
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<Array<string>>} - Record IDs
+ */
+async function getRecordIds(type, workspaceId = null) {
+    try {
+        return await getAllKeys(RECORD_STORES[type], workspaceId);
+    } catch (error) {
+        console.error('Error retrieving record IDs:', error);
+        return [];
+    }
+}
+
+/**
+ * Count the stored pages, elements and journeys
+ * 
+ * @returns {Promise<Object>} - { pages, elements, journeys }
+ */
+async function getRecordCounts() {
+    try {
+        return await countRecords(['pages', 'elements', 'journeys']);
+    } catch (error) {
+        console.error('Error counting records:', error);
+        return { pages: 0, elements: 0, journeys: 0 };
+    }
+}
+
+/**
+ * Save a journey
+ * 
+ * Nothing is written if the resulting journey does not match the journey schema.
+ * 
+ * @param {Object} journey - Journey object to save
+ * @param {Object} options - Save options
+ * @param {boolean} options.replace - Replace the stored journey instead of merging into it
+ * @returns {Promise<Object>} - { success, errors, record } where errors have JSON-pointer paths
+ */
+async function saveJourney(journey, { replace = false } = {}) {
+    try {
+        const { schemaExtension = null } = await chrome.storage.local.get(['schemaExtension']);
+
+        const result = await runTransaction(['journeys'], 'readwrite', async ({ journeys }) => {
+            const stored = journey.journey_id ? await toPromise(journeys.get(journey.journey_id)) : null;
+            const updated = { ...journey, updated_at: new Date().toISOString() };
+            const record = stored && !replace ? { ...stored, ...updated } : updated;
+
+            // Reject journeys that do not match the schema
+            const validation = validateJourneyData(record, schemaExtension);
+            if (!validation.success) {
+                return validation;
+            }
+
+            journeys.put(record);
+            return { success: true, errors: [], record };
+        });
+
+        if (result.success) {
+            await announceChanges(['journeys']);
         }
+        return result;
+    } catch (error) {
+        console.error('Error saving journey:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
+
+/**
+ * Start recording a new journey and make it the active one
+ * 
+ * @param {Object} details - Journey details
+ * @param {string} details.name - Journey name
+ * @param {string} details.description - Optional journey description
+ * @returns {Promise<Object|null>} - The new journey, or null on failure
+ */
+async function startJourney({ name, description = null }) {
+    try {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'journey';
+        const now = new Date().toISOString();
+        const journey = {
+            journey_id: `${slug}_${Date.now().toString(36)}`,
+            name,
+            description,
+            start_page: null,
+            end_page: null,
+            status: 'recording',
+            steps: [],
+            created_at: now,
+            updated_at: now
+        };
 
-        // Save to storage
-        await chrome.storage.local.set({
-            elementData: existingElements,
-            lastElementId: elementData.element_id
+        // Reject journeys that do not match the schema
+        const validation = await validateRecord('journey', journey);
+        if (!validation.success) {
+            console.error('Invalid journey:', formatValidationErrors(validation.errors));
+            return null;
+        }
+
+        // Only one journey records at a time
+        await stopJourney();
+
+        await runTransaction(['journeys'], 'readwrite', async ({ journeys }) => {
+            journeys.add(journey);
         });
+        await announceWorkspaceChanges(['journeys'], { activeJourneyId: journey.journey_id });
+
+        return journey;
+    } catch (error) {
+        console.error('Error starting journey:', error);
+        return null;
+    }
+}
 
+/**
+ * Stop recording the active journey
+ * 
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function stopJourney() {
+    try {
+        const journey = await getActiveJourney();
+        if (journey) {
+            await saveJourney({ ...journey, status: 'stopped' });
+        }
+
+        await saveWorkspaceState({ activeJourneyId: null });
         return true;
     } catch (error) {
-        console.error('Error saving element data:', error);
+        console.error('Error stopping journey:', error);
+        return false;
+    }
+}
+
+/**
+ * Resume recording a previously stopped journey
+ * 
+ * @param {string} journeyId - ID of the journey to resume
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function resumeJourney(journeyId) {
+    try {
+        const journey = await getRecord('journeys', journeyId);
+        if (!journey) {
+            return false;
+        }
+
+        await stopJourney();
+        const result = await saveJourney({ ...journey, status: 'recording' });
+        if (!result.success) {
+            console.error('Invalid journey:', formatValidationErrors(result.errors));
+            return false;
+        }
+
+        await saveWorkspaceState({ activeJourneyId: journeyId });
+        return true;
+    } catch (error) {
+        console.error('Error resuming journey:', error);
         return false;
     }
 }
 
+/**
+ * Append a captured step to a journey
+ * 
+ * The journey is read and written in one transaction, so steps captured in
+ * several frames or tabs at once are all kept.
+ * 
+ * @param {string} journeyId - ID of the journey
+ * @param {Object} step - Step with element_id, page_id and action
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<Object>} - { success, errors, record } where errors have JSON-pointer paths
+ */
+async function appendJourneyStep(journeyId, step, workspaceId = null) {
+    try {
+        const { schemaExtension = null } = await chrome.storage.local.get(['schemaExtension']);
+
+        const result = await runTransaction(['journeys'], 'readwrite', async ({ journeys }) => {
+            const journey = await toPromise(journeys.get(journeyId));
+            if (!journey) {
+                return { success: false, errors: [{ path: '', keyword: 'journey', message: `No journey with ID ${journeyId}` }] };
+            }
+
+            const now = new Date().toISOString();
+            const record = {
+                ...journey,
+                start_page: journey.start_page || step.page_id,
+                end_page: step.page_id,
+                steps: [...journey.steps, { ...step, captured_at: now }],
+                updated_at: now
+            };
+
+            // Reject journeys that do not match the schema
+            const validation = validateJourneyData(record, schemaExtension);
+            if (!validation.success) {
+                return validation;
+            }
+
+            journeys.put(record);
+            return { success: true, errors: [], record };
+        }, workspaceId);
+
+        if (result.success) {
+            await announceChanges(['journeys']);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error appending journey step:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
+
+/**
+ * Get all recorded journeys
+ * 
+ * @returns {Promise<Array>} - Array of journey objects, oldest first
+ */
+async function getJourneys() {
+    try {
+        return sortJourneys(await getAllRecords('journeys'));
+    } catch (error) {
+        console.error('Error retrieving journeys:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the journey currently being recorded
+ * 
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<Object|null>} - Active journey or null
+ */
+async function getActiveJourney(workspaceId = null) {
+    try {
+        const { activeJourneyId = null } = await getWorkspaceState(['activeJourneyId'], workspaceId);
+        return activeJourneyId ? await getRecord('journeys', activeJourneyId, workspaceId) : null;
+    } catch (error) {
+        console.error('Error retrieving active journey:', error);
+        return null;
+    }
+}
+
 /**
  * Get all collected data
  * 
- * @returns {Promise<Object>} - Object containing pageData and elementData arrays
+ * The three stores are read in one transaction, so the data is consistent.
+ * 
+ * @returns {Promise<Object>} - Object containing pageData, elementData and journeys arrays
  */
 async function getAllData() {
     try {
-        const { pageData = [], elementData = [] } = await chrome.storage.local.get(['pageData', 'elementData']);
-        return { pageData, elementData };
+        return await runTransaction(['pages', 'elements', 'journeys'], 'readonly', async ({ pages, elements, journeys }) => ({
+            pageData: await toPromise(pages.getAll()),
+            elementData: await toPromise(elements.getAll()),
+            journeys: sortJourneys(await toPromise(journeys.getAll()))
+        }));
     } catch (error) {
         console.error('Error retrieving data:', error);
-        return { pageData: [], elementData: [] };
+        return { pageData: [], elementData: [], journeys: [] };
     }
 }
 
 /**
  * Get the last captured element ID
  * 
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
  * @returns {Promise<string|null>} - Last element ID or null
  */
-async function getLastElementId() {
+async function getLastElementId(workspaceId = null) {
     try {
-        const { lastElementId } = await chrome.storage.local.get(['lastElementId']);
+        const { lastElementId } = await getWorkspaceState(['lastElementId'], workspaceId);
         return lastElementId || null;
     } catch (error) {
         console.error('Error retrieving last element ID:', error);
@@ -112,16 +678,25 @@ async function getLastElementId() {
 }
 
 /**
- * Reset all stored data
+ * Reset all data stored in the active workspace
+ * 
+ * Other workspaces and settings are kept. Nothing is deleted on the sync server;
+ * with sync enabled, the next sync pulls the team's pages and elements again.
  * 
  * @returns {Promise<boolean>} - Success flag
  */
 async function resetAllData() {
     try {
-        await chrome.storage.local.set({
-            pageData: [],
-            elementData: [],
-            lastElementId: null
+        const { syncState = {} } = await getWorkspaceState(['syncState']);
+        const stores = ['pages', 'elements', 'journeys', 'revisions', 'mutations'];
+
+        await clearStores(stores);
+        await announceWorkspaceChanges(stores, {
+            activeJourneyId: null,
+            lastElementId: null,
+            syncShadow: {},
+            syncQueue: [],
+            syncState: { ...syncState, cursor: null }
         });
         return true;
     } catch (error) {
@@ -130,6 +705,1016 @@ async function resetAllData() {
     }
 }
 
+/**
+ * Rename a page and rewrite every reference to it
+ * 
+ * Updates the page record, `page_id` on its elements, `from` entries on other
+ * pages and the pages recorded on journeys.
+ * 
+ * @param {string} oldId - Current page ID
+ * @param {string} newId - New page ID
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function renamePage(oldId, newId) {
+    return renameRecord('page', oldId, newId);
+}
+
+/**
+ * Rename an element and rewrite every reference to it
+ * 
+ * Updates the element record, `from` entries on other elements, journey steps
+ * and the last captured element.
+ * 
+ * @param {string} oldId - Current element ID
+ * @param {string} newId - New element ID
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function renameElement(oldId, newId) {
+    return renameRecord('element', oldId, newId);
+}
+
+/**
+ * Rename a page or element record across all stored data
+ * 
+ * Records, journeys and revisions are rewritten in one transaction.
+ * 
+ * @param {string} kind - 'page' or 'element'
+ * @param {string} oldId - Current ID
+ * @param {string} newId - New ID
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function renameRecord(kind, oldId, newId) {
+    try {
+        if (!isValidId(newId)) {
+            return { success: false, error: `Invalid ID "${newId}": use lowercase letters, digits, "_" and "-"` };
+        }
+
+        let { lastElementId = null } = await getWorkspaceState(['lastElementId']);
+        const { authorName = null } = await chrome.storage.local.get(['authorName']);
+
+        const rename = id => id === oldId ? newId : id;
+        const renameFrom = from => from ? from.map(source => ({ ...source, node: rename(source.node) })) : from;
+
+        // Rewrite the references held by a single page or element record
+        const renameReferences = {
+            page: page => kind === 'page' ?
+                { ...page, page_id: rename(page.page_id), from: renameFrom(page.from) } :
+                page,
+            element: element => kind === 'page' ?
+                { ...element, page_id: rename(element.page_id) } :
+                { ...element, element_id: rename(element.element_id), from: renameFrom(element.from) }
+        };
+
+        const storeNames = ['pages', 'elements', 'journeys', 'revisions', 'mutations'];
+        const result = await runTransaction(storeNames, 'readwrite', async stores => {
+            const key = ID_FIELDS[kind];
+            const recordStore = stores[RECORD_STORES[kind]];
+            const previous = await toPromise(recordStore.get(oldId));
+
+            if (!previous) {
+                return { success: false, error: `No ${kind} with ID ${oldId}` };
+            }
+            if (oldId === newId) {
+                return { success: true, error: null };
+            }
+            if (await toPromise(recordStore.get(newId))) {
+                return { success: false, error: `ID ${newId} is already used by another ${kind}` };
+            }
+
+            const pageData = await toPromise(stores.pages.getAll());
+            const elementData = await toPromise(stores.elements.getAll());
+            const journeys = await toPromise(stores.journeys.getAll());
+            const revisions = await toPromise(stores.revisions.getAll());
+            const mutations = await toPromise(stores.mutations.getAll());
+
+            const renamedPages = pageData.map(renameReferences.page);
+            const renamedElements = elementData.map(renameReferences.element);
+            const renamedJourneys = journeys.map(journey => kind === 'page' ?
+                {
+                    ...journey,
+                    start_page: rename(journey.start_page),
+                    end_page: rename(journey.end_page),
+                    steps: journey.steps.map(step => ({ ...step, page_id: rename(step.page_id) }))
+                } :
+                {
+                    ...journey,
+                    steps: journey.steps.map(step => ({ ...step, element_id: rename(step.element_id) }))
+                });
+
+            // Keep each record's history attached to it under the new ID
+            const renamedRevisions = revisions.map(revision => ({
+                ...revision,
+                record_id: revision.record_type === kind ? rename(revision.record_id) : revision.record_id,
+                snapshot: renameReferences[revision.record_type](revision.snapshot)
+            }));
+
+            // Observed changes refer to both the element and its page
+            const renamedMutations = mutations.map(event => ({
+                ...event,
+                element_id: kind === 'element' ? rename(event.element_id) : event.element_id,
+                page_id: kind === 'page' ? rename(event.page_id) : event.page_id
+            }));
+
+            // Record the rename itself as a revision of the renamed record
+            const renamedRecords = kind === 'page' ? renamedPages : renamedElements;
+            const renamedIndex = renamedRecords.findIndex(record => record[key] === newId);
+            const { record, revision } = trackChanges(kind, previous, renamedRecords[renamedIndex], {
+                action: 'rename',
+                source: 'rename',
+                author: authorName
+            });
+            renamedRecords[renamedIndex] = { ...record, updated_at: new Date().toISOString() };
+
+            recordStore.delete(oldId);
+            putChangedRecords(stores.pages, pageData, renamedPages);
+            putChangedRecords(stores.elements, elementData, renamedElements);
+            putChangedRecords(stores.journeys, journeys, renamedJourneys);
+            putChangedRecords(stores.revisions, revisions, renamedRevisions);
+            putChangedRecords(stores.mutations, mutations, renamedMutations);
+            stores.revisions.put(revision);
+
+            return { success: true, error: null };
+        });
+
+        if (!result.success || oldId === newId) {
+            return result;
+        }
+
+        if (kind === 'element') {
+            lastElementId = rename(lastElementId);
+        }
+
+        await announceWorkspaceChanges(storeNames, { lastElementId });
+        return result;
+    } catch (error) {
+        console.error(`Error renaming ${kind}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Set the status of several elements at once
+ * 
+ * Each element gets a revision; nothing is written unless every updated element
+ * matches the schema.
+ * 
+ * @param {Array<string>} elementIds - IDs of the elements to update
+ * @param {string} status - 'active', 'inactive' or 'deprecated'
+ * @param {Object} options - Save options
+ * @param {string} options.source - Where the change was made, recorded on the revisions
+ * @returns {Promise<Object>} - { success, errors, records } where error paths start with the element ID
+ */
+async function setElementStatuses(elementIds, status, { source = null } = {}) {
+    try {
+        const { authorName = null, schemaExtension = null } = await chrome.storage.local.get(['authorName', 'schemaExtension']);
+
+        const result = await runTransaction(['elements', 'revisions'], 'readwrite', async ({ elements, revisions }) => {
+            const updates = [];
+            const errors = [];
+
+            for (const elementId of elementIds) {
+                const previous = await toPromise(elements.get(elementId));
+                if (!previous) {
+                    errors.push({ path: `/${elementId}`, keyword: 'element', message: `No element with ID ${elementId}` });
+                    continue;
+                }
+
+                const { record, revision } = trackChanges('element', previous, { ...previous, status }, { source, author: authorName });
+                const element = { ...record, updated_at: revision ? new Date().toISOString() : previous.updated_at };
+
+                // Reject elements that do not match the schema
+                const validation = validateElementData(element, schemaExtension);
+                errors.push(...validation.errors.map(error => ({ ...error, path: `/${elementId}${error.path}` })));
+                updates.push({ element, revision });
+            }
+
+            if (errors.length > 0) {
+                return { success: false, errors, records: [] };
+            }
+
+            for (const { element, revision } of updates) {
+                elements.put(element);
+                if (revision) {
+                    revisions.put(revision);
+                }
+            }
+            return { success: true, errors: [], records: updates.map(update => update.element) };
+        });
+
+        if (result.success) {
+            await announceChanges(['elements', 'revisions']);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error setting element statuses:', error);
+        return { success: false, errors: [toWriteError(error)], records: [] };
+    }
+}
+
+/**
+ * Delete pages or elements and repair every reference to them
+ * 
+ * Deleting a page also deletes its elements. References in `from` on the
+ * remaining records are bridged to where the deleted records were reached
+ * from (see bridgeFrom), journey steps on deleted records are dropped and the
+ * deleted records' revisions are removed. Records whose `from` changes get a
+ * revision. Records, journeys and revisions are written in one transaction.
+ * Nothing is deleted on the sync server.
+ * 
+ * @param {string} kind - 'page' or 'element'
+ * @param {Array<string>} ids - IDs of the records to delete
+ * @returns {Promise<Object>} - { success, error, deleted } where deleted is { pages, elements } with the deleted IDs
+ */
+async function deleteRecords(kind, ids) {
+    try {
+        let { lastElementId = null } = await getWorkspaceState(['lastElementId']);
+        const { authorName = null } = await chrome.storage.local.get(['authorName']);
+
+        const storeNames = ['pages', 'elements', 'journeys', 'revisions', 'mutations'];
+        const result = await runTransaction(storeNames, 'readwrite', async stores => {
+            const pageData = await toPromise(stores.pages.getAll());
+            const elementData = await toPromise(stores.elements.getAll());
+            const journeys = await toPromise(stores.journeys.getAll());
+
+            const deletedPages = kind === 'page' ? pageData.filter(page => ids.includes(page.page_id)) : [];
+            const deletedPageIds = new Set(deletedPages.map(page => page.page_id));
+            const deletedElements = elementData.filter(element => kind === 'page' ?
+                deletedPageIds.has(element.page_id) :
+                ids.includes(element.element_id));
+            const deletedElementIds = new Set(deletedElements.map(element => element.element_id));
+
+            const missing = ids.filter(id => !(kind === 'page' ? deletedPageIds : deletedElementIds).has(id));
+            if (missing.length > 0) {
+                return { success: false, error: `No ${kind} with ID ${missing.join(', ')}`, deleted: null };
+            }
+
+            // Bridge references on the records that are kept, recording each change as a revision
+            const bridge = (type, records, deleted) => {
+                if (deleted.length === 0) return;
+
+                const key = ID_FIELDS[type];
+                const deletedSources = new Map(deleted.map(record => [record[key], record.from || []]));
+
+                for (const previous of records) {
+                    if (deletedSources.has(previous[key])) continue;
+
+                    const from = bridgeFrom(previous.from, deletedSources, previous[key]);
+                    const { record, revision } = trackChanges(type, previous, { ...previous, from }, {
+                        source: 'delete',
+                        author: authorName
+                    });
+                    if (revision) {
+                        stores[RECORD_STORES[type]].put({ ...record, updated_at: new Date().toISOString() });
+                        stores.revisions.put(revision);
+                    }
+                }
+            };
+            bridge('page', pageData, deletedPages);
+            bridge('element', elementData, deletedElements);
+
+            // Drop the steps taken on deleted records
+            const keptJourneys = journeys.map(journey => {
+                const steps = journey.steps.filter(step => !deletedElementIds.has(step.element_id) && !deletedPageIds.has(step.page_id));
+                const kept = {
+                    ...journey,
+                    start_page: steps.length > 0 ? steps[0].page_id : deletedPageIds.has(journey.start_page) ? null : journey.start_page,
+                    end_page: steps.length > 0 ? steps[steps.length - 1].page_id : deletedPageIds.has(journey.end_page) ? null : journey.end_page,
+                    steps
+                };
+                return JSON.stringify(kept) === JSON.stringify(journey) ? journey : { ...kept, updated_at: new Date().toISOString() };
+            });
+            putChangedRecords(stores.journeys, journeys, keptJourneys);
+
+            // Remove the deleted records with their history and observed changes
+            const deleteRecord = async (type, id) => {
+                stores[RECORD_STORES[type]].delete(id);
+                const revisionIds = await toPromise(stores.revisions.index('record').getAllKeys([type, id]));
+                revisionIds.forEach(revisionId => stores.revisions.delete(revisionId));
+            };
+            for (const id of deletedPageIds) {
+                await deleteRecord('page', id);
+            }
+            for (const id of deletedElementIds) {
+                await deleteRecord('element', id);
+                const eventIds = await toPromise(stores.mutations.index('element_id').getAllKeys(id));
+                eventIds.forEach(eventId => stores.mutations.delete(eventId));
+            }
+
+            return {
+                success: true,
+                error: null,
+                deleted: { pages: [...deletedPageIds], elements: [...deletedElementIds] }
+            };
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        if (result.deleted.elements.includes(lastElementId)) {
+            lastElementId = null;
+        }
+
+        await announceWorkspaceChanges(storeNames, { lastElementId });
+        return result;
+    } catch (error) {
+        console.error(`Error deleting ${kind} records:`, error);
+        return { success: false, error: error.message, deleted: null };
+    }
+}
+
+/**
+ * Get the revision history of a page or element, oldest first
+ * 
+ * @param {string} type - 'page' or 'element'
+ * @param {string} recordId - Page or element ID
+ * @returns {Promise<Array>} - Array of revision objects
+ */
+async function getRevisions(type, recordId) {
+    try {
+        const revisions = await getAllRecords('revisions', { index: 'record', query: [type, recordId] });
+        return getRecordRevisions(revisions, type, recordId);
+    } catch (error) {
+        console.error('Error retrieving revisions:', error);
+        return [];
+    }
+}
+
+/**
+ * Restore a page or element to the state recorded in one of its revisions
+ * 
+ * The restore is saved as a new revision, so history stays append-only.
+ * 
+ * @param {string} revisionId - ID of the revision to restore
+ * @returns {Promise<Object>} - { success, errors, record } from the save
+ */
+async function restoreRevision(revisionId) {
+    try {
+        const revision = await getRecord('revisions', revisionId);
+        if (!revision) {
+            return { success: false, errors: [{ path: '', keyword: 'revision', message: `No revision with ID ${revisionId}` }] };
+        }
+
+        const options = { source: 'history', action: 'restore' };
+        return revision.record_type === 'page' ?
+            savePage(revision.snapshot, options) :
+            saveElement(revision.snapshot, { ...options, updateLastElement: false });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
+
+/**
+ * Repair a stored record that does not match the schema
+ * 
+ * The proposed repair is only saved if it leaves the record valid; it is
+ * recorded as a 'repair' revision for pages and elements.
+ * 
+ * @param {string} type - 'page', 'element' or 'journey'
+ * @param {string} recordId - ID of the record to repair
+ * @returns {Promise<Object>} - { success, errors, fixes } with the fixes applied or proposed
+ */
+async function repairRecord(type, recordId) {
+    try {
+        const { schemaExtension = null } = await chrome.storage.local.get(['schemaExtension']);
+        const record = await getRecord(RECORD_STORES[type], recordId);
+        if (!record) {
+            return { success: false, errors: [{ path: '', keyword: 'repair', message: `No ${type} with ID ${recordId}` }], fixes: [] };
+        }
+
+        const proposal = proposeRepair(type, record, schemaExtension);
+        if (proposal.errors.length > 0) {
+            return { success: false, errors: proposal.errors, fixes: proposal.fixes };
+        }
+
+        const options = { source: 'repair', action: 'repair', replace: true };
+        let result;
+        if (type === 'page') {
+            result = await savePage(proposal.record, options);
+        } else if (type === 'element') {
+            result = await saveElement(proposal.record, { ...options, updateLastElement: false });
+        } else {
+            result = await saveJourney(proposal.record, { replace: true });
+        }
+
+        return { ...result, fixes: proposal.fixes };
+    } catch (error) {
+        console.error('Error repairing record:', error);
+        return { success: false, errors: [toWriteError(error)], fixes: [] };
+    }
+}
+
+/**
+ * Check an export file and plan how it merges into stored data
+ * 
+ * @param {Object} exportData - Parsed export file
+ * @returns {Promise<Object>} - { success, errors, plan } where plan comes from planImport
+ */
+async function previewImport(exportData) {
+    try {
+        const { schemaExtension = null } = await chrome.storage.local.get(['schemaExtension']);
+
+        const validation = validateExportData(exportData, schemaExtension);
+        if (!validation.success) {
+            return { ...validation, plan: null };
+        }
+
+        return { success: true, errors: [], plan: planImport(await getAllData(), exportData) };
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        return { success: false, errors: [toWriteError(error)], plan: null };
+    }
+}
+
+/**
+ * Merge an export file into stored data
+ * 
+ * The file is validated, then planned again against the current storage and
+ * written in the same transaction. Pages and elements taken from the file are
+ * recorded as 'import' revisions; a replaced record is versioned above both its
+ * stored and its imported version so its version never moves backwards.
+ * 
+ * @param {Object} exportData - Parsed export file
+ * @param {Object} options - Merge options
+ * @param {string} options.strategy - How conflicts are resolved: 'mine', 'theirs' or 'newest'
+ * @param {Object} options.overrides - Strategies for single records, keyed by "type:id"
+ * @returns {Promise<Object>} - { success, errors, counts } with the number of records added and updated
+ */
+async function importData(exportData, { strategy = 'newest', overrides = {} } = {}) {
+    try {
+        const { authorName = null, schemaExtension = null } = await chrome.storage.local.get(['authorName', 'schemaExtension']);
+
+        const validation = validateExportData(exportData, schemaExtension);
+        if (!validation.success) {
+            return validation;
+        }
+
+        const storeNames = ['pages', 'elements', 'journeys', 'revisions'];
+        const result = await runTransaction(storeNames, 'readwrite', async stores => {
+            const stored = {
+                pageData: await toPromise(stores.pages.getAll()),
+                elementData: await toPromise(stores.elements.getAll()),
+                journeys: await toPromise(stores.journeys.getAll())
+            };
+            const merged = mergeImport(stored, planImport(stored, exportData), { strategy, overrides });
+            const counts = { added: 0, updated: 0 };
+
+            for (const { type, mine, theirs } of merged.applied) {
+                counts[mine ? 'updated' : 'added']++;
+                if (type === 'journey') {
+                    stores.journeys.put(theirs);
+                    continue;
+                }
+
+                // Version the imported record like any other save
+                const versionField = VERSION_FIELDS[type];
+                const base = mine && compareVersions(mine[versionField], theirs[versionField]) > 0 ?
+                    mine[versionField] :
+                    theirs[versionField];
+                const { record, revision } = trackChanges(type, mine, { ...theirs, [versionField]: base }, {
+                    source: 'import',
+                    action: 'import',
+                    author: authorName,
+                    force: Boolean(mine)
+                });
+
+                stores[RECORD_STORES[type]].put(mine ? { ...record, updated_at: revision.changed_at } : record);
+                stores.revisions.put(revision);
+            }
+
+            return { success: true, errors: [], counts };
+        });
+
+        await announceChanges(storeNames);
+        return result;
+    } catch (error) {
+        console.error('Error importing data:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
+
+/**
+ * Record pages and elements as synced, so they are not pushed again until they change
+ * 
+ * @param {Array<Object>} changes - Synced records as { type, record }
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function markRecordsSynced(changes) {
+    try {
+        const { syncShadow = {} } = await getWorkspaceState(['syncShadow']);
+        for (const { type, record } of changes) {
+            syncShadow[syncKey(type, record[ID_FIELDS[type]])] = recordStamp(type, record);
+        }
+
+        await saveWorkspaceState({ syncShadow });
+        return true;
+    } catch (error) {
+        console.error('Error marking records synced:', error);
+        return false;
+    }
+}
+
+/**
+ * Write pages and elements pulled from the sync server
+ * 
+ * Records keep the version and `updated_at` they have on the server and are
+ * recorded as 'sync' revisions. They are marked synced along with the change
+ * announcement, so they are not pushed back. Records that do not match the
+ * schema are skipped.
+ * 
+ * @param {Array<Object>} changes - Pulled records as { type, record }
+ * @returns {Promise<Object>} - { success, errors, counts } with the number of records applied and skipped
+ */
+async function applySyncedRecords(changes) {
+    try {
+        const { syncShadow = {} } = await getWorkspaceState(['syncShadow']);
+        const { schemaExtension = null } = await chrome.storage.local.get(['schemaExtension']);
+        const errors = [];
+        const counts = { applied: 0, skipped: 0 };
+
+        const storeNames = ['pages', 'elements', 'revisions'];
+        await runTransaction(storeNames, 'readwrite', async stores => {
+            for (const { type, record: incoming } of changes) {
+                const id = incoming[ID_FIELDS[type]];
+
+                const validation = VALIDATORS[type](incoming, schemaExtension);
+                if (!validation.success) {
+                    errors.push(...validation.errors.map(error => ({ ...error, path: `/${type}/${id}${error.path}` })));
+                    counts.skipped++;
+                    continue;
+                }
+
+                const recordStore = stores[RECORD_STORES[type]];
+                const previous = await toPromise(recordStore.get(id)) || null;
+                if (!previous || recordStamp(type, previous) !== recordStamp(type, incoming)) {
+                    const { record, revision } = trackChanges(type, previous, incoming, {
+                        source: 'sync',
+                        action: 'sync',
+                        force: true,
+                        version: incoming[VERSION_FIELDS[type]]
+                    });
+
+                    recordStore.put(record);
+                    stores.revisions.put(revision);
+                }
+
+                syncShadow[syncKey(type, id)] = recordStamp(type, incoming);
+                counts.applied++;
+            }
+        });
+
+        await announceWorkspaceChanges(storeNames, { syncShadow });
+        return { success: errors.length === 0, errors, counts };
+    } catch (error) {
+        console.error('Error applying synced records:', error);
+        return { success: false, errors: [toWriteError(error)], counts: { applied: 0, skipped: 0 } };
+    }
+}
+
+/**
+ * Append observed DOM changes to the mutation log
+ * 
+ * An event repeating an element's most recent event (for example a text change
+ * seen again on every page load) is not logged twice, and only the most recent
+ * events are kept per element. Events are added in one transaction, so tabs
+ * logging at the same time keep each other's events.
+ * 
+ * @param {Array} events - Mutation events from the mutation tracker
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function appendMutationEvents(events, workspaceId = null) {
+    try {
+        const added = await runTransaction(['mutations'], 'readwrite', async ({ mutations }) => {
+            let count = 0;
+
+            for (const event of events) {
+                const elementEvents = await toPromise(mutations.index('element_id').getAll(event.element_id));
+                const previous = elementEvents[elementEvents.length - 1];
+                if (previous && previous.type === event.type && JSON.stringify(previous.detail) === JSON.stringify(event.detail)) continue;
+
+                await toPromise(mutations.add(event));
+                count++;
+
+                // Drop the element's oldest events beyond the limit
+                elementEvents.slice(0, Math.max(0, elementEvents.length + 1 - MAX_MUTATION_EVENTS))
+                    .forEach(item => mutations.delete(item.event_id));
+            }
+            return count;
+        }, workspaceId);
+
+        if (added > 0) {
+            await announceChanges(['mutations']);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error saving mutation events:', error);
+        return false;
+    }
+}
+
+/**
+ * Get logged DOM changes, optionally for a single element
+ * 
+ * @param {string|null} elementId - Element ID, or null for all elements
+ * @returns {Promise<Array>} - Mutation events, oldest first
+ */
+async function getMutationEvents(elementId = null) {
+    try {
+        return await getAllRecords('mutations', elementId ? { index: 'element_id', query: elementId } : {});
+    } catch (error) {
+        console.error('Error retrieving mutation events:', error);
+        return [];
+    }
+}
+
+/**
+ * Read state values kept per workspace
+ * 
+ * @param {Array<string>} keys - Keys from WORKSPACE_STATE_KEYS
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<Object>} - Stored values keyed by the plain keys
+ */
+async function getWorkspaceState(keys, workspaceId = null) {
+    const id = workspaceId || await getActiveWorkspaceId();
+    const items = await chrome.storage.local.get(keys.map(key => workspaceStateKey(key, id)));
+
+    return Object.fromEntries(keys
+        .filter(key => workspaceStateKey(key, id) in items)
+        .map(key => [key, items[workspaceStateKey(key, id)]]));
+}
+
+/**
+ * Save state values kept per workspace
+ * 
+ * @param {Object} values - Values keyed by WORKSPACE_STATE_KEYS
+ * @param {string|null} workspaceId - Workspace ID, or null for the active workspace
+ * @returns {Promise<void>}
+ */
+async function saveWorkspaceState(values, workspaceId = null) {
+    await chrome.storage.local.set(toWorkspaceItems(values, workspaceId || await getActiveWorkspaceId()));
+}
+
+/**
+ * Get all workspaces, the default workspace first
+ * 
+ * @returns {Promise<Array<Object>>} - Workspaces as { workspace_id, name, origins, kpis, environment }
+ */
+async function getWorkspaces() {
+    try {
+        const { workspaces = [] } = await chrome.storage.local.get(['workspaces']);
+        const defaultWorkspace = workspaces.find(workspace => workspace.workspace_id === DEFAULT_WORKSPACE_ID);
+        return [
+            { ...DEFAULT_WORKSPACE, ...defaultWorkspace },
+            ...workspaces.filter(workspace => workspace !== defaultWorkspace)
+        ];
+    } catch (error) {
+        console.error('Error retrieving workspaces:', error);
+        return [{ ...DEFAULT_WORKSPACE }];
+    }
+}
+
+/**
+ * Get the workspace captures go into
+ * 
+ * @returns {Promise<Object>} - Active workspace
+ */
+async function getActiveWorkspace() {
+    const [workspaces, workspaceId] = await Promise.all([getWorkspaces(), getActiveWorkspaceId()]);
+    return workspaces.find(workspace => workspace.workspace_id === workspaceId) || workspaces[0];
+}
+
+/**
+ * Add or update a workspace
+ * 
+ * @param {Object} workspace - Workspace with name, origins, kpis and environment; without
+ *                             a workspace_id, a new workspace is added
+ * @returns {Promise<Object>} - { success, errors, workspace }
+ */
+async function saveWorkspace(workspace) {
+    try {
+        const workspaces = await getWorkspaces();
+        const result = validateWorkspace(workspace, workspaces);
+        if (!result.success) {
+            return result;
+        }
+
+        const saved = { workspace_id: null, ...result.workspace };
+        if (!saved.workspace_id) {
+            saved.workspace_id = createWorkspaceId(saved.name, workspaces.map(item => item.workspace_id));
+        }
+
+        const index = workspaces.findIndex(item => item.workspace_id === saved.workspace_id);
+        if (index >= 0) {
+            workspaces[index] = saved;
+        } else {
+            workspaces.push(saved);
+        }
+
+        await chrome.storage.local.set({ workspaces });
+        return { success: true, errors: [], workspace: saved };
+    } catch (error) {
+        console.error('Error saving workspace:', error);
+        return { success: false, errors: [toWriteError(error)], workspace: null };
+    }
+}
+
+/**
+ * Delete a workspace with all its records and state
+ * 
+ * @param {string} workspaceId - Workspace ID; the default workspace cannot be deleted
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function deleteWorkspace(workspaceId) {
+    try {
+        if (workspaceId === DEFAULT_WORKSPACE_ID) {
+            return { success: false, error: 'The default workspace cannot be deleted' };
+        }
+
+        if (await getActiveWorkspaceId() === workspaceId) {
+            await setActiveWorkspace(DEFAULT_WORKSPACE_ID);
+        }
+
+        const workspaces = (await getWorkspaces()).filter(workspace => workspace.workspace_id !== workspaceId);
+        await chrome.storage.local.set({ workspaces });
+        await chrome.storage.local.remove(WORKSPACE_STATE_KEYS.map(key => workspaceStateKey(key, workspaceId)));
+        await deleteDatabase(workspaceId);
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error deleting workspace:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Make a workspace the one captures go into
+ * 
+ * Every store is announced as changed, so open pages show the workspace's records.
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function setActiveWorkspace(workspaceId) {
+    try {
+        const workspaces = await getWorkspaces();
+        if (!workspaces.some(workspace => workspace.workspace_id === workspaceId)) {
+            return false;
+        }
+
+        await announceChanges(['pages', 'elements', 'journeys', 'revisions', 'mutations'], { [ACTIVE_WORKSPACE_KEY]: workspaceId });
+        return true;
+    } catch (error) {
+        console.error('Error setting active workspace:', error);
+        return false;
+    }
+}
+
+/**
+ * Switch to the workspace whose allowed origins include a page
+ * 
+ * The active workspace is kept if no workspace lists the page's origin.
+ * 
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} - Active workspace after the switch
+ */
+async function selectWorkspaceForUrl(url) {
+    const active = await getActiveWorkspace();
+    const match = findWorkspaceForUrl(await getWorkspaces(), url);
+
+    if (match && match.workspace_id !== active.workspace_id && await setActiveWorkspace(match.workspace_id)) {
+        return match;
+    }
+    return active;
+}
+
+/**
+ * Get the workspace a tab's page belongs to
+ * 
+ * This is the workspace whose allowed origins include the page; for other pages
+ * it is the active workspace if it accepts the page, else the workspace the tab
+ * was already using. Tabs keep writing into it while the user switches to tabs
+ * of other workspaces.
+ * 
+ * @param {string} url - Page URL
+ * @param {string|null} currentId - ID of the workspace the tab was using, if any
+ * @returns {Promise<Object>} - Workspace for the page
+ */
+async function getWorkspaceForUrl(url, currentId = null) {
+    const workspaces = await getWorkspaces();
+    const match = findWorkspaceForUrl(workspaces, url);
+    if (match) {
+        return match;
+    }
+
+    const active = await getActiveWorkspace();
+    const current = workspaces.find(workspace => workspace.workspace_id === currentId);
+    if (!workspaceAcceptsUrl(active, workspaces, url) && current && workspaceAcceptsUrl(current, workspaces, url)) {
+        return current;
+    }
+    return active;
+}
+
+/**
+ * Get the name recorded as the author of revisions
+ * 
+ * @returns {Promise<string|null>} - Author name or null
+ */
+async function getAuthorName() {
+    try {
+        const { authorName } = await chrome.storage.local.get(['authorName']);
+        return authorName || null;
+    } catch (error) {
+        console.error('Error retrieving author name:', error);
+        return null;
+    }
+}
+
+/**
+ * Save the name recorded as the author of revisions
+ * 
+ * @param {string|null} authorName - Author name, or null to clear it
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function saveAuthorName(authorName) {
+    try {
+        await chrome.storage.local.set({ authorName: authorName || null });
+        return true;
+    } catch (error) {
+        console.error('Error saving author name:', error);
+        return false;
+    }
+}
+
+/**
+ * Get the naming templates used to generate page and element IDs
+ * 
+ * @returns {Promise<Object>} - { page, element } templates
+ */
+async function getIdTemplates() {
+    try {
+        const { idTemplates = {} } = await chrome.storage.local.get(['idTemplates']);
+        return { ...DEFAULT_ID_TEMPLATES, ...idTemplates };
+    } catch (error) {
+        console.error('Error retrieving ID templates:', error);
+        return { ...DEFAULT_ID_TEMPLATES };
+    }
+}
+
+/**
+ * Save the naming templates used to generate page and element IDs
+ * 
+ * @param {Object} templates - { page, element } templates
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function saveIdTemplates(templates) {
+    try {
+        await chrome.storage.local.set({ idTemplates: templates });
+        return true;
+    } catch (error) {
+        console.error('Error saving ID templates:', error);
+        return false;
+    }
+}
+
+/**
+ * Get the custom schema extension that adds team-specific fields to records
+ * 
+ * @returns {Promise<Object|null>} - Extension keyed by record type, or null if none is loaded
+ */
+async function getSchemaExtension() {
+    try {
+        const { schemaExtension } = await chrome.storage.local.get(['schemaExtension']);
+        return schemaExtension || null;
+    } catch (error) {
+        console.error('Error retrieving schema extension:', error);
+        return null;
+    }
+}
+
+/**
+ * Save the custom schema extension after checking it
+ * 
+ * @param {Object|null} extension - Extension keyed by record type, or null to remove it
+ * @returns {Promise<Object>} - { success, errors } with JSON-pointer paths into the extension
+ */
+async function saveSchemaExtension(extension) {
+    try {
+        if (extension) {
+            const result = validateSchemaExtension(extension);
+            if (!result.success) return result;
+        }
+
+        await chrome.storage.local.set({ schemaExtension: extension || null });
+        return { success: true, errors: [] };
+    } catch (error) {
+        console.error('Error saving schema extension:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
+
+/**
+ * Get the backend sync settings
+ * 
+ * @returns {Promise<Object>} - { enabled, endpoint, token, intervalMinutes }
+ */
+async function getSyncSettings() {
+    try {
+        const { syncSettings = {} } = await chrome.storage.local.get(['syncSettings']);
+        return { ...DEFAULT_SYNC_SETTINGS, ...syncSettings };
+    } catch (error) {
+        console.error('Error retrieving sync settings:', error);
+        return { ...DEFAULT_SYNC_SETTINGS };
+    }
+}
+
+/**
+ * Save the backend sync settings after checking them
+ * 
+ * @param {Object} settings - { enabled, endpoint, token, intervalMinutes }
+ * @returns {Promise<Object>} - { success, errors }
+ */
+async function saveSyncSettings(settings) {
+    try {
+        const syncSettings = { ...DEFAULT_SYNC_SETTINGS, ...settings };
+        const errors = [];
+
+        if (syncSettings.endpoint && !/^https?:\/\/[^/]/.test(syncSettings.endpoint)) {
+            errors.push({ path: '/endpoint', keyword: 'format', message: 'Endpoint must be an http:// or https:// URL' });
+        } else if (syncSettings.enabled && !syncSettings.endpoint) {
+            errors.push({ path: '/endpoint', keyword: 'required', message: 'Endpoint is required to enable sync' });
+        }
+        if (!Number.isInteger(syncSettings.intervalMinutes) || syncSettings.intervalMinutes < 1) {
+            errors.push({ path: '/intervalMinutes', keyword: 'minimum', message: 'Interval must be a whole number of minutes, at least 1' });
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        await chrome.storage.local.set({ syncSettings });
+        return { success: true, errors: [] };
+    } catch (error) {
+        console.error('Error saving sync settings:', error);
+        return { success: false, errors: [toWriteError(error)] };
+    }
+}
+
+/**
+ * Get the URL pattern rules configured for an origin
+ * 
+ * @param {string} origin - Origin such as https://app.example.com
+ * @returns {Promise<Object|null>} - Rules object or null if none are configured
+ */
+async function getUrlPatternRules(origin) {
+    try {
+        const { urlPatternRules = {} } = await chrome.storage.local.get(['urlPatternRules']);
+        return urlPatternRules[origin] || null;
+    } catch (error) {
+        console.error('Error retrieving URL pattern rules:', error);
+        return null;
+    }
+}
+
+/**
+ * Get URL pattern rules for all origins
+ * 
+ * @returns {Promise<Object>} - Map of origin to rules object
+ */
+async function getAllUrlPatternRules() {
+    try {
+        const { urlPatternRules = {} } = await chrome.storage.local.get(['urlPatternRules']);
+        return urlPatternRules;
+    } catch (error) {
+        console.error('Error retrieving URL pattern rules:', error);
+        return {};
+    }
+}
+
+/**
+ * Save or remove the URL pattern rules for an origin
+ * 
+ * @param {string} origin - Origin such as https://app.example.com
+ * @param {Object|null} rules - Rules object, or null to remove the origin's rules
+ * @returns {Promise<boolean>} - Success flag
+ */
+async function saveUrlPatternRules(origin, rules) {
+    try {
+        const { urlPatternRules = {} } = await chrome.storage.local.get(['urlPatternRules']);
+
+        if (rules) {
+            urlPatternRules[origin] = rules;
+        } else {
+            delete urlPatternRules[origin];
+        }
+
+        await chrome.storage.local.set({ urlPatternRules });
+        return true;
+    } catch (error) {
+        console.error('Error saving URL pattern rules:', error);
+        return false;
+    }
+}
+
 /**
  * Get the capture mode state
  * 
@@ -165,9 +1750,57 @@ async function setCaptureMode(enabled) {
 export {
     savePage,
     saveElement,
+    getElement,
+    getPage,
+    getPages,
+    queryPages,
+    queryElements,
+    getRecordIds,
+    getRecordCounts,
+    saveJourney,
+    startJourney,
+    stopJourney,
+    resumeJourney,
+    appendJourneyStep,
+    getJourneys,
+    getActiveJourney,
     getAllData,
     getLastElementId,
     resetAllData,
+    getUrlPatternRules,
+    getAllUrlPatternRules,
+    saveUrlPatternRules,
+    renamePage,
+    renameElement,
+    setElementStatuses,
+    deleteRecords,
+    getRevisions,
+    restoreRevision,
+    validateRecord,
+    repairRecord,
+    previewImport,
+    importData,
+    markRecordsSynced,
+    applySyncedRecords,
+    appendMutationEvents,
+    getMutationEvents,
+    getWorkspaceState,
+    saveWorkspaceState,
+    getWorkspaces,
+    getActiveWorkspace,
+    saveWorkspace,
+    deleteWorkspace,
+    setActiveWorkspace,
+    selectWorkspaceForUrl,
+    getWorkspaceForUrl,
+    getAuthorName,
+    saveAuthorName,
+    getIdTemplates,
+    saveIdTemplates,
+    getSchemaExtension,
+    saveSchemaExtension,
+    getSyncSettings,
+    saveSyncSettings,
     getCaptureMode,
     setCaptureMode
 }; 
\ No newline at end of file
@@ -0,0 +1,314 @@
+// Storage Migrations Module
+// Brings stored data up to the current storage schema when the extension is updated
+
+import { STORES, toPromise, runTransaction, announceChanges } from './record-store.js';
+import { DEFAULT_WORKSPACE_ID } from './workspaces.js';
+
+// Current storage schema version; add a migration below when raising it
+const STORAGE_SCHEMA_VERSION = 4;
+
+// chrome.storage.local key holding the schema version the stored data is in
+const SCHEMA_VERSION_KEY = 'storageSchemaVersion';
+
+// Key of the backup taken before the latest migration
+const BACKUP_ID = 'pre-migration';
+
+// Object stores whose records are part of a snapshot; migrations cover the default workspace's
+// database, which holds everything captured before workspaces existed
+const SNAPSHOT_STORES = ['pages', 'elements', 'journeys', 'revisions', 'mutations'];
+
+// chrome.storage.local keys that held the records before they moved to IndexedDB
+const LEGACY_RECORD_KEYS = {
+    pages: 'pageData',
+    elements: 'elementData',
+    journeys: 'journeys',
+    revisions: 'revisions'
+};
+
+/**
+ * Move records from chrome.storage.local arrays into the IndexedDB stores
+ *
+ * Records already in IndexedDB win over legacy copies with the same key.
+ *
+ * @param {Object} snapshot - { local, records } to migrate in place
+ */
+function moveRecordsToIndexedDB({ local, records }) {
+    for (const [storeName, legacyKey] of Object.entries(LEGACY_RECORD_KEYS)) {
+        const legacyRecords = local[legacyKey];
+        delete local[legacyKey];
+        if (!Array.isArray(legacyRecords)) continue;
+
+        const { keyPath } = STORES[storeName];
+        const keys = new Set(records[storeName].map(record => record[keyPath]));
+
+        for (const record of legacyRecords) {
+            if (!record || !record[keyPath]) {
+                console.warn(`Skipping ${legacyKey} record without ${keyPath}; it is kept in the pre-migration backup`, record);
+                continue;
+            }
+            if (!keys.has(record[keyPath])) {
+                keys.add(record[keyPath]);
+                records[storeName].push(record);
+            }
+        }
+    }
+}
+
+/**
+ * Give records the optional fields added since the first release
+ *
+ * @param {Object} snapshot - { local, records } to migrate in place
+ */
+function addMissingFields({ records }) {
+    for (const page of records.pages) {
+        page.KPI = page.KPI ?? null;
+        page.from = page.from ?? null;
+    }
+
+    for (const element of records.elements) {
+        element.status = element.status || 'active';
+        element.KPI = element.KPI ?? null;
+        element.selector_fallbacks = element.selector_fallbacks ?? null;
+        element.fingerprint = element.fingerprint ?? null;
+        element.interaction = element.interaction ?? null;
+        element.from = element.from ?? null;
+    }
+
+    for (const journey of records.journeys) {
+        journey.description = journey.description ?? null;
+        journey.status = journey.status || 'stopped';
+        journey.steps = Array.isArray(journey.steps) ? journey.steps : [];
+    }
+}
+
+/**
+ * Reshape a `from` value into a list of { node, action } items
+ *
+ * Accepts the older shapes: a single ID, a single item, or a list mixing IDs
+ * and items. Items without an action get the default; repeats are dropped.
+ *
+ * @param {any} from - Stored `from` value
+ * @param {string} defaultAction - Action for items that have none
+ * @returns {Array<Object>|null} - Items, or null if there are none
+ */
+function normalizeFrom(from, defaultAction) {
+    if (from === null || from === undefined) return null;
+
+    const items = [];
+    const seen = new Set();
+
+    for (const source of Array.isArray(from) ? from : [from]) {
+        const item = typeof source === 'string'
+            ? { node: source, action: defaultAction }
+            : { ...source, action: (source && source.action) || defaultAction };
+        if (!item.node) continue;
+
+        const key = `${item.node}\u0000${item.action}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            items.push(item);
+        }
+    }
+
+    return items.length > 0 ? items : null;
+}
+
+/**
+ * Reshape `from` on pages and elements into lists of { node, action } items
+ *
+ * @param {Object} snapshot - { local, records } to migrate in place
+ */
+function reshapeFrom({ records }) {
+    for (const page of records.pages) {
+        page.from = normalizeFrom(page.from, 'navigate');
+    }
+    for (const element of records.elements) {
+        element.from = normalizeFrom(element.from, 'click');
+    }
+}
+
+/**
+ * Move the mutation log from chrome.storage.local into the IndexedDB store
+ *
+ * Logs of workspaces other than the default are dropped; their pages report
+ * differences from the captured fingerprints again when next tracked.
+ *
+ * @param {Object} snapshot - { local, records } to migrate in place
+ */
+function moveMutationLog({ local, records }) {
+    if (Array.isArray(local.mutationLog)) {
+        records.mutations.push(...local.mutationLog);
+    }
+
+    for (const key of Object.keys(local)) {
+        if (key === 'mutationLog' || key.startsWith('mutationLog:')) {
+            delete local[key];
+        }
+    }
+}
+
+// Migrations in order; each takes the data from the previous version to its own
+const MIGRATIONS = [
+    { version: 1, description: 'Move pages, elements, journeys and revisions into IndexedDB', migrate: moveRecordsToIndexedDB },
+    { version: 2, description: 'Add optional fields introduced since the first release', migrate: addMissingFields },
+    { version: 3, description: 'Reshape `from` into lists of { node, action } items', migrate: reshapeFrom },
+    { version: 4, description: 'Move the mutation log into IndexedDB', migrate: moveMutationLog }
+];
+
+/**
+ * Get the schema version the stored data is in
+ *
+ * Data stored before schema versions were tracked is version 0.
+ *
+ * @returns {Promise<number>} - Schema version
+ */
+async function getStorageSchemaVersion() {
+    const { [SCHEMA_VERSION_KEY]: version = 0 } = await chrome.storage.local.get([SCHEMA_VERSION_KEY]);
+    return version;
+}
+
+/**
+ * Read everything the extension stores
+ *
+ * @returns {Promise<Object>} - { local, records } with all chrome.storage.local items
+ *                              and the records of each snapshot store
+ */
+async function readSnapshot() {
+    const local = await chrome.storage.local.get(null);
+    const records = await runTransaction(SNAPSHOT_STORES, 'readonly', async stores => {
+        const result = {};
+        for (const name of SNAPSHOT_STORES) {
+            result[name] = await toPromise(stores[name].getAll());
+        }
+        return result;
+    }, DEFAULT_WORKSPACE_ID);
+    return { local, records };
+}
+
+/**
+ * Replace everything the extension stores with a snapshot
+ *
+ * @param {Object} snapshot - { local, records } from readSnapshot
+ * @returns {Promise<void>}
+ */
+async function writeSnapshot({ local, records }) {
+    await runTransaction(SNAPSHOT_STORES, 'readwrite', async stores => {
+        for (const name of SNAPSHOT_STORES) {
+            await toPromise(stores[name].clear());
+            for (const record of records[name]) {
+                stores[name].put(record);
+            }
+        }
+    }, DEFAULT_WORKSPACE_ID);
+
+    const current = await chrome.storage.local.get(null);
+    const removedKeys = Object.keys(current).filter(key => !(key in local));
+    if (removedKeys.length > 0) {
+        await chrome.storage.local.remove(removedKeys);
+    }
+    await chrome.storage.local.set(local);
+    await announceChanges(SNAPSHOT_STORES);
+}
+
+/**
+ * Save the pre-migration backup
+ *
+ * @param {Object} backup - Backup record
+ * @returns {Promise<void>}
+ */
+async function saveBackup(backup) {
+    await runTransaction(['backups'], 'readwrite', async ({ backups }) => {
+        await toPromise(backups.put(backup));
+    }, DEFAULT_WORKSPACE_ID);
+}
+
+/**
+ * Get the backup taken before the latest migration
+ *
+ * @returns {Promise<Object|null>} - { backup_id, status, from_version, to_version, created_at,
+ *                                   finished_at, error, snapshot } or null
+ */
+async function getMigrationBackup() {
+    return runTransaction(['backups'], 'readonly', async ({ backups }) =>
+        await toPromise(backups.get(BACKUP_ID)) || null, DEFAULT_WORKSPACE_ID);
+}
+
+/**
+ * Migrate stored data to the current schema version
+ *
+ * A snapshot of all stored data is saved before migrating. The migrations run
+ * in order on a copy of that snapshot, which then replaces the stored data.
+ * If anything fails, the snapshot is written back. A migration interrupted
+ * before it finished, for example by the browser closing, is rolled back the
+ * next time this runs.
+ *
+ * @returns {Promise<Object>} - { success, fromVersion, toVersion, applied, error }
+ */
+async function migrateStorage() {
+    let backup = null;
+    let fromVersion = 0;
+
+    try {
+        const interrupted = await getMigrationBackup();
+        if (interrupted && interrupted.status === 'pending') {
+            console.warn('Rolling back an interrupted storage migration');
+            await writeSnapshot(interrupted.snapshot);
+            await saveBackup({ ...interrupted, status: 'rolled_back', finished_at: new Date().toISOString(), error: 'Interrupted' });
+        }
+
+        fromVersion = await getStorageSchemaVersion();
+        if (fromVersion >= STORAGE_SCHEMA_VERSION) {
+            return { success: true, fromVersion, toVersion: fromVersion, applied: [], error: null };
+        }
+
+        const snapshot = await readSnapshot();
+        backup = {
+            backup_id: BACKUP_ID,
+            status: 'pending',
+            from_version: fromVersion,
+            to_version: STORAGE_SCHEMA_VERSION,
+            created_at: new Date().toISOString(),
+            finished_at: null,
+            error: null,
+            snapshot: structuredClone(snapshot)
+        };
+        await saveBackup(backup);
+
+        const applied = [];
+        for (const migration of MIGRATIONS.filter(migration => migration.version > fromVersion)) {
+            migration.migrate(snapshot);
+            applied.push(migration.version);
+        }
+        snapshot.local[SCHEMA_VERSION_KEY] = STORAGE_SCHEMA_VERSION;
+
+        await writeSnapshot(snapshot);
+        await saveBackup({ ...backup, status: 'complete', finished_at: new Date().toISOString() });
+
+        return { success: true, fromVersion, toVersion: STORAGE_SCHEMA_VERSION, applied, error: null };
+    } catch (error) {
+        console.error('Error migrating storage:', error);
+
+        // Nothing needs restoring if the backup was never saved
+        if (backup) {
+            try {
+                await writeSnapshot(backup.snapshot);
+                await saveBackup({ ...backup, status: 'rolled_back', finished_at: new Date().toISOString(), error: error.message });
+            } catch (rollbackError) {
+                // The backup stays pending, so the next run tries the rollback again
+                console.error('Error rolling back storage migration:', rollbackError);
+            }
+        }
+
+        return { success: false, fromVersion, toVersion: fromVersion, applied: [], error: error.message };
+    }
+}
+
+// Export storage migration functions
+export {
+    STORAGE_SCHEMA_VERSION,
+    MIGRATIONS,
+    normalizeFrom,
+    getStorageSchemaVersion,
+    getMigrationBackup,
+    migrateStorage
+};
@@ -0,0 +1,228 @@
+// Sync Client Module
+// Talks to the team's sync endpoint and decides which pages and elements need pushing or pulling
+
+import { RECORD_TYPES } from './record-repair.js';
+import { VERSION_FIELDS } from './version-history.js';
+import { compareVersions } from '../utils/version.js';
+
+// Record types that are synced
+const SYNC_TYPES = ['page', 'element'];
+
+// Most changes sent in one push request
+const PUSH_BATCH_SIZE = 100;
+
+// Retry delays after a failed sync, in milliseconds
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+
+// Default sync settings
+const DEFAULT_SYNC_SETTINGS = {
+    enabled: false,
+    endpoint: '',
+    token: '',
+    intervalMinutes: 5
+};
+
+/**
+ * Key identifying a record across types
+ *
+ * @param {string} type - 'page' or 'element'
+ * @param {string} id - Record ID
+ * @returns {string} - Key such as "element:button_save_x1y2z3"
+ */
+function syncKey(type, id) {
+    return `${type}:${id}`;
+}
+
+/**
+ * Summarize the version of a record that was last synced
+ *
+ * @param {string} type - 'page' or 'element'
+ * @param {Object} record - Page or element record
+ * @returns {string} - Stamp such as "1.2.0@2025-04-12T08:00:00.000Z"
+ */
+function recordStamp(type, record) {
+    return `${record[VERSION_FIELDS[type]]}@${record.updated_at}`;
+}
+
+/**
+ * Check whether one copy of a record is newer than another
+ *
+ * The higher version wins; equal versions are decided by `updated_at`.
+ *
+ * @param {string} type - 'page' or 'element'
+ * @param {Object} a - Record copy
+ * @param {Object} b - Other record copy
+ * @returns {boolean} - Whether a is newer than b
+ */
+function isNewer(type, a, b) {
+    const versionField = VERSION_FIELDS[type];
+    const byVersion = compareVersions(a[versionField], b[versionField]);
+    return byVersion !== 0 ? byVersion > 0 : a.updated_at > b.updated_at;
+}
+
+/**
+ * Find the pages and elements that changed since they were last synced
+ *
+ * @param {Object} data - { pageData, elementData } from storage
+ * @param {Object} shadow - Stamps of the last synced copies, keyed by syncKey
+ * @returns {Array<Object>} - Changes as { type, id, record }
+ */
+function findPendingChanges(data, shadow) {
+    const changes = [];
+
+    for (const type of SYNC_TYPES) {
+        const { key, idField } = RECORD_TYPES[type];
+        for (const record of data[key] || []) {
+            if (shadow[syncKey(type, record[idField])] !== recordStamp(type, record)) {
+                changes.push({ type, id: record[idField], record });
+            }
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Get the delay before retrying a failed sync
+ *
+ * The delay doubles with each failed attempt, up to an hour, with some jitter
+ * so clients that went offline together do not retry together.
+ *
+ * @param {number} attempts - Number of failed attempts so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Send a request to the sync endpoint
+ *
+ * @param {Object} settings - Sync settings with endpoint and token
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the endpoint, including any query string
+ * @param {Object|null} body - JSON body
+ * @returns {Promise<Object>} - { success, status, data, error, retryable }
+ */
+async function request(settings, method, path, body = null) {
+    const headers = { Accept: 'application/json' };
+    if (settings.token) {
+        headers.Authorization = `Bearer ${settings.token}`;
+    }
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+        response = await fetch(`${settings.endpoint.replace(/\/+$/, '')}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        // Offline, DNS failure or refused connection
+        return { success: false, status: 0, data: null, error: `Network error: ${error.message}`, retryable: true };
+    }
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch (error) {
+        data = null;
+    }
+
+    if (!response.ok) {
+        const message = data && data.error ? data.error : response.statusText;
+        return {
+            success: false,
+            status: response.status,
+            data,
+            error: `HTTP ${response.status}: ${message}`,
+            // Authentication and request errors need the settings or data fixed first
+            retryable: response.status === 408 || response.status === 429 || response.status >= 500
+        };
+    }
+
+    if (!data) {
+        return { success: false, status: response.status, data: null, error: 'Response is not JSON', retryable: true };
+    }
+
+    return { success: true, status: response.status, data, error: null, retryable: false };
+}
+
+/**
+ * Push changed records to the sync endpoint
+ *
+ * Changes are sent in batches; the first failing batch stops the push.
+ *
+ * @param {Object} settings - Sync settings with endpoint and token
+ * @param {string} clientId - ID of this browser, so the server can skip echoing its own changes
+ * @param {string} workspaceId - Workspace the records belong to, kept apart on the server
+ * @param {Array<Object>} changes - Changes from findPendingChanges
+ * @returns {Promise<Object>} - { success, results, error, retryable } where results are
+ *                              { type, id, status, record } as returned by the server
+ */
+async function pushChanges(settings, clientId, workspaceId, changes) {
+    const results = [];
+
+    for (let start = 0; start < changes.length; start += PUSH_BATCH_SIZE) {
+        const batch = changes.slice(start, start + PUSH_BATCH_SIZE);
+        const response = await request(settings, 'POST', '/changes', {
+            client_id: clientId,
+            workspace: workspaceId,
+            changes: batch.map(({ type, id, record }) => ({ type, id, record }))
+        });
+
+        if (!response.success) {
+            return { success: false, results, error: response.error, retryable: response.retryable };
+        }
+        results.push(...(response.data.results || []));
+    }
+
+    return { success: true, results, error: null, retryable: false };
+}
+
+/**
+ * Pull records changed on the server since the last pull
+ *
+ * @param {Object} settings - Sync settings with endpoint and token
+ * @param {string} clientId - ID of this browser
+ * @param {string} workspaceId - Workspace to pull records for
+ * @param {string|null} cursor - Cursor returned by the previous pull, or null for everything
+ * @returns {Promise<Object>} - { success, changes, cursor, error, retryable }
+ */
+async function pullChanges(settings, clientId, workspaceId, cursor) {
+    const query = new URLSearchParams({ client_id: clientId, workspace: workspaceId });
+    if (cursor) {
+        query.set('since', cursor);
+    }
+
+    const response = await request(settings, 'GET', `/changes?${query}`);
+    if (!response.success) {
+        return { success: false, changes: [], cursor, error: response.error, retryable: response.retryable };
+    }
+
+    return {
+        success: true,
+        changes: (response.data.changes || []).filter(change => SYNC_TYPES.includes(change.type)),
+        cursor: response.data.cursor ?? cursor,
+        error: null,
+        retryable: false
+    };
+}
+
+// Export sync client functions
+export {
+    SYNC_TYPES,
+    DEFAULT_SYNC_SETTINGS,
+    syncKey,
+    recordStamp,
+    isNewer,
+    findPendingChanges,
+    getRetryDelay,
+    pushChanges,
+    pullChanges
+};
@@ -0,0 +1,392 @@
+// Test Generator Module
+// Converts captured journeys into Playwright, Cypress and Puppeteer end-to-end test files
+
+import { planFromJourney } from './replay-engine.js';
+import { SHADOW_SEPARATOR, FRAME_SEPARATOR, isXPath, isDocumentSelector } from './selector-engine.js';
+import { patternToRegExp } from './url-patterns.js';
+
+/**
+ * Quote a value as a single-quoted JavaScript string literal
+ *
+ * @param {*} value - Value to quote
+ * @returns {string} - String literal
+ */
+function quote(value) {
+    return `'${String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, '\\\'')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029')}'`;
+}
+
+/**
+ * Flatten text so it can be placed in a single-line comment
+ *
+ * @param {*} value - Text to flatten
+ * @returns {string} - Text without line breaks
+ */
+function commentText(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a regular expression source matching full URLs of a page pattern
+ *
+ * @param {string} urlPattern - Page URL pattern such as /users/:id
+ * @returns {string} - Regular expression source
+ */
+function urlSource(urlPattern) {
+    const path = patternToRegExp(urlPattern).source.replace(/^\^/, '').replace(/\$$/, '');
+    return `^[a-z][a-z0-9+.-]*://[^/]+${path}(?:[?#&].*)?$`;
+}
+
+/**
+ * Build the test plan shared by all frameworks from a journey
+ *
+ * Each step lists its element's selectors (primary first) and, when the step
+ * after it is on a different page, the page to wait for.
+ *
+ * @param {Object} journey - Journey record
+ * @param {Array} pageData - All page records
+ * @param {Array} elementData - All element records
+ * @returns {Object} - { name, startPath, steps, missing }
+ */
+function buildTestPlan(journey, pageData, elementData) {
+    const plan = planFromJourney(journey, elementData);
+    const pages = new Map(pageData.map(page => [page.page_id, page]));
+
+    const steps = plan.steps.map((step, index) => {
+        const next = plan.steps[index + 1];
+        const nextPage = next && next.page_id !== step.page_id ? pages.get(next.page_id) : null;
+
+        return {
+            ...step,
+            number: index + 1,
+            selectors: [step.dom_selector, ...step.selector_fallbacks.map(fallback => fallback.selector)],
+            navigation: nextPage ? { description: nextPage.description, url_pattern: nextPage.url_pattern } : null,
+            element_type: (elementData.find(element => element.element_id === step.element_id) || {}).type
+        };
+    });
+
+    const firstPage = steps.length > 0 ? pages.get(steps[0].page_id) : null;
+    return {
+        name: journey.name,
+        startPath: firstPage ? firstPage.url_pattern : '/',
+        steps,
+        missing: plan.missing
+    };
+}
+
+/**
+ * Name of the environment variable holding a redacted step value
+ *
+ * @param {Object} step - Test plan step
+ * @returns {string} - Variable name
+ */
+function valueVariable(step) {
+    return `STEP_${step.number}_VALUE`;
+}
+
+/**
+ * Render the header comment of a generated file
+ *
+ * @param {Object} plan - Test plan
+ * @param {Object} journey - Journey record
+ * @returns {Array<string>} - Comment lines
+ */
+function headerLines(plan, journey) {
+    const lines = [
+        `// Generated by DOM Capture from journey "${commentText(journey.name)}" (${journey.journey_id})`,
+        '// Set BASE_URL to the application under test and replace any :params in START_PATH.'
+    ];
+
+    const redacted = plan.steps.filter(step => step.redacted);
+    if (redacted.length > 0) {
+        lines.push(`// Redacted values are read from ${redacted.map(valueVariable).join(', ')}.`);
+    }
+    if (plan.missing.length > 0) {
+        lines.push(`// Skipped steps on elements that no longer exist: ${plan.missing.join(', ')}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Render the value typed or selected at a step
+ *
+ * @param {Object} step - Test plan step
+ * @param {string} envAccess - Expression reading an environment variable, with {name} as placeholder
+ * @returns {string} - JavaScript expression
+ */
+function valueExpression(step, envAccess) {
+    return step.redacted ? envAccess.replace('{name}', quote(valueVariable(step))) : quote(step.value);
+}
+
+/**
+ * Render a Playwright locator for one selector
+ *
+ * @param {string} selector - Captured selector
+ * @returns {string} - Locator expression
+ */
+function playwrightLocator(selector) {
+    const parts = selector.split(FRAME_SEPARATOR);
+    const target = parts.pop();
+    const toPlaywright = part => isXPath(part) ? `xpath=${part}` : part.split(SHADOW_SEPARATOR).join(' >> ');
+
+    return parts.reduce((expression, frame) => `${expression}.frameLocator(${quote(toPlaywright(frame))})`, 'page') +
+        `.locator(${quote(toPlaywright(target))})`;
+}
+
+/**
+ * Render a journey as a Playwright test
+ *
+ * @param {Object} plan - Test plan
+ * @param {Object} journey - Journey record
+ * @returns {string} - Test file contents
+ */
+function toPlaywright(plan, journey) {
+    const actions = {
+        click: () => 'click()',
+        input: step => `fill(${valueExpression(step, 'process.env[{name}]')})`,
+        select: step => `selectOption(${valueExpression(step, 'process.env[{name}]')})`,
+        check: () => 'check()',
+        uncheck: () => 'uncheck()',
+        hover: () => 'hover()',
+        submit: step => step.element_type === 'form' ? 'evaluate(form => form.requestSubmit())' : 'click()',
+        keypress: step => `press(${quote(step.value || 'Enter')})`
+    };
+
+    const body = plan.steps.flatMap(step => {
+        const locator = step.selectors.map(playwrightLocator)
+            .reduce((expression, alternative) => `${expression}.or(${alternative})`);
+        const lines = [
+            '',
+            `    // Step ${step.number}: ${commentText(step.description)} (${step.action})`,
+            `    const step${step.number} = ${locator}.first();`,
+            `    await expect(step${step.number}).toBeVisible();`,
+            `    await step${step.number}.${actions[step.action](step)};`
+        ];
+        if (step.navigation) {
+            lines.push('', `    // Wait for ${commentText(step.navigation.description)} (${step.navigation.url_pattern})`,
+                `    await page.waitForURL(new RegExp(${quote(urlSource(step.navigation.url_pattern))}));`);
+        }
+        return lines;
+    });
+
+    return [
+        ...headerLines(plan, journey),
+        'const { test, expect } = require(\'@playwright/test\');',
+        '',
+        'const BASE_URL = process.env.BASE_URL || \'http://localhost:3000\';',
+        `const START_PATH = ${quote(plan.startPath)};`,
+        '',
+        `test(${quote(plan.name)}, async ({ page }) => {`,
+        '    await page.goto(BASE_URL + START_PATH);',
+        ...body,
+        '});',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Render a Cypress chain yielding the element for one selector
+ *
+ * XPath selectors need the @cypress/xpath plugin.
+ *
+ * @param {string} selector - Captured selector
+ * @returns {string} - Cypress chain
+ */
+function cypressChain(selector) {
+    const parts = selector.split(FRAME_SEPARATOR);
+    const target = parts.pop();
+    const find = (chain, part) => {
+        if (isXPath(part)) return chain ? `${chain}.xpath(${quote(part)})` : `cy.xpath(${quote(part)})`;
+        return part.split(SHADOW_SEPARATOR).reduce((expression, piece, index) =>
+            expression ?
+                `${expression}${index > 0 ? '.shadow()' : ''}.find(${quote(piece)})` :
+                `cy.get(${quote(piece)})`, chain);
+    };
+
+    const frameChain = parts.reduce((chain, frame) =>
+        `${find(chain, frame)}.its('0.contentDocument.body').should('not.be.empty').then(cy.wrap)`, null);
+    return find(frameChain, target);
+}
+
+/**
+ * Render a journey as a Cypress test
+ *
+ * Plain CSS fallbacks are tried in priority order against the current page, as a
+ * selector list would match in document order instead; other fallbacks are
+ * listed in a comment.
+ *
+ * @param {Object} plan - Test plan
+ * @param {Object} journey - Journey record
+ * @returns {string} - Test file contents
+ */
+function toCypress(plan, journey) {
+    const keys = { Enter: '{enter}', Escape: '{esc}', Backspace: '{backspace}', ArrowUp: '{uparrow}', ArrowDown: '{downarrow}' };
+    const actions = {
+        click: () => 'click()',
+        input: step => `clear().type(${valueExpression(step, 'Cypress.env({name})')}, { parseSpecialCharSequences: false })`,
+        select: step => `select(${valueExpression(step, 'Cypress.env({name})')})`,
+        check: () => 'check()',
+        uncheck: () => 'uncheck()',
+        hover: () => 'trigger(\'mouseover\')',
+        submit: step => step.element_type === 'form' ? 'submit()' : 'click()',
+        keypress: step => keys[step.value || 'Enter'] ?
+            `type(${quote(keys[step.value || 'Enter'])})` :
+            `trigger('keydown', { key: ${quote(step.value)} })`
+    };
+
+    const body = plan.steps.flatMap(step => {
+        const plain = step.selectors.every(isDocumentSelector);
+        const [primary] = step.selectors;
+
+        const lines = ['', `        // Step ${step.number}: ${commentText(step.description)} (${step.action})`];
+        if (plain && step.selectors.length > 1) {
+            lines.push(
+                '        cy.get(\'body\').then($body => {',
+                `            const selector = [${step.selectors.map(quote).join(', ')}]`,
+                `                .find(candidate => $body.find(candidate).length > 0) || ${quote(primary)};`,
+                `            cy.get(selector).first().should('be.visible').${actions[step.action](step)};`,
+                '        });'
+            );
+        } else {
+            if (step.selectors.length > 1) {
+                lines.push(`        // Fallback selectors: ${step.selectors.slice(1).map(commentText).join(' | ')}`);
+            }
+            const chain = plain ? `cy.get(${quote(primary)}).first()` : cypressChain(primary);
+            lines.push(`        ${chain}.should('be.visible').${actions[step.action](step)};`);
+        }
+
+        if (step.navigation) {
+            lines.push('', `        // Wait for ${commentText(step.navigation.description)} (${step.navigation.url_pattern})`,
+                `        cy.location('href').should('match', new RegExp(${quote(urlSource(step.navigation.url_pattern))}));`);
+        }
+        return lines;
+    });
+
+    return [
+        ...headerLines(plan, journey),
+        'const BASE_URL = Cypress.env(\'BASE_URL\') || \'http://localhost:3000\';',
+        `const START_PATH = ${quote(plan.startPath)};`,
+        '',
+        `describe(${quote(plan.name)}, () => {`,
+        `    it(${quote(`completes ${plan.name}`)}, () => {`,
+        '        cy.visit(BASE_URL + START_PATH);',
+        ...body,
+        '    });',
+        '});',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Render a journey as a Puppeteer test for the Node.js test runner
+ *
+ * @param {Object} plan - Test plan
+ * @param {Object} journey - Journey record
+ * @returns {string} - Test file contents
+ */
+function toPuppeteer(plan, journey) {
+    const actions = {
+        click: () => ['click()'],
+        input: step => ['evaluate(node => { node.value = \'\'; })', `type(${valueExpression(step, 'process.env[{name}]')})`],
+        select: step => [`select(${valueExpression(step, 'process.env[{name}]')})`],
+        check: () => ['evaluate(node => node.checked || node.click())'],
+        uncheck: () => ['evaluate(node => !node.checked || node.click())'],
+        hover: () => ['hover()'],
+        submit: step => [step.element_type === 'form' ? 'evaluate(form => form.requestSubmit())' : 'click()'],
+        keypress: step => [`press(${quote(step.value || 'Enter')})`]
+    };
+
+    // Puppeteer reads XPath through its ::-p-xpath() selector and pierces shadow roots with >>>
+    const toPuppeteerParts = selector => selector.split(FRAME_SEPARATOR)
+        .map(part => isXPath(part) ? `::-p-xpath(${part})` : part);
+
+    const body = plan.steps.flatMap(step => {
+        const candidates = step.selectors
+            .map(selector => `[${toPuppeteerParts(selector).map(quote).join(', ')}]`)
+            .join(', ');
+        const lines = [
+            '',
+            `        // Step ${step.number}: ${commentText(step.description)} (${step.action})`,
+            `        const step${step.number} = await find(page, [${candidates}]);`,
+            ...actions[step.action](step).map(call => `        await step${step.number}.${call};`)
+        ];
+        if (step.navigation) {
+            lines.push('', `        // Wait for ${commentText(step.navigation.description)} (${step.navigation.url_pattern})`,
+                '        await page.waitForFunction(source => new RegExp(source).test(location.href), { timeout: TIMEOUT }, ' +
+                `${quote(urlSource(step.navigation.url_pattern))});`);
+        }
+        return lines;
+    });
+
+    return [
+        ...headerLines(plan, journey),
+        'const { test } = require(\'node:test\');',
+        'const puppeteer = require(\'puppeteer\');',
+        '',
+        'const BASE_URL = process.env.BASE_URL || \'http://localhost:3000\';',
+        `const START_PATH = ${quote(plan.startPath)};`,
+        'const TIMEOUT = 10000;',
+        '',
+        '// Wait for the first of an element\'s selectors to match a visible element; frame selectors come first in each list',
+        'async function find(page, candidates) {',
+        '    return Promise.any(candidates.map(async parts => {',
+        '        let frame = page;',
+        '        for (const frameSelector of parts.slice(0, -1)) {',
+        '            frame = await (await frame.waitForSelector(frameSelector, { timeout: TIMEOUT })).contentFrame();',
+        '        }',
+        '        return frame.waitForSelector(parts[parts.length - 1], { visible: true, timeout: TIMEOUT });',
+        '    }));',
+        '}',
+        '',
+        `test(${quote(plan.name)}, async () => {`,
+        '    const browser = await puppeteer.launch();',
+        '    const page = await browser.newPage();',
+        '',
+        '    try {',
+        '        await page.goto(BASE_URL + START_PATH);',
+        ...body,
+        '    } finally {',
+        '        await browser.close();',
+        '    }',
+        '});',
+        ''
+    ].join('\n');
+}
+
+// Supported test frameworks
+const TEST_FRAMEWORKS = {
+    playwright: { label: 'Playwright', extension: 'spec.js', render: toPlaywright },
+    cypress: { label: 'Cypress', extension: 'cy.js', render: toCypress },
+    puppeteer: { label: 'Puppeteer', extension: 'test.js', render: toPuppeteer }
+};
+
+/**
+ * Generate an end-to-end test file from a journey
+ *
+ * Every step waits for its element to be visible before performing the recorded
+ * action, trying the element's fallback selectors as well, and waits for the URL
+ * of the next page whenever the journey moves to a different `page_id`.
+ *
+ * @param {string} framework - Key of TEST_FRAMEWORKS
+ * @param {Object} journey - Journey record
+ * @param {Array} pageData - All page records
+ * @param {Array} elementData - All element records
+ * @returns {Object} - { code, steps, missing } with the number of steps and unknown element IDs
+ */
+function generateTest(framework, journey, pageData, elementData) {
+    const plan = buildTestPlan(journey, pageData, elementData);
+    return {
+        code: TEST_FRAMEWORKS[framework].render(plan, journey),
+        steps: plan.steps.length,
+        missing: plan.missing
+    };
+}
+
+// Export test generator functions
+export { TEST_FRAMEWORKS, buildTestPlan, generateTest };
@@ -0,0 +1,191 @@
+// Tour Generator Module
+// Turns captured journeys into step definitions for open-source guided-tour libraries
+
+import { isDocumentSelector } from './selector-engine.js';
+
+// Text telling the user what to do at a step, by recorded action
+const ACTION_HINTS = {
+    click: 'Click here to continue.',
+    input: 'Enter a value here.',
+    select: 'Choose an option here.',
+    check: 'Tick this box.',
+    uncheck: 'Clear this box.',
+    hover: 'Hover here to see more.',
+    submit: 'Submit to continue.',
+    keypress: 'Press a key here to continue.'
+};
+
+// DOM event that completes each action, for libraries that advance on it
+const ACTION_EVENTS = {
+    click: 'click',
+    input: 'change',
+    select: 'change',
+    check: 'change',
+    uncheck: 'change',
+    hover: 'mouseover',
+    submit: 'click',
+    keypress: 'keydown'
+};
+
+// Actions on form fields, whose menus or suggestions open below them
+const FIELD_ACTIONS = ['input', 'select'];
+
+// Elements starting within this many pixels of the page's left edge count as side navigation
+const LEFT_EDGE = 100;
+
+/**
+ * Pick where a step's popover is placed around its element
+ *
+ * Popovers go beside form fields, so they do not cover the field's menu or
+ * suggestions, and beside tall elements on the left edge such as side navigation;
+ * everything else gets its popover below the element.
+ *
+ * @param {Object} element - Element record
+ * @param {string} action - Action performed on the element in the journey
+ * @returns {string} - 'bottom' or 'right'
+ */
+function getPlacement(element, action) {
+    const box = element.fingerprint && element.fingerprint.bounding_box;
+
+    if (FIELD_ACTIONS.includes(action) || ['select', 'textarea'].includes(element.type)) return 'right';
+    if (box && box.x < LEFT_EDGE && box.height > box.width) return 'right';
+    return 'bottom';
+}
+
+/**
+ * Order a journey's elements so each follows the elements it is reached `from`
+ *
+ * Elements are taken in journey order whenever their `from` sources within the
+ * journey are already placed; a cycle is broken at the earliest remaining element.
+ *
+ * @param {Array} elements - The journey's element records, in step order
+ * @returns {Array} - The same records, ordered along the `from` chain
+ */
+function orderByFromChain(elements) {
+    const ids = new Set(elements.map(element => element.element_id));
+    const placed = new Set();
+    const ordered = [];
+
+    while (ordered.length < elements.length) {
+        const remaining = elements.filter(element => !placed.has(element.element_id));
+        const next = remaining.find(element => (element.from || []).every(source =>
+            !ids.has(source.node) || placed.has(source.node) || source.node === element.element_id)) || remaining[0];
+
+        placed.add(next.element_id);
+        ordered.push(next);
+    }
+
+    return ordered;
+}
+
+// Step definition builders for each supported library
+const TOUR_LIBRARIES = {
+    shepherd: {
+        label: 'Shepherd.js',
+        // Pass `steps` to tour.addSteps()
+        buildStep: ({ element, selector, placement, action }) => ({
+            id: element.element_id,
+            title: element.description,
+            text: ACTION_HINTS[action],
+            attachTo: { element: selector, on: placement },
+            advanceOn: { selector, event: ACTION_EVENTS[action] },
+            cancelIcon: { enabled: true }
+        })
+    },
+    introjs: {
+        label: 'Intro.js',
+        // Pass `steps` to introJs().setOptions({ steps })
+        buildStep: ({ element, selector, placement, action }) => ({
+            element: selector,
+            title: element.description,
+            intro: ACTION_HINTS[action],
+            position: placement
+        })
+    },
+    driver: {
+        label: 'Driver.js',
+        // Pass `steps` to driver({ steps })
+        buildStep: ({ element, selector, placement, action }) => ({
+            element: selector,
+            popover: {
+                title: element.description,
+                description: ACTION_HINTS[action],
+                side: placement,
+                align: 'start'
+            }
+        })
+    }
+};
+
+/**
+ * Generate a guided-tour definition from a journey
+ *
+ * Each of the journey's elements becomes one step, pointing at the first of its
+ * selectors that is plain CSS. Every step also carries a `meta` object with its
+ * order, element, page and URL pattern, so a multi-page tour can run the steps
+ * for the current page. Elements that no longer exist or only have XPath, shadow
+ * or frame selectors are skipped.
+ *
+ * @param {string} library - Key of TOUR_LIBRARIES
+ * @param {Object} journey - Journey record
+ * @param {Array} pageData - All page records
+ * @param {Array} elementData - All element records
+ * @returns {Object} - { tour, skipped } where skipped lists { element_id, reason }
+ */
+function generateTour(library, journey, pageData, elementData) {
+    const { buildStep } = TOUR_LIBRARIES[library];
+    const skipped = [];
+    const journeyElements = [];
+    const actions = new Map();
+
+    for (const step of journey.steps) {
+        if (actions.has(step.element_id)) continue;
+        actions.set(step.element_id, step.action);
+
+        const element = elementData.find(item => item.element_id === step.element_id);
+        if (element) {
+            journeyElements.push(element);
+        } else {
+            skipped.push({ element_id: step.element_id, reason: 'Element no longer exists' });
+        }
+    }
+
+    const steps = [];
+    for (const element of orderByFromChain(journeyElements)) {
+        const selector = [element.dom_selector, ...(element.selector_fallbacks || []).map(fallback => fallback.selector)]
+            .find(isDocumentSelector);
+        if (!selector) {
+            skipped.push({ element_id: element.element_id, reason: 'No plain CSS selector' });
+            continue;
+        }
+
+        const page = pageData.find(item => item.page_id === element.page_id);
+        const action = ACTION_HINTS[actions.get(element.element_id)] ? actions.get(element.element_id) : 'click';
+
+        steps.push({
+            ...buildStep({ element, selector, placement: getPlacement(element, action), action }),
+            meta: {
+                order: steps.length + 1,
+                element_id: element.element_id,
+                page_id: element.page_id,
+                url_pattern: page ? page.url_pattern : null,
+                KPI: element.KPI ?? null
+            }
+        });
+    }
+
+    return {
+        tour: {
+            library,
+            journey_id: journey.journey_id,
+            name: journey.name,
+            description: journey.description,
+            generated_at: new Date().toISOString(),
+            steps
+        },
+        skipped
+    };
+}
+
+// Export tour generator functions
+export { TOUR_LIBRARIES, getPlacement, orderByFromChain, generateTour };
@@ -0,0 +1,237 @@
+// URL Patterns Module
+// Maps live URLs to parameterized page patterns such as /users/:id
+
+// Rules applied when an origin has no rules of its own
+const DEFAULT_URL_RULES = {
+    autoParams: true,
+    includeHash: false,
+    queryKeys: [],
+    rewrites: []
+};
+
+// Segment detectors for automatic parameterization, checked in order
+const SEGMENT_PARAMS = [
+    { name: ':uuid', test: segment => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) },
+    { name: ':id', test: segment => /^\d+$/.test(segment) },
+    { name: ':hash', test: segment => /^[0-9a-f]{16,}$/i.test(segment) },
+    { name: ':token', test: segment => segment.length >= 24 && /^[A-Za-z0-9_-]+$/.test(segment) && /\d/.test(segment) },
+    { name: ':slug', test: segment => /^[a-z0-9]+(-[a-z0-9]+)+$/i.test(segment) && /\d/.test(segment) }
+];
+
+/**
+ * Merge stored rules for an origin with the defaults
+ *
+ * @param {Object} rules - Stored rules (may be partial or null)
+ * @returns {Object} - Complete rules object
+ */
+function resolveRules(rules) {
+    return { ...DEFAULT_URL_RULES, ...(rules || {}) };
+}
+
+/**
+ * Replace identifier-like path segments with named parameters
+ *
+ * @param {string} path - Path such as /users/123/edit
+ * @returns {string} - Path such as /users/:id/edit
+ */
+function parameterizePath(path) {
+    return path
+        .split('/')
+        .map(segment => {
+            if (!segment || segment.startsWith(':')) return segment;
+
+            const decoded = safeDecode(segment);
+            const param = SEGMENT_PARAMS.find(detector => detector.test(decoded));
+            return param ? param.name : segment;
+        })
+        .join('/');
+}
+
+/**
+ * Decode a URI component without throwing on malformed input
+ *
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded value, or the input if it cannot be decoded
+ */
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Remove a trailing slash from a path, keeping the root path intact
+ *
+ * @param {string} path - Path to trim
+ * @returns {string} - Trimmed path
+ */
+function trimTrailingSlash(path) {
+    return path.length > 1 ? path.replace(/\/+$/, '') || '/' : path || '/';
+}
+
+/**
+ * Apply user-defined rewrite rules to a path
+ *
+ * Each rule is { pattern, replacement } where pattern is a regular expression
+ * source; the first matching rule wins.
+ *
+ * @param {string} path - Path to rewrite
+ * @param {Array} rewrites - Rewrite rules
+ * @returns {Object} - { path, rewritten }
+ */
+function applyRewrites(path, rewrites) {
+    for (const rule of rewrites) {
+        try {
+            const regex = new RegExp(rule.pattern);
+            if (regex.test(path)) {
+                return { path: path.replace(regex, rule.replacement), rewritten: true };
+            }
+        } catch (error) {
+            console.error(`Invalid URL rewrite rule: ${rule.pattern}`, error);
+        }
+    }
+
+    return { path, rewritten: false };
+}
+
+/**
+ * Normalize a live URL into a page pattern
+ *
+ * The pattern is the pathname, optionally followed by the hash route
+ * ("#/users/:id") and whitelisted query parameters ("?tab=settings"), after
+ * rewrite rules and automatic parameterization have been applied.
+ *
+ * @param {string} url - Absolute URL
+ * @param {Object} rules - URL rules for the URL's origin
+ * @returns {string} - URL pattern
+ */
+function normalizeUrl(url, rules = null) {
+    const { autoParams, includeHash, queryKeys, rewrites } = resolveRules(rules);
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (e) {
+        return url;
+    }
+
+    let path = trimTrailingSlash(parsedUrl.pathname);
+
+    // Hash-routed apps keep their route after "#/" or "#!/"
+    if (includeHash) {
+        const hashRoute = parsedUrl.hash.match(/^#!?(\/[^?]*)/);
+        if (hashRoute) {
+            path += `#${trimTrailingSlash(hashRoute[1])}`;
+        }
+    }
+
+    const rewrite = applyRewrites(path, rewrites);
+    path = rewrite.path;
+
+    if (autoParams && !rewrite.rewritten) {
+        path = path.split('#').map(parameterizePath).join('#');
+    }
+
+    const query = queryKeys
+        .filter(key => parsedUrl.searchParams.has(key))
+        .sort()
+        .map(key => `${key}=${parsedUrl.searchParams.get(key)}`)
+        .join('&');
+
+    return query ? `${path}?${query}` : path;
+}
+
+/**
+ * Convert a stored pattern to a regular expression matching concrete paths
+ *
+ * @param {string} pattern - Pattern such as /users/:id
+ * @returns {RegExp} - Anchored regular expression
+ */
+function patternToRegExp(pattern) {
+    const source = pattern
+        .split(/(:[A-Za-z_][A-Za-z0-9_]*)/)
+        .map(part => part.startsWith(':') ? '[^/#?]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a stored pattern covers another pattern or normalized path
+ *
+ * @param {string} storedPattern - Pattern saved on a page record
+ * @param {string} candidate - Pattern or path to test
+ * @returns {boolean} - Whether the two refer to the same page
+ */
+function patternsMatch(storedPattern, candidate) {
+    return storedPattern === candidate || patternToRegExp(storedPattern).test(candidate);
+}
+
+/**
+ * Count the parameters in a pattern, used to prefer the most specific match
+ *
+ * @param {string} pattern - URL pattern
+ * @returns {number} - Number of :params
+ */
+function countParams(pattern) {
+    return (pattern.match(/:[A-Za-z_]/g) || []).length;
+}
+
+/**
+ * Find the stored page record that a live URL belongs to
+ *
+ * An exact match on the normalized pattern wins; otherwise the most specific
+ * stored pattern whose parameters match the URL is used.
+ *
+ * @param {string} url - Absolute URL
+ * @param {Array} pages - Stored page records
+ * @param {Object} rules - URL rules for the URL's origin
+ * @returns {Object|null} - Matching page record, or null
+ */
+function findPageForUrl(url, pages, rules = null) {
+    const pattern = normalizeUrl(url, rules);
+
+    const exact = pages.find(page => page.url_pattern === pattern);
+    if (exact) return exact;
+
+    const candidates = pages
+        .filter(page => patternsMatch(page.url_pattern, pattern))
+        .sort((a, b) => countParams(a.url_pattern) - countParams(b.url_pattern));
+
+    return candidates[0] || null;
+}
+
+/**
+ * Get the URL a page can be opened at again
+ *
+ * Query parameters other than the ones the rules keep are dropped, as they
+ * may carry tokens or session state.
+ *
+ * @param {string} url - Absolute URL of the live page
+ * @param {Object} rules - URL rules for the URL's origin
+ * @returns {string} - URL with the origin, path, hash and kept query parameters
+ */
+function toPageUrl(url, rules = null) {
+    const { queryKeys } = resolveRules(rules);
+    const parsedUrl = new URL(url);
+
+    for (const key of [...parsedUrl.searchParams.keys()]) {
+        if (!queryKeys.includes(key)) {
+            parsedUrl.searchParams.delete(key);
+        }
+    }
+
+    return parsedUrl.href;
+}
+
+// Export URL pattern functions
+export {
+    DEFAULT_URL_RULES,
+    normalizeUrl,
+    toPageUrl,
+    patternToRegExp,
+    patternsMatch,
+    findPageForUrl
+};
@@ -0,0 +1,144 @@
+// Version History Module
+// Diffs element and page records, picks semantic version bumps and builds append-only revision entries
+
+import { bumpVersion, normalizeVersion } from '../utils/version.js';
+
+// Field holding the version of each record type
+const VERSION_FIELDS = {
+    element: 'version',
+    page: 'ui_version'
+};
+
+// Field holding the ID of each record type
+const ID_FIELDS = {
+    element: 'element_id',
+    page: 'page_id'
+};
+
+// Fields whose change means the record now describes something different
+const MAJOR_FIELDS = {
+    element: ['type', 'page_id'],
+    page: ['url_pattern']
+};
+
+// Fields whose change affects how the record is located or reached
+const MINOR_FIELDS = {
+    element: ['dom_selector', 'selector_fallbacks', 'interaction', 'from'],
+    page: ['framework', 'from']
+};
+
+// Bookkeeping fields that are not compared
+const IGNORED_FIELDS = ['updated_at', 'version', 'ui_version'];
+
+/**
+ * List the top-level fields that differ between two versions of a record
+ *
+ * @param {Object} before - Earlier record (or an empty object)
+ * @param {Object} after - Later record
+ * @returns {Array<Object>} - Changes as { field, before, after }
+ */
+function diffRecords(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const previous = before ? before[field] ?? null : null;
+        const next = after ? after[field] ?? null : null;
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+            changes.push({ field, before: previous, after: next });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Decide how far a set of changes moves a record's version
+ *
+ * @param {string} type - 'element' or 'page'
+ * @param {Array<Object>} changes - Changes from diffRecords
+ * @returns {string|null} - 'major', 'minor', 'patch', or null if nothing changed
+ */
+function getChangeLevel(type, changes) {
+    if (changes.length === 0) return null;
+    if (changes.some(change => MAJOR_FIELDS[type].includes(change.field))) return 'major';
+    if (changes.some(change => MINOR_FIELDS[type].includes(change.field))) return 'minor';
+    return 'patch';
+}
+
+/**
+ * Version a record about to be saved and describe the change as a revision
+ *
+ * A new record starts at its given version (normalized, "1.0.0" by default).
+ * An existing record is bumped from its stored version according to what changed;
+ * if nothing changed, no revision is produced unless `force` is set.
+ *
+ * @param {string} type - 'element' or 'page'
+ * @param {Object|null} previous - Stored record, or null for a new record
+ * @param {Object} next - Record about to be saved
+ * @param {Object} meta - Revision details
+ * @param {string} meta.action - 'create', 'update', 'restore', 'repair', 'import' or 'sync' (derived when omitted)
+ * @param {string} meta.source - Where the change was made (capture, graph, verification, ...)
+ * @param {string} meta.author - Name of the person making the change
+ * @param {boolean} meta.force - Produce a revision even if no compared field changed, bumping the
+ *                               version given on the record rather than the stored one
+ * @param {string|null} meta.version - Version to keep instead of deriving one, for records
+ *                                     versioned elsewhere such as a teammate's synced copy
+ * @returns {Object} - { record, revision } where revision is null if nothing changed
+ */
+function trackChanges(type, previous, next, { action = null, source = null, author = null, force = false, version: keptVersion = null } = {}) {
+    const versionField = VERSION_FIELDS[type];
+    const changes = diffRecords(previous, next);
+
+    if (previous && changes.length === 0 && !force) {
+        return { record: { ...next, [versionField]: previous[versionField] }, revision: null };
+    }
+
+    const version = keptVersion ? normalizeVersion(keptVersion) : previous ?
+        bumpVersion(force ? next[versionField] : previous[versionField], getChangeLevel(type, changes)) :
+        normalizeVersion(next[versionField]);
+    const record = { ...next, [versionField]: version };
+    const changedAt = new Date().toISOString();
+
+    return {
+        record,
+        revision: {
+            revision_id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            record_type: type,
+            record_id: record[ID_FIELDS[type]],
+            version,
+            action: action || (previous ? 'update' : 'create'),
+            source,
+            changed_by: author,
+            changed_at: changedAt,
+            changes,
+            snapshot: { ...record, updated_at: changedAt }
+        }
+    };
+}
+
+/**
+ * Get the revisions of one record, oldest first
+ *
+ * @param {Array<Object>} revisions - All stored revisions
+ * @param {string} type - 'element' or 'page'
+ * @param {string} recordId - Record ID
+ * @returns {Array<Object>} - The record's revisions
+ */
+function getRecordRevisions(revisions, type, recordId) {
+    return revisions
+        .filter(revision => revision.record_type === type && revision.record_id === recordId)
+        .sort((a, b) => a.changed_at.localeCompare(b.changed_at));
+}
+
+// Export version history functions
+export {
+    VERSION_FIELDS,
+    ID_FIELDS,
+    diffRecords,
+    getChangeLevel,
+    trackChanges,
+    getRecordRevisions
+};
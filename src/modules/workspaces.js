@@ -0,0 +1,211 @@
+// Workspaces Module
+// Keeps captures for different applications and environments apart, and picks the workspace for a page
+
+// Workspace that holds captures made before workspaces existed; it cannot be deleted
+const DEFAULT_WORKSPACE_ID = 'default';
+
+const DEFAULT_WORKSPACE = {
+    workspace_id: DEFAULT_WORKSPACE_ID,
+    name: 'Default',
+    origins: [],
+    kpis: [],
+    environment: ''
+};
+
+// chrome.storage.local keys whose value belongs to one workspace
+const WORKSPACE_STATE_KEYS = ['lastElementId', 'activeJourneyId', 'syncShadow', 'syncQueue', 'syncState'];
+
+// Allowed origin, optionally with a wildcard for subdomains, e.g. https://*.staging.example.com
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(\.[a-z0-9-]+)*)(:\d+)?$/;
+
+/**
+ * Get the chrome.storage.local key a workspace keeps a state value under
+ *
+ * The default workspace uses the plain key, so data stored before workspaces
+ * existed stays where it was.
+ *
+ * @param {string} key - One of WORKSPACE_STATE_KEYS
+ * @param {string} workspaceId - Workspace ID
+ * @returns {string} - Storage key such as "lastElementId:staging"
+ */
+function workspaceStateKey(key, workspaceId) {
+    return workspaceId === DEFAULT_WORKSPACE_ID ? key : `${key}:${workspaceId}`;
+}
+
+/**
+ * Check whether a chrome.storage.onChanged event changed a state value in any workspace
+ *
+ * @param {Object} changes - Changes passed to the onChanged listener
+ * @param {string} key - One of WORKSPACE_STATE_KEYS
+ * @returns {boolean} - Whether the value changed
+ */
+function hasWorkspaceStateChange(changes, key) {
+    return Object.keys(changes).some(changed => changed === key || changed.startsWith(`${key}:`));
+}
+
+/**
+ * Normalize an allowed origin entered by the user
+ *
+ * @param {string} value - Origin such as "https://app.example.com/" or "https://*.example.com"
+ * @returns {string|null} - Normalized origin, or null if it is not a valid http(s) origin
+ */
+function normalizeOrigin(value) {
+    const origin = String(value || '').trim().toLowerCase().replace(/\/+$/, '');
+    return ORIGIN_PATTERN.test(origin) ? origin : null;
+}
+
+/**
+ * Check whether a page's origin matches an allowed origin
+ *
+ * @param {string} allowed - Normalized allowed origin, possibly with a subdomain wildcard
+ * @param {string} origin - Page origin such as https://eu.staging.example.com
+ * @returns {boolean} - Whether the origin matches
+ */
+function originMatches(allowed, origin) {
+    const wildcard = allowed.indexOf('://*.');
+    if (wildcard === -1) return allowed === origin;
+
+    const scheme = allowed.substring(0, wildcard + 3);
+    const host = allowed.substring(wildcard + 5);
+    return origin.startsWith(scheme) && origin.endsWith(`.${host}`);
+}
+
+/**
+ * Get the origin of a URL
+ *
+ * @param {string} url - Page URL
+ * @returns {string|null} - Origin, or null for URLs without one (e.g. chrome://)
+ */
+function getOrigin(url) {
+    try {
+        const { protocol, origin } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:' ? origin : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the workspace whose allowed origins include a page
+ *
+ * @param {Array<Object>} workspaces - Workspaces to search
+ * @param {string} url - Page URL
+ * @returns {Object|null} - First matching workspace, or null if none lists the page's origin
+ */
+function findWorkspaceForUrl(workspaces, url) {
+    const origin = getOrigin(url);
+    if (!origin) return null;
+
+    return workspaces.find(workspace => workspace.origins.some(allowed => originMatches(allowed, origin))) || null;
+}
+
+/**
+ * Check whether a page can be captured into a workspace
+ *
+ * A workspace with allowed origins accepts only those. One without accepts
+ * every origin that no other workspace lists.
+ *
+ * @param {Object} workspace - Workspace to capture into
+ * @param {Array<Object>} workspaces - All workspaces
+ * @param {string} url - Page URL
+ * @returns {boolean} - Whether the page belongs in the workspace
+ */
+function workspaceAcceptsUrl(workspace, workspaces, url) {
+    const origin = getOrigin(url);
+    if (!origin) return false;
+
+    if (workspace.origins.length > 0) {
+        return workspace.origins.some(allowed => originMatches(allowed, origin));
+    }
+
+    const owner = findWorkspaceForUrl(workspaces, url);
+    return !owner || owner.workspace_id === workspace.workspace_id;
+}
+
+/**
+ * Derive an ID for a new workspace from its name
+ *
+ * @param {string} name - Workspace name
+ * @param {Array<string>} existingIds - IDs already in use
+ * @returns {string} - ID such as "crm_staging", suffixed if taken
+ */
+function createWorkspaceId(name, existingIds = []) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'workspace';
+    let id = base;
+    for (let counter = 2; existingIds.includes(id); counter++) {
+        id = `${base}_${counter}`;
+    }
+    return id;
+}
+
+/**
+ * Check and clean up a workspace before it is saved
+ *
+ * @param {Object} workspace - Workspace with name, origins, kpis and environment
+ * @param {Array<Object>} workspaces - Saved workspaces, to catch origins listed twice
+ * @returns {Object} - { success, errors, workspace } with trimmed, deduplicated lists
+ */
+function validateWorkspace(workspace, workspaces = []) {
+    const errors = [];
+    const name = String(workspace.name || '').trim();
+    const origins = [];
+
+    if (!name) {
+        errors.push({ path: '/name', keyword: 'required', message: 'Name is required' });
+    }
+
+    (workspace.origins || []).forEach((value, index) => {
+        const origin = normalizeOrigin(value);
+        if (!origin) {
+            errors.push({ path: `/origins/${index}`, keyword: 'format', message: `"${value}" is not an origin such as https://app.example.com or https://*.example.com` });
+            return;
+        }
+
+        const owner = workspaces.find(other => other.workspace_id !== workspace.workspace_id && other.origins.includes(origin));
+        if (owner) {
+            errors.push({ path: `/origins/${index}`, keyword: 'uniqueItems', message: `${origin} already belongs to workspace "${owner.name}"` });
+        } else if (!origins.includes(origin)) {
+            origins.push(origin);
+        }
+    });
+
+    const kpis = [...new Set((workspace.kpis || []).map(kpi => String(kpi).trim()).filter(Boolean))];
+
+    return {
+        success: errors.length === 0,
+        errors,
+        workspace: {
+            ...workspace,
+            name,
+            origins,
+            kpis,
+            environment: String(workspace.environment || '').trim()
+        }
+    };
+}
+
+/**
+ * Describe a workspace for lists and headings
+ *
+ * @param {Object} workspace - Workspace
+ * @returns {string} - Name with its environment, e.g. "CRM (staging)"
+ */
+function formatWorkspaceLabel(workspace) {
+    return workspace.environment ? `${workspace.name} (${workspace.environment})` : workspace.name;
+}
+
+// Export workspace functions
+export {
+    DEFAULT_WORKSPACE_ID,
+    DEFAULT_WORKSPACE,
+    WORKSPACE_STATE_KEYS,
+    workspaceStateKey,
+    hasWorkspaceStateChange,
+    normalizeOrigin,
+    originMatches,
+    findWorkspaceForUrl,
+    workspaceAcceptsUrl,
+    createWorkspaceId,
+    validateWorkspace,
+    formatWorkspaceLabel
+};
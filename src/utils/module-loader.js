@@ -27,20 +27,6 @@ export async function loadModule(modulePath) {
     }
 }
 
-/**
- * Check if ES modules are supported
- * 
- * @returns {boolean} - Whether ES modules are supported
- */
-export function supportsESModules() {
-    try {
-        new Function('import("")');
-        return true;
-    } catch (error) {
-        return false;
-    }
-}
-
 /**
  * Initialize all modules required for the extension
  * 
@@ -48,20 +34,33 @@ export function supportsESModules() {
  */
 export async function initializeModules() {
     try {
-        // Check if ES modules are supported
-        if (!supportsESModules()) {
-            throw new Error('ES modules are not supported in this browser');
-        }
-
-        // Load modules
+        // Load modules; a browser without dynamic import() support fails here
         const schemaValidator = await loadModule('src/modules/schema-validator.js');
-        const storageManager = await loadModule('src/modules/storage-manager.js');
+        const storageClient = await loadModule('src/modules/storage-client.js');
         const exportModule = await loadModule('src/modules/export-module.js');
+        const selectorEngine = await loadModule('src/modules/selector-engine.js');
+        const pageVerifier = await loadModule('src/modules/page-verifier.js');
+        const fingerprint = await loadModule('src/modules/fingerprint.js');
+        const interactionRecorder = await loadModule('src/modules/interaction-recorder.js');
+        const replayEngine = await loadModule('src/modules/replay-engine.js');
+        const urlPatterns = await loadModule('src/modules/url-patterns.js');
+        const idGenerator = await loadModule('src/modules/id-generator.js');
+        const mutationTracker = await loadModule('src/modules/mutation-tracker.js');
+        const workspaces = await loadModule('src/modules/workspaces.js');
 
         return {
             schemaValidator,
-            storageManager,
-            exportModule
+            storageClient,
+            exportModule,
+            selectorEngine,
+            pageVerifier,
+            fingerprint,
+            interactionRecorder,
+            replayEngine,
+            urlPatterns,
+            idGenerator,
+            mutationTracker,
+            workspaces
         };
     } catch (error) {
         console.error('Error initializing modules:', error);
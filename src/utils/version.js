@@ -0,0 +1,59 @@
+/**
+ * Version Utility
+ *
+ * Helpers for the semantic version strings ("MAJOR.MINOR.PATCH") stored on
+ * element and page records. Older two-part versions such as "1.0" are read as "1.0.0".
+ */
+
+/**
+ * Parse a version string into its numeric parts
+ *
+ * @param {string} version - Version string (e.g. "1.2.3" or "1.0")
+ * @returns {Array<number>} - [major, minor, patch]
+ */
+export function parseVersion(version) {
+    const parts = String(version || '1.0.0').split('.').map(part => parseInt(part, 10) || 0);
+    return [parts[0] || 0, parts[1] || 0, parts[2] || 0];
+}
+
+/**
+ * Normalize a version string to three parts
+ *
+ * @param {string} version - Version string (e.g. "1.0")
+ * @returns {string} - Semantic version (e.g. "1.0.0")
+ */
+export function normalizeVersion(version) {
+    return parseVersion(version).join('.');
+}
+
+/**
+ * Increment a version at the given level, resetting the lower parts
+ *
+ * @param {string} version - Current version (e.g. "1.2.3")
+ * @param {string} level - 'major', 'minor' or 'patch'
+ * @returns {string} - Next version (e.g. "1.3.0" for a minor bump)
+ */
+export function bumpVersion(version, level = 'patch') {
+    const [major, minor, patch] = parseVersion(version);
+
+    if (level === 'major') return `${major + 1}.0.0`;
+    if (level === 'minor') return `${major}.${minor + 1}.0`;
+    return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * Compare two versions
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+    const partsA = parseVersion(a);
+    const partsB = parseVersion(b);
+
+    for (let i = 0; i < 3; i++) {
+        if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+    }
+    return 0;
+}